@@ -0,0 +1,99 @@
+/**
+ * ViceBank Backend — Device tokens
+ * --------------------------------
+ * The extension registers once per install (POST /api/register) and gets back
+ * a signed device token. Every user-facing route verifies that token and binds
+ * the request to the token's userId, so a guessed UUID is not enough to read
+ * or settle someone else's account.
+ *
+ * Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload))
+ *   payload = { sub: userId, did: deviceId, scope: "device" | "read" | "dispute", iat, exp? }
+ *
+ * "device" tokens never expire but die with their device row (revoke).
+ * "read" tokens are short-lived, read-only links for the web dashboard.
+ * "dispute" tokens are short-lived too and only file statement disputes; just
+ * the popup's dashboard link carries one.
+ */
+
+import crypto from "crypto";
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest();
+}
+
+export function sha256Hex(str) {
+  return crypto.createHash("sha256").update(String(str)).digest("hex");
+}
+
+export function signToken(payload, secret) {
+  const body = b64url(JSON.stringify(payload));
+  return `${body}.${b64url(hmac(secret, body))}`;
+}
+
+// Returns the payload, or null if the token is malformed, forged or expired.
+export function verifyToken(token, secret, now = Date.now()) {
+  if (typeof token !== "string") return null;
+  const [body, sig] = token.split(".");
+  if (!body || !sig) return null;
+
+  const expected = hmac(secret, body);
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected))
+    return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!payload?.sub) return null;
+    if (payload.exp && now > payload.exp) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function bearer(req) {
+  const h = req.get("authorization") || "";
+  return h.startsWith("Bearer ") ? h.slice(7).trim() : null;
+}
+
+/**
+ * Express middleware factory. Verifies the bearer token, checks the device is
+ * still active, and sets req.userId / req.auth / req.authToken. If the request
+ * also names a userId (body or query) it must match the token's — otherwise 403.
+ */
+export function requireAuth({ secret, devices, scopes = ["device"] }) {
+  return (req, res, next) => {
+    const token = bearer(req);
+    const payload = verifyToken(token, secret);
+    if (!payload) return res.status(401).json({ error: "invalid_or_missing_token" });
+    if (!scopes.includes(payload.scope))
+      return res.status(403).json({ error: "insufficient_scope" });
+
+    const device = devices.get(payload.did);
+    if (!device || device.revokedAt || device.userId !== payload.sub)
+      return res.status(401).json({ error: "device_revoked" });
+
+    const claimed = req.body?.userId ?? req.query?.userId;
+    if (claimed != null && String(claimed) !== payload.sub)
+      return res.status(403).json({ error: "cross_user_access" });
+
+    req.userId = payload.sub;
+    req.auth = payload;
+    req.authToken = token;
+    return next();
+  };
+}
+
+// Admin/ops routes: static bearer token from env. Disabled when unset.
+export function requireAdmin(adminToken) {
+  return (req, res, next) => {
+    if (!adminToken) return res.status(403).json({ error: "admin_disabled" });
+    const given = Buffer.from(bearer(req) || "");
+    const expected = Buffer.from(adminToken);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected))
+      return res.status(401).json({ error: "admin_token_required" });
+    return next();
+  };
+}
@@ -0,0 +1,45 @@
+// auth_test.js — device token signing/verification
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { requireAuth, signToken, verifyToken } from "./auth.js";
+
+const SECRET = "test-secret";
+
+test("round-trips a signed payload", () => {
+  const token = signToken({ sub: "u1", did: "d1", scope: "device", iat: 1 }, SECRET);
+  assert.deepEqual(verifyToken(token, SECRET), { sub: "u1", did: "d1", scope: "device", iat: 1 });
+});
+
+test("rejects tampered payloads and foreign secrets", () => {
+  const token = signToken({ sub: "u1", did: "d1", scope: "device" }, SECRET);
+  const [, sig] = token.split(".");
+  const forged = `${Buffer.from(JSON.stringify({ sub: "u2", did: "d1", scope: "device" })).toString("base64url")}.${sig}`;
+  assert.equal(verifyToken(forged, SECRET), null);
+  assert.equal(verifyToken(token, "other-secret"), null);
+  assert.equal(verifyToken("garbage", SECRET), null);
+  assert.equal(verifyToken(undefined, SECRET), null);
+});
+
+test("honours exp on read tokens", () => {
+  const token = signToken({ sub: "u1", did: "d1", scope: "read", exp: 1000 }, SECRET);
+  assert.equal(verifyToken(token, SECRET, 999).sub, "u1");
+  assert.equal(verifyToken(token, SECRET, 1001), null);
+});
+
+test("middleware only lets listed scopes through", () => {
+  const devices = { get: () => ({ userId: "u1", revokedAt: null }) };
+  const disputeAuth = requireAuth({ secret: SECRET, devices, scopes: ["device", "dispute"] });
+  const run = (scope) => {
+    const token = signToken({ sub: "u1", did: "d1", scope }, SECRET);
+    const req = { get: () => `Bearer ${token}`, body: {}, query: {} };
+    let status = 200;
+    const res = { status: (code) => ((status = code), { json: () => {} }) };
+    disputeAuth(req, res, () => {});
+    return status;
+  };
+  assert.equal(run("dispute"), 200);
+  assert.equal(run("device"), 200);
+  assert.equal(run("read"), 403);
+});
@@ -0,0 +1,40 @@
+// blocking_test.js — hard-block rules (extension/lib/blocking.js)
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { blockRules, blockedCategories, ruleDomain } from "../extension/lib/blocking.js";
+
+const lists = { porn: ["example-adult.com", "*.tube.test"], gambling: ["bets.test"] };
+
+test("modes pick the walled-off categories", () => {
+  const st = { enabled: true, categoriesOn: { porn: true, gambling: true }, blockMode: { porn: "after_grace", gambling: "always" } };
+  assert.deepEqual(blockedCategories(st, () => false), ["gambling"]);
+  assert.deepEqual(blockedCategories(st, () => true), ["porn", "gambling"]);
+  assert.deepEqual(blockedCategories({ ...st, categoriesOn: { porn: true, gambling: false } }, () => true), ["porn"]);
+  assert.deepEqual(blockedCategories({ ...st, enabled: false }, () => true), []);
+  assert.deepEqual(blockedCategories({ enabled: true }, () => true), []);
+});
+
+test("one redirect rule per category from the lists plus custom domains", () => {
+  const rules = blockRules({
+    categories: ["porn"],
+    lists,
+    customDomains: { porn: ["www.Mine.test", "example-adult.com"] },
+    blocklist: ["*.ok.tube.test"],
+  });
+  assert.deepEqual(rules, [
+    {
+      id: 1,
+      priority: 1,
+      action: { type: "redirect", redirect: { extensionPath: "/block/block.html?category=porn" } },
+      condition: {
+        requestDomains: ["example-adult.com", "mine.test", "tube.test"],
+        excludedRequestDomains: ["ok.tube.test"],
+        resourceTypes: ["main_frame"],
+      },
+    },
+  ]);
+  assert.deepEqual(blockRules({ categories: [], lists }), []);
+  assert.equal(ruleDomain(" *.Foo.test "), "foo.test");
+});
@@ -0,0 +1,126 @@
+// commitment_test.js — cooling-off for settings changes (extension/lib/commitment.js)
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { applySettingsChange, applyDuePending } from "../extension/lib/commitment.js";
+
+const HOUR = 60 * 60 * 1000;
+const NOW = 1_700_000_000_000;
+const settings = {
+  coolingOffHours: 48,
+  enabled: true,
+  grace: { porn: 1, gambling: 0 },
+  rates: { porn: 0.2, gambling: 1 },
+  categoriesOn: { porn: true, gambling: true },
+  accountabilityContact: "friend@example.com",
+  destination: "platform",
+};
+
+test("tighter and neutral changes apply now", () => {
+  const { settings: next, pending, deferred } = applySettingsChange(
+    settings,
+    { rates: { porn: 0.5, gambling: 1 }, destination: "charity_a", coolingOffHours: 72 },
+    { now: NOW }
+  );
+  assert.deepEqual(next.rates, { porn: 0.5, gambling: 1 });
+  assert.equal(next.destination, "charity_a");
+  assert.equal(next.coolingOffHours, 72);
+  assert.deepEqual(pending, []);
+  assert.deepEqual(deferred, []);
+});
+
+test("looser changes wait out the cooling-off period in effect", () => {
+  const patch = {
+    grace: { porn: 5, gambling: 0 },
+    categoriesOn: { porn: true, gambling: false },
+    enabled: false,
+    accountabilityContact: null,
+    coolingOffHours: 0,
+  };
+  const { settings: next, pending, deferred } = applySettingsChange(settings, patch, { now: NOW });
+  assert.deepEqual(next, settings);
+  assert.deepEqual(deferred, ["pricing", "categoriesOn", "enabled", "accountabilityContact", "coolingOffHours"]);
+  assert.ok(pending.every((p) => p.effectiveAt === NOW + 48 * HOUR));
+
+  // Nothing changes until the period is over
+  assert.deepEqual(applyDuePending(next, pending, NOW + 47 * HOUR).applied, []);
+  const due = applyDuePending(next, pending, NOW + 48 * HOUR);
+  assert.deepEqual(due.pending, []);
+  assert.deepEqual(due.settings, { ...settings, ...patch });
+});
+
+test("a daily cap or lower tier counts as looser even when the flat rate goes up", () => {
+  const { deferred } = applySettingsChange(
+    settings,
+    { rates: { porn: 0.3, gambling: 1 }, dailyCap: 5 },
+    { now: NOW }
+  );
+  assert.deepEqual(deferred, ["pricing"]);
+  const tiered = applySettingsChange(
+    settings,
+    { schedules: { porn: [{ minutes: 30, rate: 0.05 }, { rate: 5 }] } },
+    { now: NOW }
+  );
+  assert.deepEqual(tiered.deferred, ["pricing"]);
+});
+
+test("asking again keeps the clock; a tighter change or the current values cancel the wait", () => {
+  const lower = { rates: { porn: 0.05, gambling: 1 } };
+  const first = applySettingsChange(settings, lower, { now: NOW });
+  const again = applySettingsChange(first.settings, lower, { pending: first.pending, now: NOW + 10 * HOUR });
+  assert.equal(again.pending[0].effectiveAt, NOW + 48 * HOUR);
+  const kept = applySettingsChange(first.settings, { rates: settings.rates }, { pending: first.pending, now: NOW + 10 * HOUR });
+  assert.deepEqual(kept.pending, []);
+
+  const raised = applySettingsChange(again.settings, { rates: { porn: 0.3, gambling: 1 } }, {
+    pending: again.pending,
+    now: NOW + 11 * HOUR,
+  });
+  assert.deepEqual(raised.pending, []);
+  assert.deepEqual(raised.settings.rates, { porn: 0.3, gambling: 1 });
+});
+
+test("weakening a hard block waits; strengthening it doesn't", () => {
+  const blocking = { ...settings, blockMode: { porn: "always", gambling: "off" } };
+  const { settings: next, pending, deferred } = applySettingsChange(
+    blocking,
+    { blockMode: { porn: "after_grace", gambling: "always" } },
+    { now: NOW }
+  );
+  assert.deepEqual(deferred, ["blockMode"]);
+  assert.deepEqual(next.blockMode, blocking.blockMode);
+  assert.equal(pending[0].effectiveAt, NOW + 48 * HOUR);
+
+  const tighter = applySettingsChange(blocking, { blockMode: { porn: "always", gambling: "after_grace" } }, { now: NOW });
+  assert.deepEqual(tighter.settings.blockMode, { porn: "always", gambling: "after_grace" });
+  assert.deepEqual(tighter.pending, []);
+});
+
+test("a scheduled grace rule above the daily grace waits", () => {
+  const rule = { category: "porn", effect: "grace", value: 120, hours: [0, 1, 2, 3] };
+  const { settings: next, deferred } = applySettingsChange(settings, { timetable: [rule] }, { now: NOW });
+  assert.deepEqual(deferred, ["timetable"]);
+  assert.equal(next.timetable, undefined);
+  const tighter = applySettingsChange(settings, { timetable: [{ ...rule, value: 0 }] }, { now: NOW });
+  assert.deepEqual(tighter.deferred, []);
+});
+
+test("without a cooling-off period everything applies now", () => {
+  const { settings: next, pending } = applySettingsChange(
+    { ...settings, coolingOffHours: 0 },
+    { enabled: false, rates: { porn: 0.05, gambling: 0.5 } },
+    { now: NOW }
+  );
+  assert.equal(next.enabled, false);
+  assert.deepEqual(next.rates, { porn: 0.05, gambling: 0.5 });
+  assert.deepEqual(pending, []);
+});
+
+test("rounding in the user's favour waits; rounding up doesn't", () => {
+  const looser = applySettingsChange(settings, { roundingPolicy: "nearest" }, { now: NOW });
+  assert.deepEqual(looser.deferred, ["roundingPolicy"]);
+  const tighter = applySettingsChange(settings, { roundingPolicy: "up" }, { now: NOW });
+  assert.equal(tighter.settings.roundingPolicy, "up");
+  assert.deepEqual(tighter.deferred, []);
+});
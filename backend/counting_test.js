@@ -0,0 +1,44 @@
+// counting_test.js — which tabs count per counting mode (extension/lib/counting.js)
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { countedTabs, countingModeRank } from "../extension/lib/counting.js";
+
+// Window 1 focused, window 2 in the background, window 3 minimized
+const windows = [
+  { id: 1, focused: true, state: "normal" },
+  { id: 2, focused: false, state: "normal" },
+  { id: 3, focused: false, state: "minimized" },
+];
+const tabs = [
+  { id: 10, windowId: 1, active: true },
+  { id: 11, windowId: 1, active: false },
+  { id: 20, windowId: 2, active: true },
+  { id: 21, windowId: 2, active: false, audible: true },
+  { id: 30, windowId: 3, active: true },
+];
+const ids = (list) => list.map((t) => t.id);
+
+test("all tabs count by default, idle or not", () => {
+  assert.deepEqual(ids(countedTabs(tabs)), [10, 11, 20, 21, 30]);
+  assert.deepEqual(ids(countedTabs(tabs, { mode: "all_tabs", windows, idleState: "locked" })), [10, 11, 20, 21, 30]);
+});
+
+test("focused: the focused window's active tab, paused while idle", () => {
+  assert.deepEqual(ids(countedTabs(tabs, { mode: "focused", windows })), [10]);
+  assert.deepEqual(ids(countedTabs(tabs, { mode: "focused", windows, idleState: "idle" })), []);
+  const unfocused = windows.map((w) => ({ ...w, focused: false }));
+  assert.deepEqual(ids(countedTabs(tabs, { mode: "focused", windows: unfocused })), []);
+});
+
+test("visible or audible: active tabs of shown windows, and sound even while idle", () => {
+  assert.deepEqual(ids(countedTabs(tabs, { mode: "visible_or_audible", windows })), [10, 20, 21]);
+  assert.deepEqual(ids(countedTabs(tabs, { mode: "visible_or_audible", windows, idleState: "idle" })), [21]);
+});
+
+test("counting fewer tabs ranks lower", () => {
+  assert.ok(countingModeRank("all_tabs") > countingModeRank("visible_or_audible"));
+  assert.ok(countingModeRank("visible_or_audible") > countingModeRank("focused"));
+  assert.equal(countingModeRank(undefined), countingModeRank("all_tabs"));
+});
@@ -0,0 +1,55 @@
+/**
+ * ViceBank Backend — Donation destinations
+ * ----------------------------------------
+ * Where collected charges are earmarked. Users pick one at consent time; the
+ * choice is stored in the consent snapshot, stamped on every PaymentIntent's
+ * metadata and recorded in the donations ledger, which is paid out per
+ * destination each month (see GET /api/admin/donations).
+ *
+ *   kind "charity"       — a cause the user supports
+ *   kind "anti_charity"  — a cause the user dislikes (stronger deterrent)
+ *
+ * Unknown or missing ids fall back to PLATFORM (the money stays with ViceBank).
+ *
+ * ENV:
+ *   VICEBANK_DESTINATIONS_FILE=./destinations.json   (optional; replaces the built-in list)
+ */
+
+import fs from "fs";
+
+export const PLATFORM = { id: "platform", name: "ViceBank (no donation)", kind: "platform" };
+
+const BUILT_IN = [
+  { id: "givedirectly", name: "GiveDirectly", kind: "charity", url: "https://www.givedirectly.org" },
+  { id: "against_malaria", name: "Against Malaria Foundation", kind: "charity", url: "https://www.againstmalaria.com" },
+  { id: "feeding_america", name: "Feeding America", kind: "charity", url: "https://www.feedingamerica.org" },
+  { id: "dem_party", name: "Democratic National Committee", kind: "anti_charity", url: "https://democrats.org" },
+  { id: "gop", name: "Republican National Committee", kind: "anti_charity", url: "https://gop.com" },
+];
+
+function loadList(file) {
+  if (!file) return BUILT_IN;
+  const list = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(list)) throw new Error(`${file}: expected an array of destinations`);
+  for (const d of list) {
+    if (!d?.id || !d?.name || !["charity", "anti_charity"].includes(d.kind))
+      throw new Error(`${file}: invalid destination ${JSON.stringify(d)}`);
+  }
+  return list;
+}
+
+export const DESTINATIONS = loadList(process.env.VICEBANK_DESTINATIONS_FILE);
+
+export function getDestination(id) {
+  return DESTINATIONS.find((d) => d.id === id) || null;
+}
+
+// Destination for a consent snapshot (PLATFORM when unset or no longer listed)
+export function destinationFor(snap) {
+  return getDestination(snap?.destination) || PLATFORM;
+}
+
+// PaymentIntent metadata fields for a destination
+export function destinationMetadata(dest) {
+  return { destination: dest.id, destinationKind: dest.kind };
+}
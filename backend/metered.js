@@ -0,0 +1,75 @@
+/**
+ * ViceBank Backend — Stripe Billing metered usage
+ * -----------------------------------------------
+ * Alternative to PaymentIntent settlement (BILLING_MODE=metered). Each
+ * customer gets one subscription with a metered price per category; billable
+ * minutes (after grace, minus anything already paid through Continue Paid) are
+ * sent as meter events and Stripe invoices them at the end of the billing
+ * period. The per-minute rate is whatever the Stripe price says.
+ *
+ * Meter events carry an identifier per (user, day, category) or per Continue
+ * Paid charge, so a retried report is not counted twice.
+ *
+ * ENV:
+ *   STRIPE_PRICE_PORN / STRIPE_PRICE_GAMBLING             metered price ids
+ *   STRIPE_METER_EVENT_PORN / STRIPE_METER_EVENT_GAMBLING  event_name of each price's meter
+ *     (default vicebank_porn_minutes / vicebank_gambling_minutes)
+ */
+
+export const BILLING_MODES = ["payment_intents", "metered"];
+
+const METERED_CATEGORIES = ["porn", "gambling"];
+
+// null when a price is missing (metered mode can't run)
+export function meteredConfigFromEnv(env = process.env) {
+  const prices = {};
+  const eventNames = {};
+  for (const cat of METERED_CATEGORIES) {
+    const key = cat.toUpperCase();
+    if (!env[`STRIPE_PRICE_${key}`]) return null;
+    prices[cat] = env[`STRIPE_PRICE_${key}`];
+    eventNames[cat] = env[`STRIPE_METER_EVENT_${key}`] || `vicebank_${cat}_minutes`;
+  }
+  return { prices, eventNames };
+}
+
+/**
+ * @param {object} o
+ * @param {import("stripe").Stripe} o.stripe
+ * @param {Record<string, string>} o.prices       category -> metered price id
+ * @param {Record<string, string>} o.eventNames   category -> meter event_name
+ */
+export function createMeteredBilling({ stripe, prices, eventNames }) {
+  // One subscription per customer; an existing id is kept as is
+  async function ensureSubscription({ userId, customerId, paymentMethodId, subscriptionId }) {
+    if (subscriptionId) return subscriptionId;
+    const sub = await stripe.subscriptions.create(
+      {
+        customer: customerId,
+        items: Object.values(prices).map((price) => ({ price })),
+        ...(paymentMethodId ? { default_payment_method: paymentMethodId } : {}),
+        metadata: { userId },
+      },
+      { idempotencyKey: `vb_sub_${userId}_${customerId}` }
+    );
+    return sub.id;
+  }
+
+  // minutes: { [category]: whole minutes }. Returns what was reported.
+  async function reportMinutes({ customerId, minutes, identifier, timestamp = Math.floor(Date.now() / 1000) }) {
+    const reported = {};
+    for (const [cat, n] of Object.entries(minutes)) {
+      if (!(n > 0) || !eventNames[cat]) continue;
+      await stripe.billing.meterEvents.create({
+        event_name: eventNames[cat],
+        payload: { stripe_customer_id: customerId, value: String(n) },
+        identifier: `${identifier}_${cat}`,
+        timestamp,
+      });
+      reported[cat] = n;
+    }
+    return reported;
+  }
+
+  return { ensureSubscription, reportMinutes };
+}
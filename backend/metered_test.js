@@ -0,0 +1,72 @@
+// metered_test.js — subscription + meter event calls for BILLING_MODE=metered
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMeteredBilling, meteredConfigFromEnv } from "./metered.js";
+
+// Records the Stripe calls the module makes
+function fakeStripe() {
+  const calls = [];
+  return {
+    calls,
+    subscriptions: {
+      create: async (params, opts) => (calls.push(["subscriptions.create", params, opts]), { id: "sub_1" }),
+    },
+    billing: {
+      meterEvents: { create: async (params) => (calls.push(["meterEvents.create", params]), { identifier: params.identifier }) },
+    },
+  };
+}
+
+const config = {
+  prices: { porn: "price_p", gambling: "price_g" },
+  eventNames: { porn: "vicebank_porn_minutes", gambling: "vicebank_gambling_minutes" },
+};
+
+test("config needs both metered prices; meter names default", () => {
+  assert.equal(meteredConfigFromEnv({ STRIPE_PRICE_PORN: "price_p" }), null);
+  assert.deepEqual(
+    meteredConfigFromEnv({ STRIPE_PRICE_PORN: "price_p", STRIPE_PRICE_GAMBLING: "price_g", STRIPE_METER_EVENT_PORN: "porn_min" }),
+    { prices: { porn: "price_p", gambling: "price_g" }, eventNames: { porn: "porn_min", gambling: "vicebank_gambling_minutes" } }
+  );
+});
+
+test("a customer gets one subscription with both metered prices", async () => {
+  const stripe = fakeStripe();
+  const m = createMeteredBilling({ stripe, ...config });
+
+  const id = await m.ensureSubscription({ userId: "u1", customerId: "cus_1", paymentMethodId: "pm_1" });
+  assert.equal(id, "sub_1");
+  const [, params, opts] = stripe.calls[0];
+  assert.deepEqual(params.items, [{ price: "price_p" }, { price: "price_g" }]);
+  assert.equal(params.default_payment_method, "pm_1");
+  assert.equal(opts.idempotencyKey, "vb_sub_u1_cus_1");
+
+  assert.equal(await m.ensureSubscription({ userId: "u1", customerId: "cus_1", subscriptionId: "sub_old" }), "sub_old");
+  assert.equal(stripe.calls.length, 1);
+});
+
+test("billable minutes become one meter event per category", async () => {
+  const stripe = fakeStripe();
+  const m = createMeteredBilling({ stripe, ...config });
+
+  const reported = await m.reportMinutes({
+    customerId: "cus_1",
+    minutes: { porn: 7, gambling: 0 },
+    identifier: "vb_usage_u1_2024-05-01",
+    timestamp: 1714600000,
+  });
+  assert.deepEqual(reported, { porn: 7 });
+  assert.deepEqual(stripe.calls, [
+    [
+      "meterEvents.create",
+      {
+        event_name: "vicebank_porn_minutes",
+        payload: { stripe_customer_id: "cus_1", value: "7" },
+        identifier: "vb_usage_u1_2024-05-01_porn",
+        timestamp: 1714600000,
+      },
+    ],
+  ]);
+});
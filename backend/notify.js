@@ -0,0 +1,55 @@
+/**
+ * ViceBank Backend — Notifier
+ * ---------------------------
+ * Outbound messages to people (accountability contacts). Transports are
+ * pluggable; the built-in ones are local stand-ins:
+ *   - "console": prints the message
+ *   - "file":    appends one JSON line per message to VICEBANK_NOTIFY_FILE
+ * A real transport (SMTP, SendGrid, ...) only needs `send(message)`.
+ *
+ * ENV:
+ *   VICEBANK_NOTIFIER=console|file        (default: file)
+ *   VICEBANK_NOTIFY_FILE=./logs/notifications.log
+ */
+
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+export const transports = {
+  console: () => ({
+    send: (msg) => console.log(`[notify] to=${msg.to} subject="${msg.subject}"\n${msg.text}`),
+  }),
+  file: ({ file }) => ({
+    send: (msg) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(msg) + os.EOL, "utf8");
+    },
+  }),
+};
+
+/**
+ * @param {object} o
+ * @param {string} [o.kind]  transport name (see `transports`)
+ * @param {string} [o.file]  output file for the "file" transport
+ * @returns {{ notify: (msg: {to: string, subject: string, text: string, userId?: string, event?: string}) => Promise<boolean> }}
+ */
+export function createNotifier({ kind = "file", file } = {}) {
+  const make = transports[kind];
+  if (!make) throw new Error(`Unknown notifier transport: ${kind}`);
+  const transport = make({ file });
+
+  return {
+    async notify(msg) {
+      if (!msg?.to) return false;
+      try {
+        await transport.send({ ts: new Date().toISOString(), ...msg });
+        return true;
+      } catch (e) {
+        // A failed notification must never fail the request that triggered it.
+        console.warn("[vicebank] notify failed:", e?.message || e);
+        return false;
+      }
+    },
+  };
+}
@@ -0,0 +1,184 @@
+// pricing_test.js — shared pricing engine (extension/lib/pricing.js)
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeSnapshot,
+  normalizeSchedule,
+  priceRange,
+  escalationMultiplier,
+  dailyCapCents,
+  validatePricing,
+  splitGrace,
+  offenseDayOf,
+  quoteDay,
+  quoteWeek,
+  settleAmount,
+} from "../extension/lib/pricing.js";
+
+const TIERS = normalizeSchedule(
+  [{ minutes: 10, rate: 0.05 }, { minutes: 20, rate: 0.2 }, { rate: 1 }],
+  { floor: 0.05 }
+);
+
+test("a missing schedule is one open-ended tier at the flat rate, floored", () => {
+  assert.deepEqual(normalizeSchedule(undefined, { rate: 0.3, floor: 0.5 }), [
+    { minutes: Infinity, centsPerMin: 50 },
+  ]);
+  assert.deepEqual(TIERS.map((t) => t.centsPerMin), [5, 20, 100]);
+});
+
+test("paid minutes walk up the tiers", () => {
+  assert.deepEqual(priceRange(TIERS, 0, 8), { cents: 40, lines: [{ minutes: 8, centsPerMin: 5, cents: 40 }] });
+  assert.equal(priceRange(TIERS, 0, 35).cents, 10 * 5 + 20 * 20 + 5 * 100);
+  assert.equal(priceRange(TIERS, 0, 0).cents, 0);
+});
+
+test("already-charged minutes are skipped, not re-priced at tier one", () => {
+  const r = priceRange(TIERS, 25, 32);
+  assert.deepEqual(r.lines, [
+    { minutes: 5, centsPerMin: 20, cents: 100 },
+    { minutes: 2, centsPerMin: 100, cents: 200 },
+  ]);
+  assert.equal(priceRange(TIERS, 0, 25).cents + r.cents, priceRange(TIERS, 0, 32).cents);
+});
+
+test("escalation multiplies and the last step repeats", () => {
+  assert.equal(escalationMultiplier(null, 3), 1);
+  assert.equal(escalationMultiplier([1, 1.5, 2], 1), 1);
+  assert.equal(escalationMultiplier([1, 1.5, 2], 5), 2);
+  assert.equal(priceRange(TIERS, 0, 3, 1.5).cents, Math.round(3 * 5 * 1.5));
+});
+
+test("daily cap converts to cents and ignores empty values", () => {
+  assert.equal(dailyCapCents(20), 2000);
+  assert.equal(dailyCapCents(null), null);
+  assert.equal(dailyCapCents(0), null);
+});
+
+test("validatePricing rejects malformed tiers, multipliers and caps", () => {
+  assert.equal(validatePricing({ schedules: { porn: [{ minutes: 10, rate: 0.05 }, { rate: 1 }] } }), null);
+  assert.equal(validatePricing({ schedules: { porn: null } }), null);
+  assert.match(validatePricing({ schedules: { porn: [{ rate: 0.05 }, { rate: 1 }] } }), /tier 1/);
+  assert.match(validatePricing({ schedules: { porn: [] } }), /non-empty/);
+  assert.match(validatePricing({ escalation: [1, 0.5] }), /escalation/);
+  assert.match(validatePricing({ dailyCap: -1 }), /dailyCap/);
+});
+
+const bucket = (porn = 0, gambling = 0) => ({
+  byCategory: { porn: { minutes: porn }, gambling: { minutes: gambling } },
+});
+const snap = (o = {}) =>
+  normalizeSnapshot({ grace: { porn: 3, gambling: 3 }, rates: { porn: 0.1, gambling: 1 }, ...o });
+
+test("snapshot defaults and legacy numeric grace", () => {
+  const d = normalizeSnapshot({});
+  assert.deepEqual(d.grace, { porn: 1, gambling: 0 });
+  assert.deepEqual(d.rates, { porn: 0.05, gambling: 0.5 });
+  assert.deepEqual(d.categoriesOn, { porn: true, gambling: true });
+  assert.equal(d.dailyCap, null);
+  assert.deepEqual(normalizeSnapshot({ grace: 2 }).grace, { porn: 2, gambling: 2 });
+});
+
+test("grace is free per category and only the rest is billed", () => {
+  const q = quoteDay({ snapshot: snap(), bucket: bucket(5, 2) });
+  assert.equal(q.exists, true);
+  assert.deepEqual(q.minutes, { porn: 5, gambling: 2 });
+  assert.equal(q.perCat.porn.minutes, 2);
+  assert.equal(q.perCat.gambling.minutes, 0);
+  assert.equal(q.totalCents, 20);
+});
+
+test("live grace split matches the day quote", () => {
+  assert.deepEqual(splitGrace({ grace: 3, freeUsed: 2, units: 2 }), { free: 1, paid: 1 });
+  assert.deepEqual(splitGrace({ grace: 3, freeUsed: 5, units: 2 }), { free: 0, paid: 2 });
+  assert.deepEqual(splitGrace({ grace: undefined, units: 1 }), { free: 0, paid: 1 });
+});
+
+test("configured rates below the category floor are raised to it", () => {
+  const q = quoteDay({ snapshot: snap({ rates: { porn: 0.01, gambling: 0.1 } }), bucket: bucket(4, 4) });
+  assert.equal(q.perCat.porn.centsPerMin, 5);
+  assert.equal(q.perCat.gambling.centsPerMin, 50);
+  assert.equal(q.totalCents, 5 + 50);
+});
+
+test("disabled categories are counted but never billed", () => {
+  const q = quoteDay({
+    snapshot: snap({ categoriesOn: { porn: true, gambling: false } }),
+    bucket: bucket(0, 60),
+  });
+  assert.equal(q.minutes.gambling, 60);
+  assert.equal(q.perCat.gambling, undefined);
+  assert.equal(q.totalCents, 0);
+});
+
+test("a day without a bucket quotes as no data", () => {
+  assert.deepEqual(quoteDay({ snapshot: snap(), bucket: null }).exists, false);
+  assert.equal(quoteDay({ snapshot: snap(), bucket: null }).totalCents, 0);
+});
+
+test("prepaid minutes continue up the tiers and prepaid cents eat the cap", () => {
+  const snapshot = snap({
+    grace: { porn: 0, gambling: 0 },
+    schedules: { porn: [{ minutes: 10, rate: 0.05 }, { rate: 1 }] },
+    dailyCap: 5,
+  });
+  const q = quoteDay({ snapshot, bucket: bucket(14), prepaidMinutes: { porn: 10 }, prepaidCents: 50 });
+  assert.equal(q.perCat.porn.minutes, 4);
+  assert.equal(q.perCat.porn.paidMinutes, 14);
+  assert.equal(q.totalCents, 400);
+  assert.equal(q.capped, false);
+
+  const capped = quoteDay({ snapshot, bucket: bucket(30), prepaidMinutes: { porn: 10 }, prepaidCents: 50 });
+  assert.equal(capped.totalCents, 450);
+  assert.equal(capped.capped, true);
+});
+
+test("the cap is shared across categories in order", () => {
+  const q = quoteDay({ snapshot: snap({ grace: { porn: 0, gambling: 0 }, dailyCap: 1 }), bucket: bucket(8, 5) });
+  assert.equal(q.perCat.porn.centsTotal, 80);
+  assert.equal(q.perCat.gambling.centsTotal, 20);
+  assert.equal(q.totalCents, 100);
+});
+
+test("offense days count earlier days of the week with paid minutes", () => {
+  const snapshot = snap({ escalation: [1, 2] });
+  assert.equal(offenseDayOf(snapshot, []), 1);
+  assert.equal(offenseDayOf(snapshot, [bucket(1), bucket(10), null, bucket(0, 9)]), 3);
+  const q = quoteDay({ snapshot, bucket: bucket(5), offenseDay: 2 });
+  assert.equal(q.multiplier, 2);
+  assert.equal(q.totalCents, 2 * 10 * 2);
+});
+
+test("week quotes price each day separately and report an effective rate", () => {
+  const snapshot = snap({
+    grace: { porn: 0, gambling: 0 },
+    schedules: { porn: [{ minutes: 2, rate: 0.1 }, { rate: 1 }] },
+  });
+  const w = quoteWeek({
+    snapshot,
+    days: [
+      { day: "2024-05-06", bucket: bucket(2) },
+      { day: "2024-05-07", bucket: bucket(3) },
+    ],
+  });
+  // day 1: 2 x 10c; day 2: 2 x 10c + 1 x 100c (tiers restart each day)
+  assert.equal(w.totalCents, 20 + 120);
+  assert.deepEqual(w.perCat.porn, { minutes: 5, centsPerMin: 28, centsTotal: 140 });
+  assert.deepEqual(w.days.map((d) => d.day), ["2024-05-06", "2024-05-07"]);
+});
+
+test("rollover carries sub-minimum totals and is applied once charged", () => {
+  assert.deepEqual(settleAmount({ totalCents: 30, rolloverCents: 0, minCents: 50 }), {
+    grandTotalCents: 30,
+    chargeCents: 0,
+    carryCents: 30,
+  });
+  assert.deepEqual(settleAmount({ totalCents: 30, rolloverCents: 30, minCents: 50 }), {
+    grandTotalCents: 60,
+    chargeCents: 60,
+    carryCents: 0,
+  });
+  assert.equal(settleAmount({ totalCents: 0, minCents: 50 }).carryCents, 0);
+});
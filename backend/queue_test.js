@@ -0,0 +1,66 @@
+// queue_test.js — the extension's durable tick queue (extension/lib/queue.js)
+// against the backend's tick verification (ticks.js), with chrome.* and fetch stubbed
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkTicks, deriveTickKey } from "./ticks.js";
+
+// In-memory chrome.storage.local and a backend that issues a new token per registration
+let storage = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: (keys, cb) => {
+        const list = keys == null ? Object.keys(storage) : [].concat(keys);
+        cb(Object.fromEntries(list.filter((k) => k in storage).map((k) => [k, structuredClone(storage[k])])));
+      },
+      set: (obj, cb) => {
+        Object.assign(storage, structuredClone(obj));
+        cb();
+      },
+    },
+  },
+  alarms: { create() {}, clear() {} },
+  runtime: { getManifest: () => ({ version: "test" }) },
+};
+
+let issued = 0;
+let lastSeq = 0;
+const accepted = [];
+const flags = [];
+globalThis.fetch = async (url, { headers = {}, body } = {}) => {
+  const json = (data, status = 200) => ({ ok: status < 300, status, json: async () => data });
+  const path = new URL(url).pathname;
+  if (path === "/api/register") return json({ ok: true, token: `token-${++issued}` });
+  if (path === "/api/track") {
+    const token = headers.Authorization?.replace(/^Bearer /, "");
+    const check = checkTicks({ events: JSON.parse(body).events, lastSeq, key: deriveTickKey(token) });
+    lastSeq = check.lastSeq;
+    accepted.push(...check.accepted);
+    flags.push(...check.flags);
+    return json({ ok: true });
+  }
+  return json({ ok: true });
+};
+
+const { enqueueTicks, flushTickQueue } = await import("../extension/lib/queue.js");
+const { registerDevice } = await import("../extension/lib/util.js");
+
+test("ticks queued before a re-registration verify with the new token", async () => {
+  storage = {};
+  let st = await registerDevice({ backendBaseUrl: "http://backend.test" });
+  const events = [1, 2, 3].map((i) => ({ url: "https://example.com/", seconds: 60, category: "porn", ts: i }));
+  await enqueueTicks(st, events);
+  assert.equal(storage.tickQueue[0].sig, undefined);
+
+  const reissued = await registerDevice({ ...st });
+  assert.notEqual(reissued.deviceToken, st.deviceToken);
+
+  // st still holds the old token, as the tick that read it would
+  const out = await flushTickQueue(st, { force: true });
+  assert.equal(out.sent, 3);
+  assert.deepEqual(flags, []);
+  assert.deepEqual(accepted.map((ev) => ev.seq), [1, 2, 3]);
+  assert.deepEqual(storage.tickQueue, []);
+});
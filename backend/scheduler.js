@@ -0,0 +1,97 @@
+/**
+ * ViceBank Backend — Job scheduler
+ * --------------------------------
+ * Durable queue for settlement work, kept in the `jobs` table (store.jobs).
+ * There is one job per (kind, user, period), so planning a period twice is a
+ * no-op. Workers claim due jobs under a lease inside an IMMEDIATE transaction:
+ * several processes sharing the DB file never run the same job at once, and a
+ * job whose worker died is picked up again once its lease runs out.
+ *
+ * A handler that throws is retried with exponential backoff; after maxAttempts
+ * the job is parked as "dead" until an admin requeues it. Whatever a handler
+ * returns is stored as the job's result.
+ */
+
+import os from "os";
+
+export const JOB_STATUSES = ["pending", "running", "done", "dead"];
+
+export function retryDelayMs(attempts, { baseMs, maxMs }) {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempts - 1));
+}
+
+export function createScheduler({
+  jobs,
+  handlers,
+  plan = null, // (now) => void; enqueues whatever has become due
+  workerId = `${os.hostname()}:${process.pid}`,
+  clock = () => Date.now(),
+  pollMs = 60 * 1000,
+  leaseMs = 5 * 60 * 1000,
+  maxAttempts = 5,
+  retryBaseMs = 15 * 60 * 1000,
+  retryMaxMs = 12 * 60 * 60 * 1000,
+  log = console,
+}) {
+  async function runJob(job) {
+    const handler = handlers[job.kind];
+    try {
+      if (!handler) throw new Error(`no handler for job kind ${job.kind}`);
+      const result = await handler(job);
+      if (!jobs.complete(job.id, workerId, result ?? null))
+        log.warn("[vicebank] job lease lost before completion", { id: job.id, kind: job.kind });
+      return { ...job, status: "done", result: result ?? null };
+    } catch (e) {
+      const error = String(e?.message || e);
+      const retryAt =
+        job.attempts < maxAttempts
+          ? clock() + retryDelayMs(job.attempts, { baseMs: retryBaseMs, maxMs: retryMaxMs })
+          : null;
+      jobs.fail(job.id, workerId, { error, retryAt });
+      log.error("[vicebank] job failed", { id: job.id, kind: job.kind, userId: job.userId, error, retryAt });
+      return { ...job, status: retryAt ? "pending" : "dead", lastError: error, runAt: retryAt };
+    }
+  }
+
+  // Plans, then drains every due job. Returns the jobs this worker ran.
+  async function tick() {
+    if (plan) plan(clock());
+    const ran = [];
+    let job;
+    while ((job = jobs.claim({ workerId, now: clock(), leaseMs }))) ran.push(await runJob(job));
+    return ran;
+  }
+
+  let timer = null;
+  let running = null;
+  // Overlapping calls share the pass already in flight
+  function runOnce() {
+    if (!running) {
+      running = tick()
+        .catch((e) => {
+          log.error("[vicebank] scheduler pass error", e?.message || e);
+          return [];
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  }
+
+  return {
+    workerId,
+    tick,
+    runOnce,
+    start() {
+      if (timer) return;
+      runOnce();
+      timer = setInterval(runOnce, pollMs);
+      timer.unref?.();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,142 @@
+// scheduler_test.js — durable settlement jobs: claim, retry, dead, leases
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createStore } from "./store.js";
+import { createScheduler, retryDelayMs } from "./scheduler.js";
+
+const quiet = { warn() {}, error() {} };
+
+function tempDbFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vicebank-jobs-"));
+  return path.join(dir, "test.db");
+}
+
+function fakeClock(start = 1_000_000) {
+  const clock = () => clock.now;
+  clock.now = start;
+  return clock;
+}
+
+test("a period is queued once and its handler result is stored", async () => {
+  const s = createStore();
+  const clock = fakeClock();
+  assert.equal(s.jobs.enqueue({ kind: "settle_nightly", userId: "u1", period: "2024-05-01", runAt: clock.now }), true);
+  assert.equal(s.jobs.enqueue({ kind: "settle_nightly", userId: "u1", period: "2024-05-01", runAt: clock.now }), false);
+
+  const seen = [];
+  const sched = createScheduler({
+    jobs: s.jobs,
+    clock,
+    log: quiet,
+    handlers: { settle_nightly: async (job) => (seen.push(job.period), { ok: true, charged: 120 }) },
+  });
+  const ran = await sched.tick();
+  assert.deepEqual(seen, ["2024-05-01"]);
+  assert.equal(ran.length, 1);
+  assert.equal(await sched.tick().then((r) => r.length), 0);
+
+  const [job] = s.jobs.list({ userId: "u1" });
+  assert.equal(job.status, "done");
+  assert.equal(job.attempts, 1);
+  assert.deepEqual(job.result, { ok: true, charged: 120 });
+  assert.equal(s.jobs.latestPeriod("u1", "settle_nightly"), "2024-05-01");
+  s.close();
+});
+
+test("failures back off, then park the job as dead until requeued", async () => {
+  const s = createStore();
+  const clock = fakeClock();
+  s.jobs.enqueue({ kind: "settle_weekly", userId: "u1", period: "2024-05-05", runAt: clock.now });
+  let calls = 0;
+  const sched = createScheduler({
+    jobs: s.jobs,
+    clock,
+    log: quiet,
+    maxAttempts: 3,
+    retryBaseMs: 1000,
+    retryMaxMs: 10_000,
+    handlers: {
+      settle_weekly: async () => {
+        calls++;
+        throw new Error("card_declined");
+      },
+    },
+  });
+
+  await sched.tick();
+  let job = s.jobs.get(1);
+  assert.equal(job.status, "pending");
+  assert.equal(job.runAt, clock.now + 1000);
+  assert.equal(job.lastError, "card_declined");
+
+  await sched.tick(); // not due yet
+  assert.equal(calls, 1);
+
+  clock.now += 1000;
+  await sched.tick();
+  assert.equal(s.jobs.get(1).runAt, clock.now + 2000);
+  clock.now += 2000;
+  await sched.tick();
+  job = s.jobs.get(1);
+  assert.equal(job.status, "dead");
+  assert.equal(calls, 3);
+
+  clock.now += 60_000;
+  await sched.tick();
+  assert.equal(calls, 3);
+  assert.equal(s.jobs.requeue(1, clock.now), true);
+  assert.equal(s.jobs.requeue(1, clock.now), false);
+  await sched.tick();
+  assert.equal(calls, 4);
+  assert.equal(s.jobs.get(1).attempts, 1);
+  assert.deepEqual(s.jobs.counts(), { pending: 1 });
+  s.close();
+});
+
+test("retry delay doubles up to the cap", () => {
+  const opts = { baseMs: 100, maxMs: 500 };
+  assert.deepEqual([1, 2, 3, 4].map((n) => retryDelayMs(n, opts)), [100, 200, 400, 500]);
+});
+
+test("two processes on one DB file never hold the same job", () => {
+  const file = tempDbFile();
+  const a = createStore({ file });
+  const b = createStore({ file });
+  a.jobs.enqueue({ kind: "settle_nightly", userId: "u1", period: "2024-05-01", runAt: 0 });
+
+  const now = 1_000_000;
+  const first = a.jobs.claim({ workerId: "a", now, leaseMs: 60_000 });
+  assert.equal(first.lockedBy, "a");
+  assert.equal(b.jobs.claim({ workerId: "b", now, leaseMs: 60_000 }), null);
+
+  // a crashed: once the lease runs out b takes over, and a can't finish it
+  const second = b.jobs.claim({ workerId: "b", now: now + 60_001, leaseMs: 60_000 });
+  assert.equal(second.id, first.id);
+  assert.equal(second.attempts, 2);
+  assert.equal(a.jobs.complete(first.id, "a", { ok: true }), false);
+  assert.equal(b.jobs.complete(first.id, "b", { ok: true }), true);
+  assert.equal(a.jobs.get(first.id).status, "done");
+  a.close();
+  b.close();
+});
+
+test("the plan hook queues work before due jobs are drained", async () => {
+  const s = createStore();
+  const clock = fakeClock();
+  const ran = [];
+  const sched = createScheduler({
+    jobs: s.jobs,
+    clock,
+    log: quiet,
+    plan: (now) => s.jobs.enqueue({ kind: "settle_nightly", userId: "u2", period: "2024-05-02", runAt: now }),
+    handlers: { settle_nightly: async (job) => ran.push(job.userId) },
+  });
+  await Promise.all([sched.runOnce(), sched.runOnce()]);
+  assert.deepEqual(ran, ["u2"]);
+  s.close();
+});
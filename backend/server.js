@@ -1,6 +1,6 @@
 /**
- * ViceBank Backend — Weekly Settlement (In-Memory, CommonJS)
- * ----------------------------------------------------------
+ * ViceBank Backend — Weekly Settlement (SQLite-backed, ESM)
+ * --------------------------------------------------------
  * - Tracks per-user daily usage by category/domain via /api/track
  * - Applies daily grace per category, sums billable whole minutes over a week
  * - Charges once per week (1 PaymentIntent) with rollover if < $0.50
@@ -8,6 +8,19 @@
  * ENV:
  *   STRIPE_SECRET_KEY=sk_test_...
  *   STRIPE_WEBHOOK_SECRET=whsec_...        (optional)
+ *   VICEBANK_DB_FILE=./data/vicebank.db    (optional, see store.js)
+ *   STRIPE_PORTAL_RETURN_URL=http://localhost:4242/dashboard   (optional)
+ *   VICEBANK_TOKEN_SECRET=...              (optional; generated + stored in the DB if unset)
+ *   VICEBANK_ADMIN_TOKEN=...               (enables /api/settle/nightly/run and other admin routes)
+ *   GAP_THRESHOLD_MINUTES=15               (heartbeat silence that counts as a gap)
+ *   GAP_PENALTY_POLICY=none|flat|per_hour  (+ GAP_PENALTY_CENTS, UNINSTALL_PENALTY_CENTS)
+ *   VICEBANK_NOTIFIER=console|file         (see notify.js)
+ *   SETTLE_SCHEDULER_ENABLED=true          (queue + run settlement jobs, see scheduler.js)
+ *   NIGHTLY_SETTLE_ENABLED=true            (default cadence nightly; implies the scheduler)
+ *   DUNNING_RETRY_DAYS=1,3,5,7             (gaps between retries of a declined settlement)
+ *   DUNNING_LOCK=true                      (lock Continue Paid once retries are used up)
+ *   BILLING_MODE=payment_intents|metered   (metered: Stripe subscription + meter events, see metered.js)
+ *   WALLET_MIN_CENTS=500 / WALLET_MAX_CENTS=50000   (prepaid wallet deposit bounds)
  *   PORT=4242
  */
 
@@ -20,7 +33,39 @@ import bodyParser from "body-parser";
 import path from "path";
 import fs from "fs";
 import os from "os";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
+import { createStore } from "./store.js";
+import { requireAuth, requireAdmin, signToken, verifyToken, sha256Hex } from "./auth.js";
+import { checkTicks, deriveTickKey } from "./ticks.js";
+import { createNotifier } from "./notify.js";
+import { createScheduler } from "./scheduler.js";
+import { createWebhookHandler } from "./webhooks.js";
+import { BILLING_MODES, createMeteredBilling, meteredConfigFromEnv } from "./metered.js";
+import {
+  CATEGORIES,
+  normalizeSnapshot,
+  validatePricing,
+  offenseDayOf,
+  quoteDay,
+  quoteWeek,
+  settleAmount,
+} from "../extension/lib/pricing.js";
+import { COOLING_OFF_HOURS, applySettingsChange, applyDuePending } from "../extension/lib/commitment.js";
+import { BLOCK_MODES } from "../extension/lib/blocking.js";
+import { COUNTING_MODES } from "../extension/lib/counting.js";
+import { ROUNDING_POLICIES } from "../extension/lib/tracking.js";
+import { DESTINATIONS, PLATFORM, getDestination, destinationFor, destinationMetadata } from "./destinations.js";
+import {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  timeZoneFromOffset,
+  localDayKey,
+  addDays,
+  weekdayOf,
+  weekOf,
+  hourOfWeek,
+} from "./tz.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -72,73 +117,10 @@ app.post(
   "/api/webhook",
   bodyParser.raw({ type: "application/json" }), // Must be raw for Stripe signature verification
   async (req, res) => {
-    console.log("[Webhook HIT]");
-    console.log("Headers:", req.headers);
-    console.log("Raw body:", req.body.toString()); // Buffer → string
-
     if (!stripe)
       return res.status(200).json({ received: true, disabled: true });
-
-    const sig = req.headers["stripe-signature"];
-    let event;
-    console.log("secret = ", process.env.STRIPE_WEBHOOK_SECRET);
-    try {
-      if (process.env.STRIPE_WEBHOOK_SECRET) {
-        // Production/verification mode
-        event = stripe.webhooks.constructEvent(
-          req.body, // raw Buffer
-          sig, // stripe-signature header
-          process.env.STRIPE_WEBHOOK_SECRET
-        );
-      } else {
-        // Local dev: skip signature verification
-        event = JSON.parse(req.body.toString());
-        console.log(
-          "[Webhook] STRIPE_WEBHOOK_SECRET not set; skipping signature verification."
-        );
-      }
-
-      // ===== Handle events =====
-      switch (event.type) {
-        case "checkout.session.completed": {
-          const session = event.data.object;
-          const userId = session.metadata.userId;
-          const customerId = session.customer;
-          const snap = consents.get(userId) || {};
-          consents.set(userId, { ...snap, customerId });
-          console.log(`[Webhook] Saved customerId for user ${userId}`);
-          break;
-        }
-        case "setup_intent.succeeded": {
-          const setupIntent = event.data.object;
-          const userId = setupIntent.metadata.userId;
-          const customerId = setupIntent.customer;
-          const paymentMethodId = setupIntent.payment_method;
-
-          // Attach payment method
-          await stripe.paymentMethods.attach(paymentMethodId, {
-            customer: customerId,
-          });
-
-          // Make it default
-          await stripe.customers.update(customerId, {
-            invoice_settings: { default_payment_method: paymentMethodId },
-          });
-
-          const snap = consents.get(userId) || {};
-          consents.set(userId, { ...snap, customerId, paymentMethodId });
-          console.log(`[Webhook] SetupIntent succeeded for user ${userId}`);
-          break;
-        }
-        default:
-          console.log(`[Webhook] Unhandled event type: ${event.type}`);
-      }
-
-      return res.json({ received: true, type: event.type });
-    } catch (err) {
-      console.error("[Webhook Error]", err);
-      return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
+    const { status, body } = await webhook.handle(req.body, req.headers["stripe-signature"]);
+    return res.status(status).send(body);
   }
 );
 
@@ -150,25 +132,6 @@ const publicDir = path.join(__dirname, "public");
 app.use(express.static(publicDir));
 
 /* -------------------- small utils -------------------- */
-function dayKey(ts = Date.now()) {
-  return new Date(ts).toISOString().slice(0, 10);
-} // YYYY-MM-DD
-
-function msUntilNextUTCMidnight() {
-  const now = new Date();
-  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1, 0, 0, 0, 0));
-  return Math.max(1000, next.getTime() - now.getTime());
-}
-
-function utcYesterdayStr() {
-  const d = new Date();
-  d.setUTCDate(d.getUTCDate() - 1);
-  d.setUTCHours(0, 0, 0, 0);
-  return d.toISOString().slice(0, 10);
-}
-function keyUserDay(userId, ts = Date.now()) {
-  return `${userId}::${dayKey(ts)}`;
-}
 function hostFromUrlSafe(u) {
   try {
     return new URL(u).hostname?.toLowerCase() || null;
@@ -180,18 +143,116 @@ function escapeRe(s) {
   return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-/* -------------------- in-memory stores -------------------- */
-// Replace with Firestore/SQL later
-const consents = new Map(); // userId -> { grace, rates, categoriesOn, ... }
-const sessions = new Map(); // sessionId -> { userId, startedAt, lastSeenAt, ... }
-const counters = new Map(); // key(userId,day) -> { updatedAt, byCategory, byDomain }
-const weeklyRolloversCents = new Map(); // userId -> cents (carry forward)
-const nightlyRolloversCents = new Map(); // userId -> cents (carry forward for nightly settlement)
+/* -------------------- persistent stores -------------------- */
+const VICEBANK_DB_FILE =
+  process.env.VICEBANK_DB_FILE || path.join(__dirname, "data", "vicebank.db");
+const store = createStore({ file: VICEBANK_DB_FILE });
+console.log(`[vicebank] store ${VICEBANK_DB_FILE} (schema v${store.schemaVersion})`);
+
+const consents = store.consents; // userId -> { grace, rates, categoriesOn, ... }
+const sessions = store.sessions; // sessionId -> { userId, startedAt, lastSeenAt, ... }
+const counters = store.counters; // (userId, day) -> { updatedAt, byCategory, byDomain }
+const rollovers = store.rollovers; // (userId, "weekly" | "nightly") -> cents (carry forward)
+const charges = store.charges; // direct Continue Paid charges (minutes already billed)
+const devices = store.devices; // deviceId -> { userId, installHash, revokedAt, lastSeq }
+const integrity = store.integrity; // tick gaps / replays / bad signatures / clock skew
+const gaps = store.gaps; // heartbeat-loss / uninstall periods per user
+const partners = store.partners; // accountability partners (read-only viewers)
+const donations = store.donations; // collected charges earmarked per destination
+const users = store.users; // userId -> IANA time zone
+const jobs = store.jobs; // settlement jobs per (kind, user, period)
+const debts = store.debts; // declined settlement charges awaiting payment
+const payments = store.payments; // every PaymentIntent we created, kept current by webhooks
+const disputes = store.disputes; // charges users contest, reviewed by an admin
+const excusedUsage = store.excusedUsage; // (userId, day, domain) taken out of billing by approved disputes
+const wallets = store.wallets; // prepaid deposits debited day by day instead of settlement charges
+
+/* -------------------- local days -------------------- */
+// Counters are keyed by the user's local calendar day (see tz.js). Until the
+// extension has sent a zone, days fall back to UTC.
+function timeZoneOf(userId) {
+  return users.timeZone(userId) || DEFAULT_TIME_ZONE;
+}
+
+function dayKey(userId, ts = Date.now()) {
+  return localDayKey(ts, timeZoneOf(userId));
+} // YYYY-MM-DD, user-local
+
+function daysAgoStr(userId, daysAgo = 0) {
+  return addDays(dayKey(userId), -daysAgo);
+}
+
+const notifier = createNotifier({
+  kind: process.env.VICEBANK_NOTIFIER || "file",
+  file: process.env.VICEBANK_NOTIFY_FILE || path.join(__dirname, "logs", "notifications.log"),
+});
+
+/* -------------------- auth (device tokens) -------------------- */
+function loadTokenSecret() {
+  if (process.env.VICEBANK_TOKEN_SECRET) return process.env.VICEBANK_TOKEN_SECRET;
+  let secret = store.meta.get("token_secret");
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    store.meta.set("token_secret", secret);
+    console.warn("[vicebank] VICEBANK_TOKEN_SECRET not set; generated one and stored it in the DB.");
+  }
+  return secret;
+}
+const TOKEN_SECRET = loadTokenSecret();
+const READ_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const auth = requireAuth({ secret: TOKEN_SECRET, devices });
+// Dashboard reads also accept short-lived "read" link tokens
+const readAuth = requireAuth({ secret: TOKEN_SECRET, devices, scopes: ["device", "read"] });
+// Filing a dispute is a write: "read" links can't, the popup's "dispute" link can
+const disputeAuth = requireAuth({ secret: TOKEN_SECRET, devices, scopes: ["device", "dispute"] });
+const adminOnly = requireAdmin(process.env.VICEBANK_ADMIN_TOKEN || "");
+
+function issueLinkToken(userId, scope = "read") {
+  const device = devices.active(userId)[0];
+  if (!device) return null;
+  const now = Date.now();
+  return signToken(
+    { sub: userId, did: device.deviceId, scope, iat: now, exp: now + READ_TOKEN_TTL_MS },
+    TOKEN_SECRET
+  );
+}
 
-// Nightly settlement config (runs at UTC midnight to match dayKey() bucketing)
+// Settlement cadence is per user (consent page): "nightly" settles each local
+// day after the user's midnight, "weekly" each Mon–Sun week after Sunday.
+// NIGHTLY_SETTLE_ENABLED only picks the default for users who haven't chosen.
+const SETTLEMENT_CADENCES = ["nightly", "weekly"];
 const NIGHTLY_SETTLE_ENABLED =
   String(process.env.NIGHTLY_SETTLE_ENABLED || "false") === "true";
+const DEFAULT_SETTLEMENT_CADENCE = NIGHTLY_SETTLE_ENABLED ? "nightly" : "weekly";
+const SETTLE_SCHEDULER_ENABLED =
+  NIGHTLY_SETTLE_ENABLED || String(process.env.SETTLE_SCHEDULER_ENABLED || "false") === "true";
 const NIGHTLY_SETTLE_MIN_CENTS = Number(process.env.NIGHTLY_SETTLE_MIN_CENTS || 50);
+// Smallest charge Stripe takes: weekly settlement rolls anything below it
+// forward, and Continue Paid leaves it for settlement
+const STRIPE_MIN_CENTS = 50;
+const SETTLE_CATCHUP_PERIODS = { nightly: 7, weekly: 4, metered: 7 }; // after downtime
+// Users' midnights fall on every quarter hour (UTC+5:45, UTC+9:30, ...)
+const SETTLE_POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+function cadenceOf(userId) {
+  const c = consents.get(userId)?.settlementCadence;
+  return SETTLEMENT_CADENCES.includes(c) ? c : DEFAULT_SETTLEMENT_CADENCE;
+}
+
+// "payment_intents" settles each period with one PaymentIntent (cadence above).
+// "metered" gives each customer a Stripe subscription and reports each ended
+// local day's billable minutes as meter events; Stripe prices and invoices
+// them, so tiers, the daily cap and rollovers don't apply (see metered.js).
+const BILLING_MODE = String(process.env.BILLING_MODE || "payment_intents");
+if (!BILLING_MODES.includes(BILLING_MODE))
+  throw new Error(`BILLING_MODE must be one of ${BILLING_MODES.join(", ")}`);
+const meteredConfig = BILLING_MODE === "metered" ? meteredConfigFromEnv() : null;
+if (BILLING_MODE === "metered" && !meteredConfig)
+  console.warn("[vicebank] BILLING_MODE=metered needs STRIPE_PRICE_PORN and STRIPE_PRICE_GAMBLING; using payment_intents.");
+const metered = meteredConfig && stripe ? createMeteredBilling({ stripe, ...meteredConfig }) : null;
+// Usage reports are jobs too, so metered mode always runs the scheduler
+const SCHEDULER_ENABLED = SETTLE_SCHEDULER_ENABLED || Boolean(metered);
 
 /* -------------------- categorization (robust) -------------------- */
 const PORN_SEEDS = [
@@ -236,19 +297,20 @@ function categorizeDomain(host) {
 }
 
 /* -------------------- counters -------------------- */
+// Returns the stored bucket for the day, or a fresh (unsaved) one.
+// byCategory[cat].hours: hour of the week -> whole minutes, so pricing can
+// apply the timetable (extension/lib/timetable.js) to each hour.
 function ensureCounterBucket(userId, ts = Date.now()) {
-  const k = keyUserDay(userId, ts);
-  if (!counters.has(k)) {
-    counters.set(k, {
+  return (
+    counters.get(userId, dayKey(userId, ts)) || {
       updatedAt: ts,
       byCategory: {
         porn: { minutes: 0, seconds: 0 },
         gambling: { minutes: 0, seconds: 0 },
       },
       byDomain: {}, // domain -> { seconds, category }
-    });
-  }
-  return counters.get(k);
+    }
+  );
 }
 
 function addUsage({ userId, domain, category, seconds, ts = Date.now() }) {
@@ -267,42 +329,204 @@ function addUsage({ userId, domain, category, seconds, ts = Date.now() }) {
     (bucket.byCategory[category] = { minutes: 0, seconds: 0 });
   cat.seconds += seconds;
   if (cat.seconds >= 60) {
-    cat.minutes += Math.floor(cat.seconds / 60);
+    const minutes = Math.floor(cat.seconds / 60);
+    const how = hourOfWeek(ts, timeZoneOf(userId));
+    cat.minutes += minutes;
     cat.seconds = cat.seconds % 60;
+    cat.hours = { ...cat.hours, [how]: (cat.hours?.[how] || 0) + minutes };
   }
+
+  counters.set(userId, dayKey(userId, ts), bucket);
 }
 
+/* -------------------- install registration -------------------- */
+// Called from the extension's onInstalled. installId is a client-generated
+// secret kept in chrome.storage; re-registering with the same one re-issues the
+// token (lost response, reload) and brings back a device revoked on uninstall.
+// A userId is bound to its first install: a new install can only claim a
+// userId never seen before, or one an admin has opened with /rebind.
+const REBIND_TTL_MS = 24 * 60 * 60 * 1000;
+
+// One-time claim set by /api/admin/devices/rebind
+function takeRebind(userId) {
+  const until = Number(store.meta.get(`rebind:${userId}`) || 0);
+  if (until < Date.now()) return false;
+  store.meta.set(`rebind:${userId}`, 0);
+  return true;
+}
+
+app.post("/api/register", (req, res) => {
+  const { userId, installId, extensionVersion } = req.body || {};
+  if (!userId || !installId)
+    return res.status(400).json({ error: "userId and installId required" });
+
+  const installHash = sha256Hex(installId);
+  const known = devices.all(userId);
+  let device = known.find((d) => d.installHash === installHash && !d.revokedAt);
+  if (!device) {
+    if (known.some((d) => !d.revokedAt))
+      return res.status(409).json({ error: "user_already_registered" });
+    device = known.findLast((d) => d.installHash === installHash);
+    if (device) {
+      devices.reinstate(device.deviceId);
+    } else if (users.known(userId) && !takeRebind(userId)) {
+      return res.status(409).json({ error: "rebind_required" });
+    } else {
+      device = { deviceId: crypto.randomUUID(), userId, installHash, extensionVersion };
+      devices.add(device);
+    }
+  }
+
+  const token = signToken(
+    { sub: userId, did: device.deviceId, scope: "device", iat: Date.now() },
+    TOKEN_SECRET
+  );
+  return res.json({ ok: true, userId, deviceId: device.deviceId, token });
+});
+
+// Support: a user who lost their install (new browser, reinstalled) gets to
+// claim their userId from a new install once, within REBIND_TTL_MS. Their
+// current devices are revoked.
+app.post("/api/admin/devices/rebind", adminOnly, (req, res) => {
+  const { userId } = req.body || {};
+  if (!userId) return res.status(400).json({ error: "userId required" });
+  const revoked = devices.active(userId).filter((d) => devices.revoke(d.deviceId)).length;
+  const rebindUntil = Date.now() + REBIND_TTL_MS;
+  store.meta.set(`rebind:${userId}`, rebindUntil);
+  return res.json({ ok: true, userId, revoked, rebindUntil });
+});
+
 /* -------------------- consent (dispute defense) -------------------- */
+// Pricing-relevant consent fields with defaults (see extension/lib/pricing.js)
 function getConsentSnapshot(userId) {
+  return normalizeSnapshot(consentInEffect(userId));
+}
+
+// Commitment contracts (extension/lib/commitment.js): a consent change that
+// lowers accountability is kept in pendingChanges until its cooling-off
+// period is over. Due changes are applied the next time the consent is read.
+function consentInEffect(userId, now = Date.now()) {
   const snap = consents.get(userId) || {};
-  // Grace should be per-category. Older clients may send a number; normalize.
-  let grace = snap.grace;
-  if (typeof grace === "number") grace = { porn: grace, gambling: grace };
-  grace = grace || { porn: 1, gambling: 0 }; // minutes per day (defaults)
-  const rates = snap.rates || { porn: 0.05, gambling: 0.5 }; // $/min (defaults)
-  const categoriesOn = snap.categoriesOn || { porn: true, gambling: true };
-  return { grace, rates, categoriesOn };
-}
-
-app.post("/api/consent", (req, res) => {
-  const { userId, extensionVersion, grace, rates, categoriesOn, tosHash } =
-    req.body || {};
-  if (!userId) return res.status(400).json({ error: "userId required" });
+  const { settings, pending, applied } = applyDuePending(snap, snap.pendingChanges, now);
+  if (applied.length === 0) return snap;
+  consents.set(userId, { ...settings, pendingChanges: pending });
+  console.log(`[vicebank] cooling-off over for user ${userId}: ${applied.join(", ")}`);
+  return consents.get(userId);
+}
 
-  consents.set(userId, {
-    ts: Date.now(),
-    ip: req.ip,
-    ua: req.get("user-agent"),
+function pendingChangesView(pending = []) {
+  return pending.map(({ group, patch, requestedAt, effectiveAt }) => ({
+    group,
+    patch,
+    requestedAt: new Date(requestedAt).toISOString(),
+    effectiveAt: new Date(effectiveAt).toISOString(),
+  }));
+}
+
+app.post("/api/consent", auth, (req, res) => {
+  const userId = req.userId;
+  const {
     extensionVersion,
     grace,
     rates,
     categoriesOn,
     tosHash,
-  });
+    accountabilityContact,
+    destination,
+    schedules,
+    escalation,
+    dailyCap,
+    timetable,
+    settlementCadence,
+    coolingOffHours,
+    enabled,
+    blockMode,
+    countingMode,
+    roundingPolicy,
+  } = req.body || {};
+  const pricingError = validatePricing({ schedules, escalation, dailyCap, timetable });
+  if (pricingError) return res.status(400).json({ error: pricingError });
+  // Left out (e.g. a save of unrelated settings): the saved choice stays
+  const hasDestination = destination != null && destination !== "";
+  if (hasDestination && destination !== PLATFORM.id && !getDestination(destination))
+    return res.status(400).json({ error: "unknown destination" });
+  if (settlementCadence && !SETTLEMENT_CADENCES.includes(settlementCadence))
+    return res.status(400).json({ error: "invalid settlementCadence" });
+  if (coolingOffHours != null && !COOLING_OFF_HOURS.includes(coolingOffHours))
+    return res.status(400).json({ error: `coolingOffHours must be one of ${COOLING_OFF_HOURS.join(", ")}` });
+  if (enabled != null && typeof enabled !== "boolean") return res.status(400).json({ error: "enabled must be a boolean" });
+  if (blockMode != null && Object.values(blockMode).some((m) => !BLOCK_MODES.includes(m)))
+    return res.status(400).json({ error: `blockMode must be one of ${BLOCK_MODES.join(", ")}` });
+  if (countingMode != null && !COUNTING_MODES.includes(countingMode))
+    return res.status(400).json({ error: `countingMode must be one of ${COUNTING_MODES.join(", ")}` });
+  if (roundingPolicy != null && !ROUNDING_POLICIES.includes(roundingPolicy))
+    return res.status(400).json({ error: `roundingPolicy must be one of ${ROUNDING_POLICIES.join(", ")}` });
+
+  // Merged into the previous consent, so the Stripe customer / payment method
+  // stay. Only fields the request sends are changed (applySettingsChange treats
+  // every key in the patch as asked for); the rest keep their saved values.
+  const prev = consentInEffect(userId);
+  const body = req.body || {};
+  const fields = {
+    extensionVersion,
+    grace,
+    rates,
+    categoriesOn,
+    schedules: schedules || undefined,
+    escalation: escalation || undefined,
+    dailyCap: dailyCap ?? undefined,
+    timetable: timetable?.length ? timetable : undefined,
+    tosHash,
+    accountabilityContact: accountabilityContact || null,
+    destination: hasDestination ? getDestination(destination)?.id || PLATFORM.id : prev.destination || PLATFORM.id,
+    settlementCadence: settlementCadence || prev.settlementCadence,
+    coolingOffHours: coolingOffHours ?? prev.coolingOffHours,
+    enabled,
+    blockMode,
+    countingMode,
+    roundingPolicy,
+  };
+  const next = {
+    ts: Date.now(),
+    ip: req.ip,
+    ua: req.get("user-agent"),
+    ...Object.fromEntries(Object.entries(fields).filter(([k]) => k in body)),
+  };
+  const { settings, pending, deferred } = applySettingsChange(prev, next, { pending: prev.pendingChanges });
+  consents.set(userId, { ...settings, pendingChanges: pending });
+
+  if (deferred.length > 0) {
+    const effectiveAt = Math.max(...pending.filter((p) => deferred.includes(p.group)).map((p) => p.effectiveAt));
+    const when = new Date(effectiveAt).toUTCString();
+    notifyPartners(userId, {
+      event: "settings_loosened",
+      subject: "ViceBank: settings are being relaxed",
+      text: `A change that lowers accountability (${deferred.join(", ")}) was requested. It takes effect ${when} unless it is canceled.`,
+    });
+  }
+  return res.json({ ok: true, deferred, pendingChanges: pendingChangesView(pending) });
+});
 
-  return res.json({ ok: true });
+app.get("/api/consent/pending", readAuth, (req, res) =>
+  res.json({ ok: true, pendingChanges: pendingChangesView(consentInEffect(req.userId).pendingChanges) })
+);
+
+// Dropping a pending change only keeps things as they are, so it's immediate
+app.delete("/api/consent/pending/:group", auth, (req, res) => {
+  const snap = consentInEffect(req.userId);
+  const pending = snap.pendingChanges || [];
+  if (!pending.some((p) => p.group === req.params.group))
+    return res.status(404).json({ error: "no pending change for that group" });
+  const rest = pending.filter((p) => p.group !== req.params.group);
+  consents.set(req.userId, { ...snap, pendingChanges: rest });
+  return res.json({ ok: true, pendingChanges: pendingChangesView(rest) });
 });
 
+// Choices for the consent page
+app.get("/api/destinations", (_req, res) =>
+  res.json({ ok: true, destinations: [PLATFORM, ...DESTINATIONS] })
+);
+
 /* -------------------- health + demo pages -------------------- */
 app.get("/", (_req, res) =>
   res.json({ ok: true, service: "vicebank-backend-direct" })
@@ -316,16 +540,18 @@ app.get("/landing-dynamic", (_req, res) =>
 app.get("/dashboard", (_req, res) =>
   res.sendFile(path.join(publicDir, "dashboard.html"))
 );
+app.get("/statements", (_req, res) =>
+  res.sendFile(path.join(publicDir, "statements.html"))
+);
 
-app.post("/api/stripe/setup-intent", async (req, res) => {
+app.post("/api/stripe/setup-intent", auth, async (req, res) => {
   if (!stripe)
     return res
       .status(500)
       .json({ error: "Stripe not configured. Set STRIPE_SECRET_KEY." });
 
   try {
-    const { userId } = req.body || {};
-    if (!userId) return res.status(400).json({ error: "userId required" });
+    const userId = req.userId;
 
     // Create SetupIntent so user can add a payment method without charging
     const setupIntent = await stripe.setupIntents.create({
@@ -341,11 +567,10 @@ app.post("/api/stripe/setup-intent", async (req, res) => {
 });
 
 // Create a Stripe Checkout Session (for adding a payment method)
-app.post("/api/stripe/checkout-session", async (req, res) => {
+app.post("/api/stripe/checkout-session", auth, async (req, res) => {
   if (!stripe) return res.status(500).json({ error: "Stripe not configured" });
 
-  const { userId } = req.body || {};
-  if (!userId) return res.status(400).json({ error: "userId required" });
+  const userId = req.userId;
 
   try {
     const session = await stripe.checkout.sessions.create({
@@ -414,25 +639,73 @@ app.post("/api/stripe/checkout-success", async (req, res) => {
       );
     }
 
-    res.json({ ok: true, userId, customerId });
+    // Short-lived link token so the success page can open the dashboard
+    const dashboardToken = userId ? issueLinkToken(userId) : null;
+    res.json({ ok: true, userId, customerId, dashboardToken });
   } catch (err) {
     console.error("Checkout success processing failed:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Stripe customer billing portal (popup "Manage Billing": cards + invoices)
+const STRIPE_PORTAL_RETURN_URL =
+  process.env.STRIPE_PORTAL_RETURN_URL || "http://localhost:4242/dashboard";
+
+app.get("/api/portal", auth, async (req, res) => {
+  if (!stripe) return res.status(500).json({ error: "Stripe not configured" });
+
+  const userId = req.userId;
+
+  // No consent snapshot => the user never finished setup; don't mint a customer.
+  if (!consents.get(userId))
+    return res.status(404).json({
+      error: "no_customer",
+      message: "No billing account yet. Finish setup in the ViceBank options page first.",
+    });
+
+  try {
+    const customerId = await getOrCreateCustomer(userId);
+    const returnUrl = new URL(STRIPE_PORTAL_RETURN_URL);
+    returnUrl.searchParams.set("userId", userId);
+
+    const portal = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl.toString(),
+    });
+    return res.json({ url: portal.url });
+  } catch (err) {
+    console.error("Billing portal session failed:", err);
+    return res.status(400).json({ error: String(err.message) });
+  }
+});
+
 /* -------------------- session + tracking -------------------- */
-app.post("/api/session/start", (req, res) => {
-  const { userId, sessionId, extensionVersion, tzOffsetMinutes } =
-    req.body || {};
-  if (!userId || !sessionId)
-    return res.status(400).json({ error: "userId and sessionId required" });
+app.post("/api/session/start", auth, (req, res) => {
+  const userId = req.userId;
+  const { sessionId, extensionVersion, timeZone, tzOffsetMinutes } = req.body || {};
+  if (!sessionId) return res.status(400).json({ error: "sessionId required" });
+  if (timeZone !== undefined && !isValidTimeZone(timeZone))
+    return res.status(400).json({ error: "invalid timeZone" });
+
+  // A session id belongs to the user who opened it
+  const existing = sessions.get(sessionId);
+  if (existing && existing.userId !== userId)
+    return res.status(403).json({ error: "cross_user_access" });
+
+  // Older extensions only send an offset; never let it replace a real zone.
+  if (timeZone) {
+    if (timeZone !== users.timeZone(userId)) users.setTimeZone(userId, timeZone);
+  } else if (Number.isFinite(tzOffsetMinutes) && !users.timeZone(userId)) {
+    users.setTimeZone(userId, timeZoneFromOffset(tzOffsetMinutes));
+  }
 
   const now = Date.now();
+  markSeen(userId, now);
   sessions.set(sessionId, {
     userId,
     sessionId,
-    startedAt: sessions.get(sessionId)?.startedAt ?? now,
+    startedAt: existing?.startedAt ?? now,
     lastSeenAt: now,
     ua: req.get("user-agent"),
     ip: req.ip,
@@ -447,28 +720,49 @@ app.post("/api/session/start", (req, res) => {
     sessionId,
     userId,
     startedAt: sessions.get(sessionId).startedAt,
+    timeZone: timeZoneOf(userId),
   });
 });
 
-app.post("/api/track", (req, res) => {
-  const { userId, sessionId, events } = req.body || {};
+app.post("/api/track", auth, (req, res) => {
+  const userId = req.userId;
+  const { sessionId, events, sentAt } = req.body || {};
   console.log("user id in backend = ", userId);
   console.log("session id in backend = ", sessionId);
   console.log("is events an array = ", Array.isArray(events));
-  if (!userId || !sessionId || !Array.isArray(events)) {
-    return res
-      .status(400)
-      .json({ error: "userId, sessionId, events[] required" });
+  if (!sessionId || !Array.isArray(events)) {
+    return res.status(400).json({ error: "sessionId, events[] required" });
   }
   const sess = sessions.get(sessionId);
   if (!sess || sess.userId !== userId) {
     return res.status(400).json({ error: "unknown or mismatched sessionId" });
   }
 
+  markSeen(userId);
+
+  // Verify seq + HMAC per event; replays and forged events are dropped here.
+  const deviceId = req.auth.did;
+  const device = devices.get(deviceId);
+  const check = checkTicks({
+    events,
+    lastSeq: device?.lastSeq || 0,
+    key: deriveTickKey(req.authToken),
+    sentAt: Number(sentAt),
+  });
+  devices.setLastSeq(deviceId, check.lastSeq);
+  for (const f of check.flags) integrity.add({ userId, sessionId, deviceId, ...f });
+  if (check.flags.length > 0) {
+    sess.suspicious = true;
+    sess.flags = sess.flags || {};
+    for (const f of check.flags) sess.flags[f.kind] = (sess.flags[f.kind] || 0) + 1;
+    console.warn("[vicebank] tick integrity flags", { userId, sessionId, flags: check.flags });
+  }
+
+  const todayBefore = computeDailyBillable({ userId, dayStr: dayKey(userId) });
+
   let accepted = 0;
   const acceptedEvents = [];
-  for (const ev of events) {
-    if (!ev) continue;
+  for (const ev of check.accepted) {
     const ts = Number.isFinite(ev.ts) ? ev.ts : Date.now();
     const domain =
       (ev.domain || hostFromUrlSafe(ev.url))?.replace(/^www\./, "") || null;
@@ -482,25 +776,19 @@ app.post("/api/track", (req, res) => {
   }
 
   sess.lastSeenAt = Date.now();
+  sessions.set(sessionId, sess);
+  notifyThresholdCrossings(userId, todayBefore, computeDailyBillable({ userId, dayStr: dayKey(userId) }));
   const bucket = ensureCounterBucket(userId);
 
   // Append a durable log line for each /api/track tick
   try {
-    const today = dayKey(); // UTC day string
+    const today = dayKey(userId);
     const daily = computeDailyBillable({ userId, dayStr: today });
 
-    // "Wallet" preview (weekly billable + rollover). Uses session tzOffset if present.
-    const tzOffsetMinutes = Number(sess?.tzOffsetMinutes ?? 0);
-    const { weekStartUTC, weekEndUTC, weekStartStr, weekEndStr } = getWeekBounds({
-      tzOffsetMinutes,
-    });
-    const { totalCents } = collectWeeklyBillableMinutes({
-      userId,
-      weekStartUTC,
-      weekEndUTC,
-      tzOffsetMinutes,
-    });
-    const rollover = weeklyRolloversCents.get(userId) || 0;
+    // "Wallet" preview (weekly billable + rollover) for the user's local week
+    const { weekStartStr, weekEndStr } = weekOf(today);
+    const { totalCents } = collectWeeklyBillableMinutes({ userId, weekStartStr, weekEndStr });
+    const rollover = rollovers.get(userId, "weekly");
 
     // Make grace-vs-billable explicit (per day, per category)
     const minutes = daily?.minutes || {};
@@ -542,8 +830,10 @@ app.post("/api/track", (req, res) => {
   return res.json({
     ok: true,
     accepted,
+    lastSeq: check.lastSeq,
+    flags: check.flags.map((f) => f.kind),
     snapshot: {
-      day: dayKey(),
+      day: dayKey(userId),
       byCategory: bucket.byCategory,
       topDomains: Object.entries(bucket.byDomain)
         .sort((a, b) => b[1].seconds - a[1].seconds)
@@ -557,8 +847,290 @@ app.post("/api/track", (req, res) => {
   });
 });
 
-app.post("/api/session/stop", (req, res) => {
-  const { userId, sessionId } = req.body || {};
+/* -------------------- heartbeat gaps + uninstall -------------------- */
+// The worker heartbeats every minute (even when paused or idle). Silence longer
+// than GAP_THRESHOLD_MINUTES is recorded as a gap on the day it started, and an
+// optional penalty is added to the user's next settlement.
+const GAP_THRESHOLD_MINUTES = Number(process.env.GAP_THRESHOLD_MINUTES || 15);
+const GAP_PENALTY_POLICY = process.env.GAP_PENALTY_POLICY || "none"; // none | flat | per_hour
+const GAP_PENALTY_CENTS = Number(process.env.GAP_PENALTY_CENTS || 0);
+const UNINSTALL_PENALTY_CENTS = Number(process.env.UNINSTALL_PENALTY_CENTS || 0);
+const GAP_SCAN_INTERVAL_MS = 5 * 60 * 1000;
+
+function gapPenaltyCents(minutes) {
+  if (minutes < GAP_THRESHOLD_MINUTES) return 0;
+  if (GAP_PENALTY_POLICY === "flat") return GAP_PENALTY_CENTS;
+  if (GAP_PENALTY_POLICY === "per_hour") return Math.ceil(minutes / 60) * GAP_PENALTY_CENTS;
+  return 0;
+}
+
+// Penalties ride on the rollover of the user's settlement cadence.
+function addPenalty(userId, cents) {
+  if (!(cents > 0)) return;
+  const kind = cadenceOf(userId);
+  rollovers.set(userId, kind, rollovers.get(userId, kind) + cents);
+}
+
+function closeGap(gap, endedAt) {
+  const minutes = Math.round((endedAt - gap.startedAt) / 60000);
+  const penaltyCents = gapPenaltyCents(minutes);
+  gaps.close(gap.id, { endedAt, minutes, penaltyCents });
+  addPenalty(gap.userId, penaltyCents);
+  console.log("[vicebank] heartbeat gap closed", { userId: gap.userId, minutes, penaltyCents });
+}
+
+// Call before updating the session's lastSeenAt.
+function markSeen(userId, now = Date.now()) {
+  const open = gaps.current(userId);
+  if (open) {
+    if (open.reason === "heartbeat_lost") closeGap(open, now);
+    return;
+  }
+  // Resumed before the monitor noticed: record the gap retroactively.
+  const last = sessions.lastSeen(userId);
+  if (last && now - last > GAP_THRESHOLD_MINUTES * 60000) {
+    const id = gaps.open({ userId, day: dayKey(userId, last), reason: "heartbeat_lost", startedAt: last });
+    closeGap({ id, userId, startedAt: last }, now);
+  }
+}
+
+function scanHeartbeatGaps(now = Date.now()) {
+  let opened = 0;
+  for (const { userId, lastSeenAt } of sessions.lastSeenByUser()) {
+    if (now - lastSeenAt <= GAP_THRESHOLD_MINUTES * 60000) continue;
+    if (gaps.current(userId)) continue;
+    gaps.open({ userId, day: dayKey(userId, lastSeenAt), reason: "heartbeat_lost", startedAt: lastSeenAt });
+    opened++;
+  }
+  if (opened) console.log(`[vicebank] heartbeat monitor opened ${opened} gap(s)`);
+  return opened;
+}
+
+function scheduleGapMonitor() {
+  setInterval(() => {
+    try {
+      scanHeartbeatGaps();
+    } catch (e) {
+      console.error("[vicebank] heartbeat monitor error", e?.message || e);
+    }
+  }, GAP_SCAN_INTERVAL_MS).unref();
+}
+
+// A pause is in effect only once the consent snapshot has it (after any
+// cooling-off). An extension that stops tracking before then is recorded as an
+// "early_pause" gap, with the same penalty as lost heartbeats.
+app.post("/api/heartbeat", auth, (req, res) => {
+  const userId = req.userId;
+  const { sessionId, enabled } = req.body || {};
+  const sess = sessions.get(sessionId);
+  if (!sess || sess.userId !== userId) {
+    return res.status(400).json({ error: "unknown or mismatched sessionId" });
+  }
+  const now = Date.now();
+  markSeen(userId, now);
+  const paused = consentInEffect(userId, now).enabled === false;
+  const open = gaps.current(userId);
+  if (enabled === false && !paused) {
+    if (!open) gaps.open({ userId, day: dayKey(userId, now), reason: "early_pause", startedAt: now });
+  } else if (open?.reason === "early_pause") {
+    closeGap(open, now);
+  }
+  if (paused && sess.enabled !== false) {
+    notifyPartners(userId, {
+      event: "paused",
+      subject: "ViceBank tracking was paused",
+      text: "Tracking was just paused from the extension. Minutes are not being counted until it resumes.",
+    });
+  }
+  sessions.set(sessionId, { ...sess, lastSeenAt: now, enabled: !paused });
+
+  // Unpaid settlement charges drive the extension's badge and notification
+  const { status, outstandingCents } = billingStatus(userId);
+  const billing = { status, outstandingCents, payUrl: status === "ok" ? null : payUrl(req, userId) };
+  return res.json({ ok: true, lastSeenAt: now, billing, wallet: walletView(userId) });
+});
+
+// URL for chrome.runtime.setUninstallURL(); carries a single-purpose token so
+// nobody can report someone else's uninstall.
+app.get("/api/uninstall-url", auth, (req, res) => {
+  const token = signToken(
+    { sub: req.userId, did: req.auth.did, scope: "uninstall", iat: Date.now() },
+    TOKEN_SECRET
+  );
+  const url = `${req.protocol}://${req.get("host")}/uninstalled?t=${encodeURIComponent(token)}`;
+  return res.json({ ok: true, url });
+});
+
+app.get("/uninstalled", async (req, res) => {
+  const payload = verifyToken(req.query.t?.toString(), TOKEN_SECRET);
+  if (payload?.scope === "uninstall" && devices.revoke(payload.did)) {
+    const userId = payload.sub;
+    const now = Date.now();
+    const open = gaps.current(userId);
+    if (open?.reason === "heartbeat_lost") closeGap(open, now);
+    gaps.open({
+      userId,
+      day: dayKey(userId, now),
+      reason: "uninstall",
+      startedAt: now,
+      penaltyCents: UNINSTALL_PENALTY_CENTS,
+    });
+    addPenalty(userId, UNINSTALL_PENALTY_CENTS);
+    console.log("[vicebank] uninstall recorded", { userId, deviceId: payload.did });
+
+    await notifyPartners(userId, {
+      event: "uninstall",
+      subject: "ViceBank was uninstalled",
+      text:
+        "The person who listed you as their accountability contact just uninstalled ViceBank. " +
+        "Tracking has stopped. It might be worth checking in with them.",
+    });
+  }
+  return res.sendFile(path.join(publicDir, "uninstalled.html"));
+});
+
+/* -------------------- accountability partners -------------------- */
+// A user invites a partner by email; the partner's link carries a "partner"
+// token and opens a read-only view (streak + billable, domains only if the
+// user allowed it). Active partners, plus the consent's accountabilityContact,
+// are notified on grace crossed / streak broken / paused / uninstall.
+function partnerToken(p) {
+  return signToken({ sub: p.userId, pid: p.id, scope: "partner", iat: Date.now() }, TOKEN_SECRET);
+}
+
+function notifyPartners(userId, { event, subject, text }) {
+  const to = new Set(
+    partners
+      .forUser(userId)
+      .filter((p) => p.status === "active")
+      .map((p) => p.email)
+  );
+  const contact = consents.get(userId)?.accountabilityContact;
+  if (contact) to.add(contact);
+  return Promise.all(
+    Array.from(to).map((email) => notifier.notify({ to: email, userId, event, subject, text }))
+  );
+}
+
+// Compares today's billable state before/after a /api/track batch.
+function notifyThresholdCrossings(userId, before, after) {
+  for (const cat of ["porn", "gambling"]) {
+    if (!(before.billableMinutes?.[cat] > 0) && after.billableMinutes?.[cat] > 0) {
+      notifyPartners(userId, {
+        event: "grace_crossed",
+        subject: `ViceBank: grace used for ${cat}`,
+        text: `Today's free ${cat} minutes are used up; minutes are now being billed.`,
+      });
+    }
+  }
+  if (!(before.billableCents > 0) && after.billableCents > 0) {
+    const streak = computeStreakDays(userId, { startDaysAgo: 1 });
+    if (streak > 0) {
+      notifyPartners(userId, {
+        event: "streak_broken",
+        subject: `ViceBank: a ${streak}-day streak just ended`,
+        text: `A clean streak of ${streak} day${streak === 1 ? "" : "s"} ended today.`,
+      });
+    }
+  }
+}
+
+function partnerSummary(userId, { shareDomains }) {
+  const streakStats = computeStreakStats(userId);
+  const last14 = [];
+  const domains = {};
+  for (let i = 13; i >= 0; i--) {
+    const dayStr = daysAgoStr(userId, i);
+    const d = computeDailyBillable({ userId, dayStr });
+    last14.push({
+      day: dayStr,
+      status: !d.exists ? "no_data" : d.billableCents > 0 ? "billable" : "clean",
+      billableCents: d.billableCents,
+      billableMinutes: d.billableMinutes,
+    });
+    if (shareDomains && d.exists) {
+      for (const [domain, v] of Object.entries(getBucketByDay(userId, dayStr)?.byDomain || {})) {
+        domains[domain] = (domains[domain] || 0) + v.seconds;
+      }
+    }
+  }
+  return {
+    streak: {
+      days: streakStats.currentStreakDays,
+      totalCleanDays: streakStats.totalCleanDays,
+      lastStreak: streakStats.lastStreak,
+      lastBreakDay: streakStats.lastBreakDay,
+    },
+    last14,
+    topDomains: shareDomains
+      ? Object.entries(domains)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([domain, seconds]) => ({ domain, minutes: Math.round(seconds / 60) }))
+      : null,
+  };
+}
+
+app.post("/api/partners", auth, async (req, res) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))
+    return res.status(400).json({ error: "valid email required" });
+  if (partners.forUser(req.userId).some((p) => p.email === email))
+    return res.status(409).json({ error: "partner_already_invited" });
+
+  const p = {
+    id: crypto.randomUUID(),
+    userId: req.userId,
+    email,
+    shareDomains: req.body?.shareDomains === true,
+  };
+  partners.add(p);
+  const inviteUrl = `${req.protocol}://${req.get("host")}/partner#token=${encodeURIComponent(partnerToken(p))}`;
+
+  await notifier.notify({
+    to: email,
+    userId: req.userId,
+    event: "partner_invite",
+    subject: "You've been invited as a ViceBank accountability partner",
+    text:
+      "Someone asked you to be their accountability partner on ViceBank. " +
+      `Open this link to see their progress (read-only): ${inviteUrl}`,
+  });
+  return res.json({ ok: true, partnerId: p.id, inviteUrl });
+});
+
+app.get("/api/partners", auth, (req, res) => {
+  return res.json({
+    ok: true,
+    partners: partners.forUser(req.userId).map(({ userId, ...p }) => p),
+  });
+});
+
+app.delete("/api/partners/:id", auth, (req, res) => {
+  if (!partners.revoke(req.params.id, req.userId))
+    return res.status(404).json({ error: "partner not found" });
+  return res.json({ ok: true });
+});
+
+// Partner side: bearer = partner token from the invite link
+app.get("/api/partner/view", (req, res) => {
+  const h = req.get("authorization") || "";
+  const payload = verifyToken(h.startsWith("Bearer ") ? h.slice(7) : null, TOKEN_SECRET);
+  const p = payload?.scope === "partner" ? partners.get(payload.pid) : null;
+  if (!p || p.status === "revoked" || p.userId !== payload.sub)
+    return res.status(401).json({ error: "invite_invalid_or_revoked" });
+
+  if (p.status === "invited") partners.accept(p.id);
+  return res.json({ ok: true, ...partnerSummary(p.userId, { shareDomains: p.shareDomains }) });
+});
+
+app.get("/partner", (_req, res) =>
+  res.sendFile(path.join(publicDir, "partner.html"))
+);
+
+app.post("/api/session/stop", auth, (req, res) => {
+  const userId = req.userId;
+  const { sessionId } = req.body || {};
   const sess = sessions.get(sessionId);
   if (!sess || sess.userId !== userId) {
     return res.status(400).json({ error: "unknown or mismatched sessionId" });
@@ -571,13 +1143,12 @@ app.post("/api/session/stop", (req, res) => {
   });
 });
 
-app.get("/api/counters/today", (req, res) => {
-  const userId = req.query.userId;
-  if (!userId) return res.status(400).json({ error: "userId required" });
+app.get("/api/counters/today", readAuth, (req, res) => {
+  const userId = req.userId;
   const bucket = ensureCounterBucket(userId);
   return res.json({
     ok: true,
-    day: dayKey(),
+    day: dayKey(userId),
     updatedAt: bucket.updatedAt,
     byCategory: bucket.byCategory,
     byDomain: bucket.byDomain,
@@ -585,54 +1156,79 @@ app.get("/api/counters/today", (req, res) => {
 });
 
 /* -------------------- dashboard stats -------------------- */
-function daysAgoUTCStr(daysAgo = 0) {
-  const d = new Date();
-  d.setUTCDate(d.getUTCDate() - daysAgo);
-  d.setUTCHours(0, 0, 0, 0);
-  return d.toISOString().slice(0, 10);
-}
-
 function getBucketByDay(userId, dayStr) {
-  const k = `${userId}::${dayStr}`;
-  return counters.get(k) || null;
+  return counters.get(userId, dayStr);
 }
 
-function computeDailyBillable({ userId, dayStr }) {
-  const { grace, rates, categoriesOn } = getConsentSnapshot(userId);
-  const bucket = getBucketByDay(userId, dayStr);
-  if (!bucket) return { exists: false, billableCents: 0, minutes: {}, billableMinutes: {} };
-
-  const minutes = {};
-  const billableMinutes = {};
-  let billableCents = 0;
+/* -------------------- pricing (tiers, escalation, daily cap) -------------------- */
+// The math lives in extension/lib/pricing.js; these helpers only load the
+// inputs (consent snapshot, day buckets, prior charges) from the store.
+
+// 1-based: 1 + earlier days this local week (Mon–Sun) that had paid minutes
+function offenseDayFor(userId, dayStr, snapshot) {
+  if (!Array.isArray(snapshot.escalation) || snapshot.escalation.length < 2) return 1;
+  const sinceMonday = weekdayOf(dayStr);
+  const earlier = [];
+  for (let i = 1; i <= sinceMonday; i++) earlier.push(getBucketByDay(userId, addDays(dayStr, -i)));
+  return offenseDayOf(snapshot, earlier);
+}
 
-  for (const cat of ["porn", "gambling"]) {
-    const m = Number(bucket?.byCategory?.[cat]?.minutes || 0);
-    minutes[cat] = m;
+// What's already been charged for a day via /api/charge
+function prepaidFor(userId, dayStr) {
+  const prepaidMinutes = {};
+  for (const cat of CATEGORIES) prepaidMinutes[cat] = charges.chargedMinutes(userId, dayStr, cat);
+  return { prepaidMinutes, prepaidCents: charges.chargedCents(userId, dayStr) };
+}
 
-    if (!categoriesOn?.[cat]) {
-      billableMinutes[cat] = 0;
-      continue;
-    }
+// Day quote input for quoteDay()/quoteWeek(); excludePrepaid skips charged minutes
+// Domains excused by an approved dispute drop out of the day's category time,
+// so they are neither billed again nor counted against the streak.
+function withoutExcused(userId, dayStr, bucket) {
+  const excused = bucket ? excusedUsage.domains(userId, dayStr) : [];
+  if (excused.length === 0) return bucket;
+  const out = { ...bucket, byCategory: structuredClone(bucket.byCategory), byDomain: { ...bucket.byDomain } };
+  for (const domain of excused) {
+    const d = out.byDomain[domain];
+    const cat = d && out.byCategory[d.category];
+    delete out.byDomain[domain];
+    if (!cat) continue;
+    const left = Math.max(0, cat.minutes * 60 + (cat.seconds || 0) - d.seconds);
+    cat.minutes = Math.floor(left / 60);
+    cat.seconds = left % 60;
+  }
+  return out;
+}
 
-    const g = Math.max(0, Number(grace?.[cat] ?? 0));
-    const billable = Math.max(0, m - g);
-    billableMinutes[cat] = billable;
+function dayInput(
+  userId,
+  dayStr,
+  snapshot,
+  { bucket = getBucketByDay(userId, dayStr), excludePrepaid = false } = {}
+) {
+  return {
+    day: dayStr,
+    bucket: withoutExcused(userId, dayStr, bucket),
+    offenseDay: offenseDayFor(userId, dayStr, snapshot),
+    ...(excludePrepaid ? prepaidFor(userId, dayStr) : {}),
+  };
+}
 
-    const configured = Number(rates?.[cat] ?? 0);
-    const dollarsPerMin = Math.max(CATEGORY_FLOORS[cat] ?? 0, configured);
-    const centsPerMin = Math.round(dollarsPerMin * 100);
-    billableCents += billable * centsPerMin;
-  }
+function computeDailyBillable({ userId, dayStr }) {
+  const snapshot = getConsentSnapshot(userId);
+  // Whole-day price (including anything already charged via /api/charge)
+  const q = quoteDay({ snapshot, ...dayInput(userId, dayStr, snapshot) });
+  if (!q.exists) return { exists: false, billableCents: 0, minutes: {}, billableMinutes: {} };
 
-  return { exists: true, billableCents, minutes, billableMinutes };
+  const billableMinutes = {};
+  for (const cat of CATEGORIES) billableMinutes[cat] = q.perCat[cat]?.paidMinutes || 0;
+  return { exists: true, billableCents: q.totalCents, minutes: q.minutes, billableMinutes };
 }
 
-function computeStreakDays(userId, { maxLookbackDays = 365 } = {}) {
-  // Consecutive days ending today with 0 billable minutes (after grace).
+function computeStreakDays(userId, { maxLookbackDays = 365, startDaysAgo = 0 } = {}) {
+  // Consecutive days ending today (or startDaysAgo days back) with 0 billable minutes (after grace).
   let streak = 0;
-  for (let i = 0; i < maxLookbackDays; i++) {
-    const dayStr = daysAgoUTCStr(i);
+  for (let i = startDaysAgo; i < startDaysAgo + maxLookbackDays; i++) {
+    const dayStr = daysAgoStr(userId, i);
     const d = computeDailyBillable({ userId, dayStr });
     if (!d.exists) break; // no data -> streak breaks (conservative)
     if (d.billableCents > 0) break;
@@ -641,30 +1237,9 @@ function computeStreakDays(userId, { maxLookbackDays = 365 } = {}) {
   return streak;
 }
 
-function parseYYYYMMDDToUTC(dayStr) {
-  // dayStr: YYYY-MM-DD
-  return new Date(dayStr + "T00:00:00.000Z");
-}
-
-function addDaysUTC(dayStr, days) {
-  const d = parseYYYYMMDDToUTC(dayStr);
-  d.setUTCDate(d.getUTCDate() + days);
-  return d.toISOString().slice(0, 10);
-}
-
 function listUserDays(userId) {
   // returns sorted ascending YYYY-MM-DD for days that exist in counters
-  const days = [];
-  for (const key of counters.keys()) {
-    const idx = key.lastIndexOf("::");
-    if (idx < 0) continue;
-    const uid = key.slice(0, idx);
-    if (uid !== userId) continue;
-    const day = key.slice(idx + 2);
-    if (day && /^\d{4}-\d{2}-\d{2}$/.test(day)) days.push(day);
-  }
-  days.sort();
-  return days;
+  return counters.days(userId).filter((day) => /^\d{4}-\d{2}-\d{2}$/.test(day));
 }
 
 function computeStreakStats(userId) {
@@ -699,7 +1274,7 @@ function computeStreakStats(userId) {
       continue;
     }
 
-    const expected = addDaysUTC(cur.end, 1);
+    const expected = addDays(cur.end, 1);
     if (day === expected) {
       cur.end = day;
       cur.length += 1;
@@ -711,8 +1286,8 @@ function computeStreakStats(userId) {
   }
   if (cur) runs.push(cur);
 
-  // Current streak run is the run whose end is "today" (UTC) if today exists+clean
-  const today = dayKey(); // UTC day string used by counters
+  // Current streak run is the run whose end is "today" if today exists+clean
+  const today = dayKey(userId);
   const todayData = computeDailyBillable({ userId, dayStr: today });
   const currentStreakDays =
     todayData.exists && (todayData.billableCents || 0) === 0
@@ -735,7 +1310,7 @@ function computeStreakStats(userId) {
   // Break day: the first billable day after lastRun.end (only if that day exists and is billable)
   let lastBreakDay = null;
   if (lastRun) {
-    const candidate = addDaysUTC(lastRun.end, 1);
+    const candidate = addDays(lastRun.end, 1);
     const candData = byDay.get(candidate) || computeDailyBillable({ userId, dayStr: candidate });
     if (candData?.exists && (candData.billableCents || 0) > 0) lastBreakDay = candidate;
   }
@@ -749,29 +1324,35 @@ function computeStreakStats(userId) {
   };
 }
 
-app.get("/api/dashboard", (req, res) => {
-  const userId = req.query.userId?.toString();
-  if (!userId) return res.status(400).json({ error: "userId required" });
+// Tick integrity flags grouped per session (suspicious sessions first seen by the user)
+function summarizeIntegrity(userId, sinceTs) {
+  const totals = {};
+  const bySession = new Map();
+  for (const f of integrity.since(userId, sinceTs)) {
+    totals[f.kind] = (totals[f.kind] || 0) + 1;
+    const key = f.sessionId || "unknown";
+    const cur = bySession.get(key) || { sessionId: key, flags: {}, lastAt: 0 };
+    cur.flags[f.kind] = (cur.flags[f.kind] || 0) + 1;
+    cur.lastAt = Math.max(cur.lastAt, f.createdAt);
+    bySession.set(key, cur);
+  }
+  const suspiciousSessions = Array.from(bySession.values()).sort((a, b) => b.lastAt - a.lastAt);
+  return { suspicious: suspiciousSessions.length > 0, totals, suspiciousSessions };
+}
 
-  const tzOffsetMinutes = Number(req.query.tzOffsetMinutes ?? 0);
-  const { weekStartUTC, weekEndUTC, weekStartStr, weekEndStr } = getWeekBounds({
-    tzOffsetMinutes,
-  });
-  const { perCat, totalCents } = collectWeeklyBillableMinutes({
-    userId,
-    weekStartUTC,
-    weekEndUTC,
-    tzOffsetMinutes,
-  });
-  const rollover = weeklyRolloversCents.get(userId) || 0;
-  const wouldChargeCents = totalCents + rollover >= STRIPE_MIN_CENTS ? totalCents + rollover : 0;
-  const wouldCarryCents = totalCents + rollover < STRIPE_MIN_CENTS ? totalCents + rollover : 0;
+app.get("/api/dashboard", readAuth, (req, res) => {
+  const userId = req.userId;
+
+  const { weekStartStr, weekEndStr } = getWeekBounds({ userId });
+  const { perCat, totalCents } = collectWeeklyBillableMinutes({ userId, weekStartStr, weekEndStr });
+  const rollover = rollovers.get(userId, "weekly");
+  const settle = settleAmount({ totalCents, rolloverCents: rollover, minCents: STRIPE_MIN_CENTS });
 
   const streakStats = computeStreakStats(userId);
 
   const lastDays = [];
   for (let i = 13; i >= 0; i--) {
-    const dayStr = daysAgoUTCStr(i);
+    const dayStr = daysAgoStr(userId, i);
     const d = computeDailyBillable({ userId, dayStr });
     const status = !d.exists ? "no_data" : d.billableCents > 0 ? "billable" : "clean";
     lastDays.push({
@@ -792,8 +1373,8 @@ app.get("/api/dashboard", (req, res) => {
       perCategory: perCat,
       totalCents,
       rolloverCents: rollover,
-      wouldChargeCents,
-      wouldCarryCents,
+      wouldChargeCents: settle.chargeCents,
+      wouldCarryCents: settle.carryCents,
     },
     streak: {
       days: streakStats.currentStreakDays,
@@ -803,37 +1384,86 @@ app.get("/api/dashboard", (req, res) => {
       lastBreakDay: streakStats.lastBreakDay,
       last14: lastDays,
     },
+    integrity: summarizeIntegrity(userId, Date.now() - 14 * 24 * 60 * 60 * 1000),
+    gaps: gaps.since(userId, Date.now() - 14 * 24 * 60 * 60 * 1000).map((g) => ({
+      day: g.day,
+      reason: g.reason,
+      startedAt: g.startedAt,
+      endedAt: g.endedAt,
+      minutes: g.endedAt ? g.minutes : Math.round((Date.now() - g.startedAt) / 60000),
+      open: !g.endedAt,
+      penaltyCents: g.penaltyCents,
+    })),
   });
 });
 
-/* -------------------- weekly settlement -------------------- */
-const STRIPE_MIN_CENTS = 50;
-const CATEGORY_FLOORS = { porn: 0.05, gambling: 0.5 }; // $/min floors
+// Fresh dashboard link for the popup: a read token, plus a dispute token the
+// statements page needs to file disputes (both in the URL fragment)
+app.get("/api/dashboard/link", auth, (req, res) => {
+  const token = issueLinkToken(req.userId);
+  const dispute = issueLinkToken(req.userId, "dispute");
+  const url = `${req.protocol}://${req.get("host")}/dashboard?userId=${encodeURIComponent(
+    req.userId
+  )}#token=${encodeURIComponent(token)}&dispute=${encodeURIComponent(dispute)}`;
+  return res.json({ ok: true, url });
+});
 
-/* -------------------- nightly settlement (daily) -------------------- */
-function collectDailyBillableCents({ userId, dayStr }) {
-  const { grace, rates, categoriesOn } = getConsentSnapshot(userId);
-  const bucket = counters.get(`${userId}::${dayStr}`);
-  if (!bucket) return { perCat: {}, totalCents: 0 };
+/* -------------------- donation destinations -------------------- */
+// Every PaymentIntent is tagged with the user's destination (consent snapshot)
+// and logged to the donations ledger; the monthly report is what gets paid out.
+function recordDonation({ userId, dest, source, pi }) {
+  donations.record({
+    paymentIntentId: pi.id,
+    userId,
+    destination: dest.id,
+    destinationKind: dest.kind,
+    source,
+    amountCents: pi.amount,
+    status: pi.status,
+  });
+}
 
-  const perCat = {};
-  let totalCents = 0;
+// The payments ledger holds every PaymentIntent, declined ones included;
+// webhooks (webhooks.js) move it through refunds and disputes. It is also what
+// /api/statements itemizes, so settlements record their priced lines.
+function recordPayment({ userId, source, periodStart = null, period, pi, failed = null, breakdown = null }) {
+  if (!pi?.id) return;
+  payments.record({
+    paymentIntentId: pi.id,
+    userId,
+    source,
+    periodStart,
+    period,
+    amountCents: pi.amount,
+    status: pi.status,
+    failureCode: failed,
+    breakdown,
+  });
+}
 
-  for (const cat of ["porn", "gambling"]) {
-    if (!categoriesOn?.[cat]) continue;
-    const wholeMins = Number(bucket?.byCategory?.[cat]?.minutes || 0);
-    const g = Math.max(0, Number(grace?.[cat] ?? 0));
-    const billable = Math.max(0, wholeMins - g);
+// ?month=YYYY-MM (UTC, default: current month)
+app.get("/api/admin/donations", adminOnly, (req, res) => {
+  const month = String(req.query.month || new Date().toISOString().slice(0, 7));
+  if (!/^\d{4}-\d{2}$/.test(month))
+    return res.status(400).json({ error: "month must be YYYY-MM" });
 
-    const configured = Number(rates?.[cat] ?? 0);
-    const dollarsPerMin = Math.max(CATEGORY_FLOORS[cat] ?? 0, configured);
-    const centsPerMin = Math.round(dollarsPerMin * 100);
-    const cents = centsPerMin * billable;
-
-    perCat[cat] = { minutes: billable, centsPerMin, centsTotal: cents };
-    totalCents += cents;
-  }
+  const rows = donations.report(month).map((r) => {
+    const d = r.destination === PLATFORM.id ? PLATFORM : getDestination(r.destination);
+    return { ...r, name: d?.name ?? r.destination, url: d?.url ?? null };
+  });
+  const totalCents = rows.reduce((sum, r) => sum + r.cents, 0);
+  return res.json({ ok: true, month, totalCents, destinations: rows });
+});
 
+/* -------------------- nightly settlement (daily) -------------------- */
+// A day a wallet pays for has nothing billable (a rollover still settles)
+function collectDailyBillableCents({ userId, dayStr }) {
+  if (wallets.covering(userId, dayStr)) return { perCat: {}, totalCents: 0 };
+  const snapshot = getConsentSnapshot(userId);
+  const { perCat, totalCents } = quoteDay({
+    snapshot,
+    ...dayInput(userId, dayStr, snapshot, { excludePrepaid: true }),
+  });
   return { perCat, totalCents };
 }
 
@@ -848,17 +1478,27 @@ async function settleNightlyForUser({ userId, dayStr }) {
   }
 
   const { perCat, totalCents } = collectDailyBillableCents({ userId, dayStr });
-  const rollover = nightlyRolloversCents.get(userId) || 0;
-  const grandTotal = totalCents + rollover;
+  const rollover = rollovers.get(userId, "nightly");
+  const { grandTotalCents: grandTotal, chargeCents } = settleAmount({
+    totalCents,
+    rolloverCents: rollover,
+    minCents: NIGHTLY_SETTLE_MIN_CENTS,
+  });
 
-  if (grandTotal < NIGHTLY_SETTLE_MIN_CENTS) {
-    nightlyRolloversCents.set(userId, grandTotal);
+  if (chargeCents === 0) {
+    rollovers.set(userId, "nightly", grandTotal);
     return { ok: true, charged: 0, carriedCents: grandTotal, reason: "below_minimum" };
   }
 
   const idemKey = `vb_nightly_${userId}_${dayStr}_${grandTotal}`;
 
-  const meta = { userId, day: dayStr, reason: "ViceBank nightly settlement" };
+  const dest = destinationFor(snap);
+  const meta = {
+    userId,
+    day: dayStr,
+    reason: "ViceBank nightly settlement",
+    ...destinationMetadata(dest),
+  };
   for (const [cat, v] of Object.entries(perCat)) {
     meta[`minutes_${cat}`] = String(v.minutes);
     meta[`centsPerMin_${cat}`] = String(v.centsPerMin);
@@ -866,57 +1506,945 @@ async function settleNightlyForUser({ userId, dayStr }) {
   }
   if (rollover > 0) meta["cents_rollover_applied"] = String(rollover);
 
-  const pi = await stripe.paymentIntents.create(
+  const { pi, failed } = await chargeOffSession(
     {
       amount: grandTotal,
-      currency: "usd",
       customer: customerId,
       payment_method: paymentMethodId,
-      off_session: true,
-      confirm: true,
-      automatic_payment_methods: { enabled: true, allow_redirects: "never" },
       metadata: meta,
     },
-    { idempotencyKey: idemKey }
+    idemKey
   );
 
-  nightlyRolloversCents.set(userId, 0);
+  recordPayment({
+    userId,
+    source: "nightly",
+    periodStart: dayStr,
+    period: dayStr,
+    pi,
+    failed,
+    breakdown: { perCategory: perCat, rolloverCents: rollover },
+  });
+  rollovers.set(userId, "nightly", 0);
+  if (failed) return openDebt({ userId, source: "nightly", period: dayStr, amountCents: grandTotal, failed, pi });
+  recordDonation({ userId, dest, source: "nightly", pi });
   return { ok: true, charged: grandTotal, paymentIntentId: pi.id, status: pi.status };
 }
 
-async function runNightlySettlement({ dayStr } = {}) {
-  if (!NIGHTLY_SETTLE_ENABLED) return { ok: true, skipped: true, reason: "disabled" };
-  if (!stripe) return { ok: false, error: "stripe_not_configured" };
+/* -------------------- dunning (declined settlement charges) -------------------- */
+// A settlement charge that is declined (or needs the customer to authenticate)
+// becomes a debt instead of being lost. Debts are retried DUNNING_RETRY_DAYS
+// apart, show up on the extension badge via /api/heartbeat, are reported to
+// partners, and can be paid through a hosted Checkout link (/pay) that also
+// saves the new card. With DUNNING_LOCK, a debt whose retries are used up
+// locks Continue Paid until everything is paid.
+const DUNNING_RETRY_DAYS = String(process.env.DUNNING_RETRY_DAYS || "1,3,5,7")
+  .split(",")
+  .map(Number)
+  .filter((d) => d > 0);
+const DUNNING_LOCK = String(process.env.DUNNING_LOCK || "false") === "true";
+const PAY_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Off-session charge. Declines and authentication_required come back as card
+// errors (or a PaymentIntent left waiting on the customer): those resolve with
+// `failed` set; anything else (outage, network) throws so the job retries.
+async function chargeOffSession(params, idempotencyKey) {
+  try {
+    const pi = await stripe.paymentIntents.create(
+      {
+        currency: "usd",
+        off_session: true,
+        confirm: true,
+        automatic_payment_methods: { enabled: true, allow_redirects: "never" },
+        ...params,
+      },
+      { idempotencyKey }
+    );
+    return ["succeeded", "processing"].includes(pi.status) ? { pi } : { pi, failed: pi.status };
+  } catch (e) {
+    if (e?.type !== "StripeCardError") throw e;
+    return { pi: e.raw?.payment_intent ?? null, failed: e.decline_code || e.code || "card_declined" };
+  }
+}
 
-  const targetDay = dayStr || utcYesterdayStr();
-  const userIds = Array.from(consents.keys());
+function scheduleDebtRetry(debt, attempt, now = Date.now()) {
+  const days = DUNNING_RETRY_DAYS[attempt - 2];
+  if (!days) return false;
+  jobs.enqueue({ kind: JOB_KIND.dunning, userId: debt.userId, period: `${debt.id}/${attempt}`, runAt: now + days * DAY_MS });
+  return true;
+}
+
+function openDebt({ userId, source, period, amountCents, failed, pi }) {
+  const debt = debts.open({ userId, source, period, amountCents, error: failed, paymentIntentId: pi?.id });
+  if (!scheduleDebtRetry(debt, 2)) debts.markPastDue(debt.id);
+  console.warn("[vicebank] settlement declined, debt opened", { userId, source, period, amountCents, failed });
+  notifyPartners(userId, {
+    event: "payment_failed",
+    subject: "ViceBank: a charge was declined",
+    text: `A $${(amountCents / 100).toFixed(2)} ViceBank charge was declined. It will be retried; tracking continues.`,
+  });
+  return { ok: false, error: "payment_failed", reason: failed, debtId: debt.id };
+}
+
+// A dunning payment's statement lists the declined settlements it covers
+function debtBreakdown(debtList) {
+  return { debts: debtList.map(({ id, source, period, amountCents }) => ({ id, source, period, amountCents })) };
+}
+
+function settleDebts(userId, debtList, pi, dest) {
+  const paid = debtList.filter((d) => debts.markPaid(d.id, pi.id));
+  if (paid.length === 0) return 0;
+  recordPayment({ userId, source: "dunning", period: paid.map((d) => d.id).join(","), pi, breakdown: debtBreakdown(paid) });
+  recordDonation({ userId, dest, source: "dunning", pi });
+  return paid.length;
+}
+
+// Job period is "<debtId>/<attempt>"; attempt 1 was the settlement charge itself.
+async function collectDebt(job) {
+  const [debtId, attempt] = job.period.split("/").map(Number);
+  const debt = debts.get(debtId);
+  if (!debt || debt.status === "paid") return { ok: true, skipped: "not_outstanding" };
+
+  const snap = consents.get(debt.userId) || {};
+  let failed = "missing_customer_or_payment_method";
+  let pi = null;
+  if (snap.customerId && snap.paymentMethodId) {
+    const dest = destinationFor(snap);
+    ({ pi, failed } = await chargeOffSession(
+      {
+        amount: debt.amountCents,
+        customer: snap.customerId,
+        payment_method: snap.paymentMethodId,
+        metadata: {
+          userId: debt.userId,
+          reason: "ViceBank overdue balance",
+          debtId: String(debt.id),
+          source: debt.source,
+          period: debt.period,
+          ...destinationMetadata(dest),
+        },
+      },
+      `vb_dunning_${debt.id}_${attempt}`
+    ));
+    if (!failed) {
+      settleDebts(debt.userId, [debt], pi, dest);
+      return { ok: true, charged: debt.amountCents, paymentIntentId: pi.id };
+    }
+  }
 
-  console.log(`[vicebank] nightly settlement starting day=${targetDay}, users=${userIds.length}`);
-  const results = [];
-  for (const userId of userIds) {
+  recordPayment({ userId: debt.userId, source: "dunning", period: String(debt.id), pi, failed, breakdown: debtBreakdown([debt]) });
+  debts.recordAttempt(debt.id, { error: failed, paymentIntentId: pi?.id });
+  if (scheduleDebtRetry(debt, attempt + 1)) return { ok: false, error: "payment_failed", reason: failed };
+
+  debts.markPastDue(debt.id);
+  if (DUNNING_LOCK) {
+    notifyPartners(debt.userId, {
+      event: "account_locked",
+      subject: "ViceBank: account locked for an unpaid balance",
+      text: "Retries of a declined ViceBank charge have run out. The account stays locked until the balance is paid.",
+    });
+  }
+  return { ok: false, error: "past_due", reason: failed };
+}
+
+function billingStatus(userId) {
+  const unpaid = debts.unpaid(userId);
+  const locked = DUNNING_LOCK && unpaid.some((d) => d.status === "past_due");
+  return {
+    status: unpaid.length === 0 ? "ok" : locked ? "locked" : "past_due",
+    outstandingCents: unpaid.reduce((sum, d) => sum + d.amountCents, 0),
+    debts: unpaid.map(({ id, source, period, amountCents, status, attempts, lastError }) => ({
+      id,
+      source,
+      period,
+      amountCents,
+      status,
+      attempts,
+      lastError,
+    })),
+  };
+}
+
+// Single-purpose link the user can open without the extension (like /uninstalled)
+function payUrl(req, userId) {
+  const now = Date.now();
+  const token = signToken({ sub: userId, scope: "pay", iat: now, exp: now + PAY_LINK_TTL_MS }, TOKEN_SECRET);
+  return `${req.protocol}://${req.get("host")}/pay?t=${encodeURIComponent(token)}`;
+}
+
+app.get("/api/billing/status", readAuth, (req, res) => {
+  const billing = billingStatus(req.userId);
+  return res.json({ ok: true, ...billing, payUrl: billing.status === "ok" ? null : payUrl(req, req.userId) });
+});
+
+// Hosted Checkout for everything outstanding; the card is saved for future
+// off-session charges and the debts are closed by the webhook.
+app.get("/pay", async (req, res) => {
+  const payload = verifyToken(req.query.t?.toString(), TOKEN_SECRET);
+  if (payload?.scope !== "pay") return res.status(401).send("This payment link is invalid or has expired.");
+  const userId = payload.sub;
+  const unpaid = debts.unpaid(userId);
+  const base = `${req.protocol}://${req.get("host")}`;
+  if (unpaid.length === 0) return res.redirect(303, `${base}/pay-done.html`);
+  if (!stripe) return res.status(500).send("Stripe not configured.");
+
+  const snap = consents.get(userId) || {};
+  const amount = unpaid.reduce((sum, d) => sum + d.amountCents, 0);
+  const debtIds = unpaid.map((d) => d.id).join(",");
+  try {
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      ...(snap.customerId ? { customer: snap.customerId } : { customer_creation: "always" }),
+      line_items: [
+        {
+          quantity: 1,
+          price_data: { currency: "usd", unit_amount: amount, product_data: { name: "ViceBank overdue balance" } },
+        },
+      ],
+      payment_intent_data: {
+        setup_future_usage: "off_session",
+        metadata: { userId, reason: "ViceBank overdue balance", debtIds, ...destinationMetadata(destinationFor(snap)) },
+      },
+      metadata: { userId, purpose: "dunning", debtIds },
+      success_url: `${base}/pay-done.html`,
+      cancel_url: `${base}/pay?t=${encodeURIComponent(req.query.t.toString())}`,
+    });
+    return res.redirect(303, session.url);
+  } catch (err) {
+    console.error("[vicebank] pay link checkout failed", { userId, error: err?.message });
+    return res.status(502).send("Couldn't open the payment page. Try again in a moment.");
+  }
+});
+
+// checkout.session.completed for a /pay session: close the debts it covered and
+// keep the card the user just paid with.
+async function onDunningCheckoutCompleted(session) {
+  const userId = session.metadata.userId;
+  if (session.payment_status !== "paid") return;
+  const pi = await stripe.paymentIntents.retrieve(session.payment_intent);
+  const snap = consents.get(userId) || {};
+  consents.set(userId, { ...snap, customerId: session.customer || snap.customerId, paymentMethodId: pi.payment_method });
+
+  const ids = String(session.metadata.debtIds || "").split(",").map(Number);
+  const covered = ids.map((id) => debts.get(id)).filter((d) => d?.userId === userId);
+  const n = settleDebts(userId, covered, pi, destinationFor(snap));
+  console.log(`[Webhook] Dunning checkout paid ${n} debt(s) for user ${userId}`);
+}
+
+/* -------------------- stripe webhooks -------------------- */
+// Metered invoice lines -> statement lines, by the category each price bills
+function invoiceCategories(inv) {
+  const catOfPrice = Object.fromEntries(Object.entries(meteredConfig?.prices || {}).map(([cat, price]) => [price, cat]));
+  const perCat = {};
+  for (const line of inv.lines?.data || []) {
+    const cat = catOfPrice[line.price?.id];
+    if (!cat || !line.quantity) continue;
+    perCat[cat] = { minutes: line.quantity, centsPerMin: Math.round(line.amount / line.quantity), centsTotal: line.amount };
+  }
+  return perCat;
+}
+
+// Ledger updates live in webhooks.js; these are the events that also need
+// Stripe calls or settlement state.
+const webhook = createWebhookHandler({
+  stripe,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+  store,
+  handlers: {
+    "checkout.session.completed": async (event) => {
+      const session = event.data.object;
+      if (session.metadata?.purpose === "dunning") return onDunningCheckoutCompleted(session);
+      if (session.metadata?.purpose === "wallet") return onWalletCheckoutCompleted(session);
+      const userId = session.metadata.userId;
+      const snap = consents.get(userId) || {};
+      consents.set(userId, { ...snap, customerId: session.customer });
+      console.log(`[Webhook] Saved customerId for user ${userId}`);
+      if (metered) {
+        // Subscription invoices are paid with the customer's default card
+        if (session.setup_intent) {
+          const si = await stripe.setupIntents.retrieve(session.setup_intent);
+          await stripe.customers.update(session.customer, {
+            invoice_settings: { default_payment_method: si.payment_method },
+          });
+          consents.set(userId, { ...consents.get(userId), paymentMethodId: si.payment_method });
+        }
+        await ensureMeteredSubscription(userId);
+      }
+    },
+    "setup_intent.succeeded": async (event) => {
+      const setupIntent = event.data.object;
+      const userId = setupIntent.metadata.userId;
+      const customerId = setupIntent.customer;
+      const paymentMethodId = setupIntent.payment_method;
+
+      // Attach payment method and make it the default
+      await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+      await stripe.customers.update(customerId, {
+        invoice_settings: { default_payment_method: paymentMethodId },
+      });
+
+      const snap = consents.get(userId) || {};
+      consents.set(userId, { ...snap, customerId, paymentMethodId });
+      console.log(`[Webhook] SetupIntent succeeded for user ${userId}`);
+      if (metered) await ensureMeteredSubscription(userId);
+    },
+    // Metered mode: Stripe's invoice for the period goes into the payments
+    // ledger (statements) and the donations report like any settlement.
+    "invoice.paid": (event) => {
+      const inv = event.data.object;
+      const piId = typeof inv.payment_intent === "object" ? inv.payment_intent?.id : inv.payment_intent;
+      const userId = consents.userIdByCustomer(inv.customer);
+      if (!piId || !userId) return;
+      const pi = { id: piId, amount: inv.amount_paid, status: "succeeded" };
+      recordPayment({
+        userId,
+        source: "invoice",
+        periodStart: dayKey(userId, inv.period_start * 1000),
+        period: dayKey(userId, inv.period_end * 1000),
+        pi,
+        breakdown: { perCategory: invoiceCategories(inv), rolloverCents: 0 },
+      });
+      recordDonation({ userId, dest: destinationFor(consents.get(userId)), source: "invoice", pi });
+    },
+    // A settlement that was still processing when it was created (bank debits)
+    // and failed later becomes a debt, like an immediate decline.
+    "payment_intent.payment_failed": (event) => {
+      const pi = event.data.object;
+      const row = payments.get(pi.id);
+      if (!row || !["nightly", "weekly"].includes(row.source)) return;
+      // Immediate declines already opened their debt in chargeOffSession's caller
+      if (debts.unpaid(row.userId).some((d) => d.source === row.source && d.period === row.period)) return;
+      const failed = pi.last_payment_error?.decline_code || pi.last_payment_error?.code || "payment_failed";
+      openDebt({ userId: row.userId, source: row.source, period: row.period, amountCents: row.amountCents, failed, pi });
+    },
+  },
+});
+
+/* -------------------- statements -------------------- */
+// Itemized history of every charge, built from the payments ledger. The detail
+// view lists the tracked domains behind each category line (raw tracked time,
+// before grace), which is what a user disputing a charge needs to see.
+function statementOf(p) {
+  const b = p.breakdown || {};
+  return {
+    id: p.paymentIntentId,
+    source: p.source,
+    periodStart: p.source === "dunning" ? null : p.periodStart || p.period,
+    periodEnd: p.source === "dunning" ? null : p.period,
+    amountCents: p.amountCents,
+    status: p.status,
+    failureCode: p.failureCode,
+    refundedCents: p.refundedCents,
+    dispute: p.disputeId ? { id: p.disputeId, status: p.disputeStatus } : null,
+    perCategory: b.perCategory || {},
+    rolloverCents: b.rolloverCents || 0,
+    covers: b.debts || [],
+    wallet: b.wallet || null,
+    review: reviewOf(disputes.forPayment(p.paymentIntentId)),
+    createdAt: p.createdAt,
+  };
+}
+
+// What the user sees of their own dispute
+function reviewOf(d) {
+  return d && { id: d.id, status: d.status, refundCents: d.refundCents, note: d.note, createdAt: d.createdAt };
+}
+
+function statementDomains(userId, st) {
+  if (!st.periodStart) return [];
+  const cats = new Set(Object.keys(st.perCategory));
+  const days = [];
+  for (const [day, bucket] of counters.range(userId, st.periodStart, st.periodEnd)) {
+    const excused = new Set(excusedUsage.domains(userId, day));
+    const domains = Object.entries(bucket.byDomain || {})
+      .filter(([, v]) => cats.has(v.category))
+      .map(([domain, v]) => ({
+        domain,
+        category: v.category,
+        minutes: Math.round((v.seconds / 60) * 10) / 10,
+        excused: excused.has(domain),
+      }))
+      .sort((a, b) => b.minutes - a.minutes);
+    if (domains.length > 0) days.push({ day, domains });
+  }
+  return days;
+}
+
+function toCsv(header, rows) {
+  const cell = (v) => {
+    const str = v == null ? "" : String(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [header, ...rows].map((r) => r.map(cell).join(",")).join("\n") + "\n";
+}
+
+function sendCsv(res, filename, header, rows) {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.send(toCsv(header, rows));
+}
+
+// One row per priced line: each category, the rollover, or each covered debt
+function statementLines(st) {
+  const lines = Object.entries(st.perCategory).map(([cat, v]) => ({
+    item: cat,
+    minutes: v.minutes,
+    centsPerMin: v.centsPerMin,
+    cents: v.centsTotal,
+  }));
+  if (st.rolloverCents > 0) lines.push({ item: "rollover", cents: st.rolloverCents });
+  for (const d of st.covers) lines.push({ item: `${d.source} ${d.period}`, cents: d.amountCents });
+  if (st.wallet?.shortfallCents > 0)
+    lines.push({ item: "over balance (billed with the next settlement)", cents: -st.wallet.shortfallCents });
+  if (st.wallet?.leftoverCents > 0)
+    lines.push({ item: `unspent (${st.wallet.leftover === "refund" ? "refunded" : "donated"})`, cents: st.wallet.leftoverCents });
+  // Ledger rows written before statements existed have no breakdown
+  if (lines.length === 0) lines.push({ item: st.source, cents: st.amountCents });
+  return lines;
+}
+
+const STATEMENT_CSV_HEADER = [
+  "payment_intent",
+  "created_at",
+  "source",
+  "period_start",
+  "period_end",
+  "status",
+  "refunded_cents",
+  "dispute_status",
+  "item",
+  "minutes",
+  "cents_per_min",
+  "cents",
+];
+
+// ?from=YYYY-MM-DD &to=YYYY-MM-DD (local period end, inclusive) &format=csv
+app.get("/api/statements", readAuth, (req, res) => {
+  const { from, to } = req.query;
+  for (const v of [from, to]) {
+    if (v !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(v)))
+      return res.status(400).json({ error: "from/to must be YYYY-MM-DD" });
+  }
+  const inRange = (st) => {
+    const day = st.periodEnd || dayKey(req.userId, st.createdAt);
+    return (!from || day >= from) && (!to || day <= to);
+  };
+  const list = payments.forUser(req.userId).map(statementOf).filter(inRange).reverse();
+
+  if (req.query.format === "csv") {
+    const rows = list.flatMap((st) =>
+      statementLines(st).map((l) => [
+        st.id,
+        new Date(st.createdAt).toISOString(),
+        st.source,
+        st.periodStart,
+        st.periodEnd,
+        st.status,
+        st.refundedCents,
+        st.dispute?.status,
+        l.item,
+        l.minutes,
+        l.centsPerMin,
+        l.cents,
+      ])
+    );
+    return sendCsv(res, `vicebank-statements-${req.userId}.csv`, STATEMENT_CSV_HEADER, rows);
+  }
+  return res.json({
+    ok: true,
+    statements: list,
+    totals: {
+      chargedCents: list
+        .filter((st) => ["succeeded", "processing"].includes(st.status))
+        .reduce((sum, st) => sum + st.amountCents, 0),
+      refundedCents: list.reduce((sum, st) => sum + st.refundedCents, 0),
+    },
+  });
+});
+
+// One charge with the domains and minutes that produced it (&format=csv)
+app.get("/api/statements/:id", readAuth, (req, res) => {
+  const p = payments.get(req.params.id);
+  if (!p || p.userId !== req.userId) return res.status(404).json({ error: "statement not found" });
+  const st = statementOf(p);
+  const days = statementDomains(req.userId, st);
+
+  if (req.query.format === "csv") {
+    const rows = days.flatMap(({ day, domains }) =>
+      domains.map((d) => [st.id, day, d.domain, d.category, d.minutes, d.excused])
+    );
+    return sendCsv(res, `vicebank-${st.id}.csv`, ["payment_intent", "day", "domain", "category", "minutes", "excused"], rows);
+  }
+  return res.json({ ok: true, statement: { ...st, lines: statementLines(st), days } });
+});
+
+/* -------------------- charge disputes -------------------- */
+// A user contests a ledger entry (typically minutes from a background tab),
+// optionally naming the day/domain rows at fault. An admin reviews it next to
+// the per-domain usage; approving refunds part of the charge through Stripe and
+// excuses the named usage (see withoutExcused), which also repairs the streak.
+const DISPUTE_REASON_MAX = 1000;
+const REFUNDABLE_STATUSES = ["succeeded", "processing"];
+
+function refundableCents(p) {
+  return REFUNDABLE_STATUSES.includes(p.status) ? Math.max(0, p.amountCents - p.refundedCents) : 0;
+}
+
+function statementRows(days) {
+  return days.flatMap(({ day, domains }) => domains.map(({ domain }) => ({ day, domain })));
+}
+
+// Contested rows, or every row behind the charge when none were named
+function contestedRows(d, days) {
+  return d.domains.length > 0 ? d.domains : statementRows(days);
+}
+
+// Contested minutes at the charge's effective per-minute rate for their category
+function suggestedRefundCents(p, st, d, days) {
+  const refundable = refundableCents(p);
+  if (d.domains.length === 0) return refundable;
+  const wanted = new Set(d.domains.map(({ day, domain }) => `${day}|${domain}`));
+  let cents = 0;
+  for (const { day, domains } of days) {
+    for (const row of domains) {
+      const line = st.perCategory[row.category];
+      if (wanted.has(`${day}|${row.domain}`) && line?.minutes > 0)
+        cents += (row.minutes * line.centsTotal) / line.minutes;
+    }
+  }
+  return Math.min(refundable, Math.round(cents));
+}
+
+// body: { reason, domains?: [{ day, domain }] }
+app.post("/api/statements/:id/dispute", disputeAuth, (req, res) => {
+  const p = payments.get(req.params.id);
+  if (!p || p.userId !== req.userId) return res.status(404).json({ error: "statement not found" });
+  if (refundableCents(p) === 0) return res.status(409).json({ error: "nothing_refundable" });
+
+  const reason = String(req.body?.reason || "").trim();
+  if (!reason || reason.length > DISPUTE_REASON_MAX)
+    return res.status(400).json({ error: `reason required (max ${DISPUTE_REASON_MAX} chars)` });
+
+  const rows = req.body?.domains ?? [];
+  const days = statementDomains(req.userId, statementOf(p));
+  const known = new Set(statementRows(days).map(({ day, domain }) => `${day}|${domain}`));
+  if (!Array.isArray(rows) || rows.some((r) => !known.has(`${r?.day}|${r?.domain}`)))
+    return res.status(400).json({ error: "domains must be { day, domain } rows of this statement" });
+
+  const filed = disputes.file({
+    userId: req.userId,
+    paymentIntentId: p.paymentIntentId,
+    reason,
+    domains: rows.map(({ day, domain }) => ({ day, domain })),
+  });
+  if (!filed) return res.status(409).json({ error: "already_disputed" });
+  console.log("[vicebank] charge disputed", { userId: req.userId, disputeId: filed.id, paymentIntentId: p.paymentIntentId });
+  return res.json({ ok: true, review: reviewOf(filed) });
+});
+
+// ?status=open|approved|rejected &userId= &limit=
+app.get("/api/admin/disputes", adminOnly, (req, res) => {
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+  const list = disputes.list({
+    status: req.query.status ? String(req.query.status) : null,
+    userId: req.query.userId ? String(req.query.userId) : null,
+    limit,
+  });
+  return res.json({
+    ok: true,
+    disputes: list.map((d) => {
+      const p = payments.get(d.paymentIntentId);
+      const st = statementOf(p);
+      const days = statementDomains(d.userId, st);
+      return {
+        ...d,
+        statement: { ...st, lines: statementLines(st), days },
+        refundableCents: refundableCents(p),
+        suggestedRefundCents: d.status === "open" ? suggestedRefundCents(p, st, d, days) : null,
+      };
+    }),
+  });
+});
+
+// body: { decision: "approve" | "reject", refundCents?, note? }
+// refundCents defaults to the suggestion; 0 excuses the usage without a refund.
+app.post("/api/admin/disputes/:id/resolve", adminOnly, async (req, res) => {
+  const d = disputes.get(Number(req.params.id));
+  if (!d) return res.status(404).json({ error: "dispute not found" });
+  if (d.status !== "open") return res.status(409).json({ error: `dispute is ${d.status}` });
+  const { decision, note = null } = req.body || {};
+  if (!["approve", "reject"].includes(decision))
+    return res.status(400).json({ error: "decision must be approve or reject" });
+
+  if (decision === "reject") {
+    disputes.resolve(d.id, { status: "rejected", refundCents: 0, note });
+    return res.json({ ok: true, dispute: disputes.get(d.id) });
+  }
+
+  const p = payments.get(d.paymentIntentId);
+  const st = statementOf(p);
+  const days = statementDomains(d.userId, st);
+  const refundCents = req.body.refundCents ?? suggestedRefundCents(p, st, d, days);
+  if (!Number.isInteger(refundCents) || refundCents < 0 || refundCents > refundableCents(p))
+    return res.status(400).json({ error: `refundCents must be 0..${refundableCents(p)}` });
+
+  let refund = null;
+  if (refundCents > 0) {
+    if (!stripe) return res.status(500).json({ error: "Stripe not configured. Set STRIPE_SECRET_KEY." });
     try {
-      const r = await settleNightlyForUser({ userId, dayStr: targetDay });
-      results.push({ userId, ...r });
-      console.log("[vicebank] nightly settlement result", { userId, day: targetDay, ...r });
-    } catch (e) {
-      const err = String(e?.message || e);
-      results.push({ userId, ok: false, error: err });
-      console.error("[vicebank] nightly settlement error", { userId, day: targetDay, error: err });
+      refund = await stripe.refunds.create(
+        {
+          payment_intent: p.paymentIntentId,
+          amount: refundCents,
+          reason: "requested_by_customer",
+          metadata: { userId: d.userId, disputeId: String(d.id) },
+        },
+        { idempotencyKey: `vb_dispute_${d.id}` }
+      );
+    } catch (err) {
+      console.error("[vicebank] dispute refund failed", { disputeId: d.id, error: err?.message });
+      return res.status(502).json({ error: String(err?.message || err), code: err?.code });
+    }
+    // charge.refunded brings the authoritative total later
+    payments.setRefunded(p.paymentIntentId, p.refundedCents + refundCents);
+  }
+
+  store.transaction(() => {
+    for (const { day, domain } of contestedRows(d, days))
+      excusedUsage.add({ userId: d.userId, day, domain, disputeId: d.id });
+    disputes.resolve(d.id, { status: "approved", refundCents, refundId: refund?.id ?? null, note });
+  });
+  console.log("[vicebank] dispute approved", { disputeId: d.id, userId: d.userId, refundCents });
+  return res.json({ ok: true, dispute: disputes.get(d.id), streak: computeStreakStats(d.userId) });
+});
+
+/* -------------------- settlement jobs -------------------- */
+// Each ended period becomes one durable job (scheduler.js), keyed by its last
+// local day: the day itself (nightly) or the Sunday (weekly).
+const JOB_KIND = {
+  nightly: "settle_nightly",
+  weekly: "settle_weekly",
+  metered: "report_usage",
+  dunning: "collect_debt",
+  walletDebit: "wallet_debit",
+  walletClose: "wallet_close",
+};
+
+// Ended periods not queued yet, oldest first. A user's first job is the most
+// recent period; after downtime at most SETTLE_CATCHUP_PERIODS are caught up.
+function duePeriods(userId, cadence, now = Date.now()) {
+  const step = cadence === "weekly" ? 7 : 1;
+  const today = dayKey(userId, now);
+  const newest = addDays(cadence === "weekly" ? weekOf(today).weekStartStr : today, -1);
+  const last = jobs.latestPeriod(userId, JOB_KIND[cadence]);
+  if (last && last >= newest) return [];
+
+  const earliest = addDays(newest, -step * (SETTLE_CATCHUP_PERIODS[cadence] - 1));
+  let period = last ? addDays(last, step) : newest;
+  if (period < earliest) period = earliest;
+  const due = [];
+  for (; period <= newest; period = addDays(period, step)) due.push(period);
+  return due;
+}
+
+// After a switch from weekly, days inside an already settled week are skipped.
+// Regular jobs keep being queued while a wallet is active; they skip its days.
+function planSettlements(now = Date.now()) {
+  for (const userId of consents.userIds()) {
+    planWallet(userId, now);
+    const cadence = metered ? "metered" : cadenceOf(userId);
+    const weeklyThrough = cadence === "nightly" ? jobs.latestPeriod(userId, JOB_KIND.weekly) ?? "" : "";
+    for (const period of duePeriods(userId, cadence, now)) {
+      if (period > weeklyThrough) jobs.enqueue({ kind: JOB_KIND[cadence], userId, period, runAt: now });
     }
   }
-  return { ok: true, day: targetDay, results };
 }
 
-function scheduleNightlySettlement() {
-  if (!NIGHTLY_SETTLE_ENABLED) return;
-  const delay = msUntilNextUTCMidnight();
-  console.log(`[vicebank] nightly settlement scheduled in ${(delay / 1000).toFixed(0)}s (UTC midnight)`);
-  setTimeout(async () => {
-    await runNightlySettlement();
-    setInterval(() => runNightlySettlement().catch(() => {}), 24 * 60 * 60 * 1000);
-  }, delay);
+// Days already settled nightly (before a switch to weekly) are left out.
+async function settleWeeklyForUser({ userId, weekEndStr }) {
+  const { weekStartStr } = weekOf(weekEndStr);
+  const nightlyThrough = jobs.latestPeriod(userId, JOB_KIND.nightly);
+  const fromDay =
+    nightlyThrough && nightlyThrough >= weekStartStr ? addDays(nightlyThrough, 1) : weekStartStr;
+  const { perCat, totalCents } = collectWeeklyBillableMinutes({
+    userId,
+    weekStartStr: fromDay,
+    weekEndStr,
+  });
+  return chargeWeeklyIfEligible({ userId, weekStartStr, weekEndStr, perCat, totalCents });
+}
+
+/* -------------------- metered usage -------------------- */
+// What a local day turns into: a nightly settlement, or a usage report
+function dailyJobKind() {
+  return metered ? JOB_KIND.metered : JOB_KIND.nightly;
+}
+
+async function ensureMeteredSubscription(userId) {
+  const snap = consents.get(userId) || {};
+  const subscriptionId = await metered.ensureSubscription({
+    userId,
+    customerId: snap.customerId,
+    paymentMethodId: snap.paymentMethodId,
+    subscriptionId: snap.subscriptionId,
+  });
+  if (subscriptionId !== snap.subscriptionId) consents.set(userId, { ...snap, subscriptionId });
+  return subscriptionId;
+}
+
+// One ended local day -> meter events for its billable minutes (after grace,
+// minus Continue Paid minutes already reported). Days a PaymentIntent already
+// settled (before a switch to metered) are skipped.
+async function reportUsageForUser({ userId, dayStr }) {
+  const snap = consents.get(userId) || {};
+  if (!snap.customerId) return { ok: false, error: "missing_customer" };
+  const nightlyThrough = jobs.latestPeriod(userId, JOB_KIND.nightly) ?? "";
+  const weeklyThrough = jobs.latestPeriod(userId, JOB_KIND.weekly) ?? "";
+  if (dayStr <= nightlyThrough || dayStr <= weeklyThrough) return { ok: true, skipped: "settled_by_payment_intent" };
+
+  const subscriptionId = await ensureMeteredSubscription(userId);
+  const { perCat } = collectDailyBillableCents({ userId, dayStr });
+  const minutes = Object.fromEntries(Object.entries(perCat).map(([cat, v]) => [cat, v.minutes]));
+  const reported = await metered.reportMinutes({
+    customerId: snap.customerId,
+    minutes,
+    identifier: `vb_usage_${userId}_${dayStr}`,
+  });
+  return { ok: true, subscriptionId, reported };
+}
+
+/* -------------------- prepaid wallet -------------------- */
+// Instead of settlement charges the user can deposit up front for a fixed
+// period. Each ended local day of the period is debited with the same pricing
+// as weekly settlement (collectWeeklyBillableMinutes over that one day), and
+// regular settlement leaves those days out. What the balance can't cover is
+// added to the user's rollover, so the next settlement charges it. The day
+// after the period ends the wallet closes: the leftover is refunded to the
+// card, or kept and donated, whichever the user chose at deposit time.
+const WALLET_PERIOD_DAYS = [7, 30, 90];
+const WALLET_LEFTOVER_POLICIES = ["refund", "donate"];
+const WALLET_MIN_CENTS = Number(process.env.WALLET_MIN_CENTS || 500);
+const WALLET_MAX_CENTS = Number(process.env.WALLET_MAX_CENTS || 50000);
+
+function walletBillableCents(userId, dayStr) {
+  return collectWeeklyBillableMinutes({ userId, weekStartStr: dayStr, weekEndStr: dayStr, includeWalletDays: true });
 }
 
+// What the popup shows. pendingCents is usage not debited yet (today, and any
+// ended day whose debit hasn't run), so availableCents is the real headroom.
+// Sent with every heartbeat: debits run in day order, so only the days after
+// the last one are priced (today, plus any debit still queued).
+function walletView(userId) {
+  const w = wallets.current(userId);
+  if (!w) return null;
+  const view = {
+    id: w.id,
+    status: w.status,
+    depositCents: w.depositCents,
+    balanceCents: w.balanceCents,
+    periodDays: w.periodDays,
+    periodStart: w.periodStart,
+    periodEnd: w.periodEnd,
+    leftover: w.leftover,
+  };
+  if (w.status !== "active") return view;
+  const last = wallets.lastDebitDay(w.id);
+  const today = dayKey(userId);
+  let pendingCents = 0;
+  let day = last && last >= w.periodStart ? addDays(last, 1) : w.periodStart;
+  for (; day <= today && day <= w.periodEnd; day = addDays(day, 1)) {
+    pendingCents += walletBillableCents(userId, day).totalCents;
+  }
+  return { ...view, pendingCents, availableCents: Math.max(0, w.balanceCents - pendingCents) };
+}
+
+// Each ended day of an active wallet is a debit job; once the last day has
+// ended, a close job (period = wallet id).
+function planWallet(userId, now = Date.now()) {
+  const w = wallets.active(userId);
+  if (!w) return;
+  const yesterday = addDays(dayKey(userId, now), -1);
+  const last = jobs.latestPeriod(userId, JOB_KIND.walletDebit);
+  let day = last && last >= w.periodStart ? addDays(last, 1) : w.periodStart;
+  for (; day <= yesterday && day <= w.periodEnd; day = addDays(day, 1)) {
+    jobs.enqueue({ kind: JOB_KIND.walletDebit, userId, period: day, runAt: now });
+  }
+  if (yesterday >= w.periodEnd) jobs.enqueue({ kind: JOB_KIND.walletClose, userId, period: String(w.id), runAt: now });
+}
+
+function debitWallet({ userId, dayStr }) {
+  const w = wallets.covering(userId, dayStr);
+  if (w?.status !== "active") return { ok: true, skipped: "no_active_wallet" };
+  const { perCat, totalCents } = walletBillableCents(userId, dayStr);
+  const debit = wallets.debit(w.id, { day: dayStr, amountCents: totalCents, breakdown: perCat });
+  if (!debit) return { ok: true, skipped: "already_debited" };
+  if (debit.shortfallCents > 0) {
+    const cadence = cadenceOf(userId);
+    rollovers.set(userId, cadence, rollovers.get(userId, cadence) + debit.shortfallCents);
+  }
+  return { ok: true, walletId: w.id, ...debit };
+}
+
+// Statement lines for the deposit: the priced days, minus what went over the
+// balance, plus the leftover.
+function walletBreakdown(w, debitList, leftoverCents) {
+  const perCategory = {};
+  for (const d of debitList) {
+    for (const [cat, v] of Object.entries(d.breakdown || {})) {
+      const line = (perCategory[cat] ||= { minutes: 0, centsPerMin: 0, centsTotal: 0 });
+      line.minutes += v.minutes;
+      line.centsTotal += v.centsTotal;
+      line.centsPerMin = line.minutes > 0 ? Math.round(line.centsTotal / line.minutes) : v.centsPerMin;
+    }
+  }
+  const shortfallCents = debitList.reduce((sum, d) => sum + d.requestedCents - d.debitedCents, 0);
+  return { perCategory, rolloverCents: 0, wallet: { leftover: w.leftover, leftoverCents, shortfallCents } };
+}
+
+// Days whose debit job hasn't run yet are debited first, so the leftover is final.
+async function closeWallet(job) {
+  const w = wallets.get(Number(job.period));
+  if (w?.status !== "active") return { ok: true, skipped: "not_active" };
+  for (let day = w.periodStart; day <= w.periodEnd; day = addDays(day, 1)) debitWallet({ userId: w.userId, dayStr: day });
+
+  const leftoverCents = wallets.get(w.id).balanceCents;
+  let refund = null;
+  if (leftoverCents > 0 && w.leftover === "refund") {
+    refund = await stripe.refunds.create(
+      { payment_intent: w.paymentIntentId, amount: leftoverCents, metadata: { userId: w.userId, walletId: String(w.id) } },
+      { idempotencyKey: `vb_wallet_${w.id}_refund` }
+    );
+  }
+  const refundedCents = refund ? leftoverCents : 0;
+  wallets.close(w.id, { refundedCents, refundId: refund?.id ?? null });
+
+  const status = payments.get(w.paymentIntentId)?.status ?? "succeeded";
+  recordPayment({
+    userId: w.userId,
+    source: "wallet",
+    periodStart: w.periodStart,
+    period: w.periodEnd,
+    pi: { id: w.paymentIntentId, amount: w.depositCents, status },
+    breakdown: walletBreakdown(w, wallets.debits(w.id), leftoverCents),
+  });
+  // Only what the wallet keeps goes to the destination
+  const keptCents = w.depositCents - refundedCents;
+  if (keptCents > 0) {
+    const pi = { id: w.paymentIntentId, amount: keptCents, status };
+    recordDonation({ userId: w.userId, dest: destinationFor(consents.get(w.userId) || {}), source: "wallet", pi });
+  }
+  console.log(`[vicebank] wallet ${w.id} closed for user ${w.userId}`, { leftoverCents, refundedCents });
+  return { ok: true, walletId: w.id, spentCents: w.depositCents - leftoverCents, refundedCents };
+}
+
+// checkout.session.completed for a deposit: the period starts today (local)
+async function onWalletCheckoutCompleted(session) {
+  const userId = session.metadata.userId;
+  if (session.payment_status !== "paid") return;
+  const w = wallets.get(Number(session.metadata.walletId));
+  if (w?.userId !== userId) return;
+  const pi = await stripe.paymentIntents.retrieve(session.payment_intent);
+  const snap = consents.get(userId) || {};
+  consents.set(userId, { ...snap, customerId: session.customer || snap.customerId, paymentMethodId: pi.payment_method });
+
+  const periodStart = dayKey(userId);
+  const periodEnd = addDays(periodStart, w.periodDays - 1);
+  if (!wallets.activate(w.id, { paymentIntentId: pi.id, periodStart, periodEnd })) return;
+  recordPayment({ userId, source: "wallet", periodStart, period: periodEnd, pi });
+  console.log(`[Webhook] Wallet ${w.id} funded for user ${userId}: ${periodStart} → ${periodEnd}`);
+}
+
+// { amountCents, periodDays, leftover: "refund" | "donate" } -> hosted Checkout
+// for the deposit. An unfinished earlier deposit is replaced.
+app.post("/api/wallet/deposit", auth, async (req, res) => {
+  const userId = req.userId;
+  const { amountCents, periodDays, leftover = "refund" } = req.body || {};
+  if (!Number.isInteger(amountCents) || amountCents < WALLET_MIN_CENTS || amountCents > WALLET_MAX_CENTS)
+    return res.status(400).json({ error: `amountCents must be a whole number from ${WALLET_MIN_CENTS} to ${WALLET_MAX_CENTS}` });
+  if (!WALLET_PERIOD_DAYS.includes(periodDays))
+    return res.status(400).json({ error: `periodDays must be one of ${WALLET_PERIOD_DAYS.join(", ")}` });
+  if (!WALLET_LEFTOVER_POLICIES.includes(leftover))
+    return res.status(400).json({ error: `leftover must be one of ${WALLET_LEFTOVER_POLICIES.join(", ")}` });
+  if (!stripe) return res.status(500).json({ error: "Stripe not configured" });
+  // Stripe prices metered usage itself, so there's nothing to debit locally
+  if (metered) return res.status(409).json({ error: "wallet_unavailable_in_metered_mode" });
+  // Debits and the close are scheduler jobs
+  if (!SCHEDULER_ENABLED) return res.status(409).json({ error: "wallet_needs_settlement_scheduler" });
+  if (wallets.active(userId)) return res.status(409).json({ error: "wallet_already_active", wallet: walletView(userId) });
+
+  const w = wallets.create({ userId, depositCents: amountCents, periodDays, leftover });
+  const snap = consents.get(userId) || {};
+  const base = `${req.protocol}://${req.get("host")}`;
+  try {
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      ...(snap.customerId ? { customer: snap.customerId } : { customer_creation: "always" }),
+      line_items: [
+        {
+          quantity: 1,
+          price_data: {
+            currency: "usd",
+            unit_amount: amountCents,
+            product_data: { name: `ViceBank wallet (${periodDays} days)` },
+          },
+        },
+      ],
+      // The card stays on file for anything the balance can't cover
+      payment_intent_data: {
+        setup_future_usage: "off_session",
+        metadata: { userId, reason: "ViceBank wallet deposit", walletId: String(w.id) },
+      },
+      metadata: { userId, purpose: "wallet", walletId: String(w.id) },
+      success_url: `${base}/wallet-done.html`,
+      cancel_url: `${base}/wallet-done.html?canceled=1`,
+    });
+    wallets.setCheckout(w.id, session.id);
+    return res.json({ ok: true, url: session.url, wallet: walletView(userId) });
+  } catch (err) {
+    console.error("[vicebank] wallet checkout failed", { userId, error: err?.message });
+    return res.status(502).json({ error: String(err?.message || err) });
+  }
+});
+
+app.get("/api/wallet", readAuth, (req, res) => {
+  const w = wallets.current(req.userId);
+  return res.json({ ok: true, wallet: walletView(req.userId), debits: w ? wallets.debits(w.id) : [] });
+});
+
+// Thrown errors (Stripe outages, network) are retried; the idempotency keys
+// stay the same across attempts, so a retry can't charge twice.
+const scheduler = createScheduler({
+  jobs,
+  plan: planSettlements,
+  handlers: {
+    [JOB_KIND.nightly]: (job) => settleNightlyForUser({ userId: job.userId, dayStr: job.period }),
+    [JOB_KIND.weekly]: (job) => settleWeeklyForUser({ userId: job.userId, weekEndStr: job.period }),
+    [JOB_KIND.metered]: (job) => reportUsageForUser({ userId: job.userId, dayStr: job.period }),
+    [JOB_KIND.dunning]: collectDebt,
+    [JOB_KIND.walletDebit]: (job) => debitWallet({ userId: job.userId, dayStr: job.period }),
+    [JOB_KIND.walletClose]: closeWallet,
+  },
+  pollMs: SETTLE_POLL_INTERVAL_MS,
+});
+
+// ?status=pending|running|done|dead &userId= &kind= &period= &limit=
+app.get("/api/admin/jobs", adminOnly, (req, res) => {
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+  const filter = {};
+  for (const k of ["status", "userId", "kind", "period"]) if (req.query[k]) filter[k] = String(req.query[k]);
+  return res.json({ ok: true, counts: jobs.counts(), jobs: jobs.list({ ...filter, limit }) });
+});
+
+// Put a dead job back in the queue (attempts reset)
+app.post("/api/admin/jobs/:id/retry", adminOnly, async (req, res) => {
+  const job = jobs.get(Number(req.params.id));
+  if (!job) return res.status(404).json({ error: "job not found" });
+  if (!jobs.requeue(job.id)) return res.status(409).json({ error: `job is ${job.status}, not dead` });
+  if (SCHEDULER_ENABLED && stripe) scheduler.runOnce();
+  return res.json({ ok: true, job: jobs.get(job.id) });
+});
+
 async function getOrCreateCustomer(userId) {
   if (!stripe) throw new Error("Stripe not configured");
   let snap = consents.get(userId);
@@ -931,88 +2459,23 @@ async function getOrCreateCustomer(userId) {
   return customer.id;
 }
 
-function parseUserIdAndDay(key) {
-  const idx = key.lastIndexOf("::");
-  if (idx < 0) return { userId: null, day: null };
-  return { userId: key.slice(0, idx), day: key.slice(idx + 2) };
-}
-
-// Local-time-aware ISO week bounds (Mon–Sun); weekEndStr optional (YYYY-MM-DD)
-function getWeekBounds({ weekEndStr, tzOffsetMinutes = 0 }) {
-  const toLocalMidnightUTC = (d) => {
-    const shifted = new Date(d.getTime() + tzOffsetMinutes * 60000);
-    shifted.setHours(0, 0, 0, 0);
-    return new Date(shifted.getTime() - tzOffsetMinutes * 60000);
-  };
-  const endDate = weekEndStr ? new Date(weekEndStr + "T00:00:00Z") : new Date();
-  let endUTC = toLocalMidnightUTC(endDate);
-
-  const local = new Date(endUTC.getTime() + tzOffsetMinutes * 60000);
-  const dow = local.getDay(); // 0=Sun..6=Sat
-  const daysToSunday = (7 - dow) % 7;
-  const weekEndLocal = new Date(local);
-  weekEndLocal.setDate(local.getDate() + daysToSunday);
-  const weekStartLocal = new Date(weekEndLocal);
-  weekStartLocal.setDate(weekEndLocal.getDate() - 6);
-
-  weekStartLocal.setHours(0, 0, 0, 0);
-  weekEndLocal.setHours(23, 59, 59, 999);
-
-  const weekStartUTC = new Date(
-    weekStartLocal.getTime() - tzOffsetMinutes * 60000
-  );
-  const weekEndUTC = new Date(weekEndLocal.getTime() - tzOffsetMinutes * 60000);
-
-  const fmt = (d) => d.toISOString().slice(0, 10);
-  return {
-    weekStartUTC,
-    weekEndUTC,
-    weekStartStr: fmt(weekStartUTC),
-    weekEndStr: fmt(weekEndUTC),
-  };
+// Mon–Sun week in the user's zone containing weekEndStr (YYYY-MM-DD, default today)
+function getWeekBounds({ userId, weekEndStr }) {
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(weekEndStr || "") ? weekEndStr : dayKey(userId);
+  return weekOf(day);
 }
 
-function isDayInRange(dayStr, startUTC, endUTC, tzOffsetMinutes = 0) {
-  const asLocalMidnightUTC = new Date(
-    new Date(dayStr + "T00:00:00Z").getTime() - tzOffsetMinutes * 60000
-  );
-  return asLocalMidnightUTC >= startUTC && asLocalMidnightUTC <= endUTC;
-}
-
-// Sum weekly billable whole minutes per category (daily grace applied per day)
-function collectWeeklyBillableMinutes({
-  userId,
-  weekStartUTC,
-  weekEndUTC,
-  tzOffsetMinutes = 0,
-}) {
-  const { grace, rates, categoriesOn } = getConsentSnapshot(userId);
-  const totalsMinutes = {}; // cat -> minutes
-
-  for (const [key, bucket] of counters.entries()) {
-    const { userId: uid, day } = parseUserIdAndDay(key);
-    if (uid !== userId || !day) continue;
-    if (!isDayInRange(day, weekStartUTC, weekEndUTC, tzOffsetMinutes)) continue;
-
-    for (const [cat, v] of Object.entries(bucket.byCategory || {})) {
-      if (!categoriesOn?.[cat]) continue;
-      const wholeMins = Number(v?.minutes || 0);
-      const g = Math.max(0, Number(grace?.[cat] ?? 0));
-      const billable = Math.max(0, wholeMins - g);
-      totalsMinutes[cat] = (totalsMinutes[cat] || 0) + billable;
-    }
+// Sum weekly billable whole minutes per category (daily grace applied per day).
+// Days a wallet pays for are left out unless includeWalletDays (the debit itself).
+function collectWeeklyBillableMinutes({ userId, weekStartStr, weekEndStr, includeWalletDays = false }) {
+  const snapshot = getConsentSnapshot(userId);
+  const days = [];
+  for (const [day, bucket] of counters.range(userId, weekStartStr, weekEndStr)) {
+    if (!includeWalletDays && wallets.covering(userId, day)) continue;
+    days.push(dayInput(userId, day, snapshot, { bucket, excludePrepaid: true }));
   }
 
-  const perCat = {};
-  let totalCents = 0;
-  for (const [cat, mins] of Object.entries(totalsMinutes)) {
-    const configured = Number(rates?.[cat] ?? 0);
-    const dollarsPerMin = Math.max(CATEGORY_FLOORS[cat] ?? 0, configured);
-    const centsPerMin = Math.round(dollarsPerMin * 100);
-    const cents = centsPerMin * mins;
-    perCat[cat] = { minutes: mins, centsPerMin, centsTotal: cents };
-    totalCents += cents;
-  }
+  const { perCat, totalCents } = quoteWeek({ snapshot, days });
   return { perCat, totalCents };
 }
 
@@ -1026,11 +2489,15 @@ async function chargeWeeklyIfEligible({
 }) {
   if (!stripe) throw new Error("Stripe not configured");
 
-  const rollover = weeklyRolloversCents.get(userId) || 0;
-  const grandTotal = totalCents + rollover;
+  const rollover = rollovers.get(userId, "weekly");
+  const { grandTotalCents: grandTotal, chargeCents } = settleAmount({
+    totalCents,
+    rolloverCents: rollover,
+    minCents: STRIPE_MIN_CENTS,
+  });
 
-  if (grandTotal < STRIPE_MIN_CENTS) {
-    weeklyRolloversCents.set(userId, grandTotal);
+  if (chargeCents === 0) {
+    rollovers.set(userId, "weekly", grandTotal);
     return {
       ok: true,
       charged: 0,
@@ -1039,8 +2506,12 @@ async function chargeWeeklyIfEligible({
     };
   }
 
+  const snap = consents.get(userId) || {};
+  const pm = paymentMethodId || snap.paymentMethodId;
+  if (!snap.customerId || !pm) return { ok: false, error: "missing_customer_or_payment_method" };
+
   const idemKey = `vb_weekly_${userId}_${weekStartStr}_${weekEndStr}_${grandTotal}`;
-  const pm = paymentMethodId || "pm_card_visa";
+  const dest = destinationFor(snap);
 
   const meta = {};
   for (const [cat, v] of Object.entries(perCat)) {
@@ -1050,25 +2521,35 @@ async function chargeWeeklyIfEligible({
   }
   if (rollover > 0) meta["cents_rollover_applied"] = String(rollover);
 
-  const pi = await stripe.paymentIntents.create(
+  const { pi, failed } = await chargeOffSession(
     {
       amount: grandTotal,
-      currency: "usd",
-      //payment_method: snap.customerId, //pm,
-      confirm: true,
-      automatic_payment_methods: { enabled: true, allow_redirects: "never" },
+      customer: snap.customerId,
+      payment_method: pm,
       metadata: {
         userId,
         weekStart: weekStartStr,
         weekEnd: weekEndStr,
         reason: "ViceBank weekly settlement",
+        ...destinationMetadata(dest),
         ...meta,
       },
     },
-    { idempotencyKey: idemKey }
+    idemKey
   );
 
-  weeklyRolloversCents.set(userId, 0);
+  recordPayment({
+    userId,
+    source: "weekly",
+    periodStart: weekStartStr,
+    period: weekEndStr,
+    pi,
+    failed,
+    breakdown: { perCategory: perCat, rolloverCents: rollover },
+  });
+  rollovers.set(userId, "weekly", 0);
+  if (failed) return openDebt({ userId, source: "weekly", period: weekEndStr, amountCents: grandTotal, failed, pi });
+  recordDonation({ userId, dest, source: "weekly", pi });
   return {
     ok: true,
     charged: grandTotal,
@@ -1080,24 +2561,16 @@ async function chargeWeeklyIfEligible({
 /* -------------------- weekly endpoints -------------------- */
 
 // Preview (no charge)
-app.get("/api/preview/week", (req, res) => {
-  const userId = req.query.userId?.toString();
-  if (!userId) return res.status(400).json({ error: "userId required" });
+app.get("/api/preview/week", readAuth, (req, res) => {
+  const userId = req.userId;
 
-  const tzOffsetMinutes = Number(req.query.tzOffsetMinutes ?? 0);
-  const { weekStartUTC, weekEndUTC, weekStartStr, weekEndStr } = getWeekBounds({
-    weekEndStr: req.query.weekEnd?.toString(),
-    tzOffsetMinutes,
-  });
-
-  const { perCat, totalCents } = collectWeeklyBillableMinutes({
+  const { weekStartStr, weekEndStr } = getWeekBounds({
     userId,
-    weekStartUTC,
-    weekEndUTC,
-    tzOffsetMinutes,
+    weekEndStr: req.query.weekEnd?.toString(),
   });
-  const rollover = weeklyRolloversCents.get(userId) || 0;
-  const withRollover = totalCents + rollover;
+  const { perCat, totalCents } = collectWeeklyBillableMinutes({ userId, weekStartStr, weekEndStr });
+  const rollover = rollovers.get(userId, "weekly");
+  const settle = settleAmount({ totalCents, rolloverCents: rollover, minCents: STRIPE_MIN_CENTS });
 
   return res.json({
     ok: true,
@@ -1106,72 +2579,190 @@ app.get("/api/preview/week", (req, res) => {
     perCategory: perCat,
     totalCents,
     rolloverCents: rollover,
-    wouldChargeCents: withRollover >= STRIPE_MIN_CENTS ? withRollover : 0,
-    wouldCarryCents: withRollover < STRIPE_MIN_CENTS ? withRollover : 0,
+    wouldChargeCents: settle.chargeCents,
+    wouldCarryCents: settle.carryCents,
   });
 });
 
-// Settle (charge once)
-app.post("/api/settle/week", async (req, res) => {
-  try {
-    const {
-      userId,
-      weekEnd,
-      tzOffsetMinutes = 0,
-      paymentMethodId = null,
-    } = req.body || {};
-    if (!userId) return res.status(400).json({ error: "userId required" });
-    if (!stripe)
-      return res
-        .status(500)
-        .json({ error: "Stripe not configured. Set STRIPE_SECRET_KEY." });
+// Settle one week for a user (admin). Goes through the weekly job, so days
+// nightly jobs already charged are skipped and the scheduler won't bill the
+// week again; a week already queued or settled is left as it is.
+app.post("/api/settle/week", adminOnly, async (req, res) => {
+  if (!stripe)
+    return res
+      .status(500)
+      .json({ error: "Stripe not configured. Set STRIPE_SECRET_KEY." });
+  const { userId, weekEnd } = req.body || {};
+  if (!userId || !consents.get(userId)) return res.status(404).json({ error: "no consent for userId" });
+  if (weekEnd !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(weekEnd))
+    return res.status(400).json({ error: "weekEnd must be YYYY-MM-DD" });
+
+  const { weekStartStr, weekEndStr } = getWeekBounds({ userId, weekEndStr: weekEnd });
+  const queued = jobs.enqueue({ kind: JOB_KIND.weekly, userId, period: weekEndStr });
+  const ran = await scheduler.runOnce();
+  return res.json({
+    ok: true,
+    queued,
+    ran,
+    weekStart: weekStartStr,
+    weekEnd: weekEndStr,
+    jobs: jobs.list({ kind: JOB_KIND.weekly, userId, period: weekEndStr }),
+  });
+});
+
+/* -------------------- continue paid (direct charge) -------------------- */
+// Charges today's billable minutes for one category right away. The amount is
+// recomputed from the server's counters + consent snapshot; client-supplied
+// minutes/grace/rate are ignored. Minutes charged here are subtracted from
+// nightly/weekly settlement.
+app.post("/api/charge", auth, async (req, res) => {
+  const userId = req.userId;
+  const { category } = req.body || {};
+  if (!["porn", "gambling"].includes(category))
+    return res.status(400).json({ error: "invalid category" });
+  if (!stripe)
+    return res
+      .status(500)
+      .json({ error: "Stripe not configured. Set STRIPE_SECRET_KEY." });
 
-    const { weekStartUTC, weekEndUTC, weekStartStr, weekEndStr } =
-      getWeekBounds({ weekEndStr: weekEnd, tzOffsetMinutes });
-    const { perCat, totalCents } = collectWeeklyBillableMinutes({
+  const billing = billingStatus(userId);
+  if (billing.status === "locked")
+    return res.status(423).json({ error: "account_locked", outstandingCents: billing.outstandingCents });
+
+  const snap = consents.get(userId) || {};
+  if (!snap.customerId || !snap.paymentMethodId)
+    return res.status(402).json({ error: "missing_customer_or_payment_method" });
+
+  const dayStr = dayKey(userId);
+  const prepaid = charges.chargedMinutes(userId, dayStr, category);
+  const snapshot = getConsentSnapshot(userId);
+  const priced = quoteDay({
+    snapshot,
+    ...dayInput(userId, dayStr, snapshot, { excludePrepaid: true }),
+    categories: [category],
+  });
+  const line = priced.perCat[category] || { minutes: 0, centsPerMin: 0, centsTotal: 0 };
+  const minutes = line.minutes;
+  const amountCents = line.centsTotal;
+  // Effective rate across the tiers this charge spans
+  const centsPerMin = minutes > 0 ? Math.round(amountCents / minutes) : line.centsPerMin;
+
+  const base = { ok: true, day: dayStr, category, minutes, centsPerMin, capped: priced.capped };
+  // The wallet's nightly debit takes these minutes
+  if (wallets.covering(userId, dayStr)?.status === "active")
+    return res.json({ ...base, amountCents: 0, reason: "paid_from_wallet", wallet: walletView(userId) });
+  // Metered mode: the minutes go to Stripe as usage now and are invoiced with
+  // the rest of the period; the nightly report skips them (status "reported").
+  if (metered) {
+    if (minutes === 0) return res.json({ ...base, amountCents: 0, reason: "nothing_billable" });
+    const usageKey = `vb_usage_${userId}_${dayStr}_${category}_${prepaid}_${prepaid + minutes}`;
+    try {
+      await ensureMeteredSubscription(userId);
+      await metered.reportMinutes({ customerId: snap.customerId, minutes: { [category]: minutes }, identifier: usageKey });
+    } catch (err) {
+      console.error("[vicebank] /api/charge usage report failed", { userId, category, error: err?.message });
+      return res.status(402).json({ error: String(err?.message || err), code: err?.code });
+    }
+    charges.add({
+      idempotencyKey: usageKey,
       userId,
-      weekStartUTC,
-      weekEndUTC,
-      tzOffsetMinutes,
+      day: dayStr,
+      category,
+      minutes,
+      centsPerMin,
+      amountCents,
+      paymentIntentId: null,
+      status: "reported",
     });
+    return res.json({ ...base, amountCents, status: "reported" });
+  }
+  if (minutes === 0 || amountCents === 0) return res.json({ ...base, amountCents: 0, reason: "nothing_billable" });
+  // Below Stripe's minimum the minutes stay on the counters for settlement.
+  if (amountCents < STRIPE_MIN_CENTS)
+    return res.json({ ...base, amountCents: 0, deferredCents: amountCents, reason: "below_minimum" });
+
+  // Same user/day/category/minute range => same key, so double clicks and
+  // retries collapse into one PaymentIntent.
+  const idemKey = `vb_charge_${userId}_${dayStr}_${category}_${prepaid}_${prepaid + minutes}`;
+  const dest = destinationFor(snap);
 
-    const result = await chargeWeeklyIfEligible({
+  try {
+    const pi = await stripe.paymentIntents.create(
+      {
+        amount: amountCents,
+        currency: "usd",
+        customer: snap.customerId,
+        payment_method: snap.paymentMethodId,
+        off_session: true,
+        confirm: true,
+        automatic_payment_methods: { enabled: true, allow_redirects: "never" },
+        metadata: {
+          userId,
+          day: dayStr,
+          reason: "ViceBank continue paid",
+          ...destinationMetadata(dest),
+          [`minutes_${category}`]: String(minutes),
+          [`centsPerMin_${category}`]: String(centsPerMin),
+          [`cents_${category}`]: String(amountCents),
+        },
+      },
+      { idempotencyKey: idemKey }
+    );
+
+    charges.add({
+      idempotencyKey: idemKey,
       userId,
-      weekStartStr,
-      weekEndStr,
-      perCat,
-      totalCents,
-      paymentMethodId,
+      day: dayStr,
+      category,
+      minutes,
+      centsPerMin,
+      amountCents,
+      paymentIntentId: pi.id,
+      status: pi.status,
     });
-
-    return res.json({
-      ok: true,
-      weekStart: weekStartStr,
-      weekEnd: weekEndStr,
-      perCategory: perCat,
-      totalCents,
-      settlement: result,
+    recordPayment({
+      userId,
+      source: "charge",
+      periodStart: dayStr,
+      period: dayStr,
+      pi,
+      breakdown: { perCategory: { [category]: { minutes, centsPerMin, centsTotal: amountCents } }, rolloverCents: 0 },
     });
+    recordDonation({ userId, dest, source: "charge", pi });
+
+    return res.json({ ...base, amountCents, paymentIntentId: pi.id, status: pi.status });
   } catch (err) {
-    return res.status(400).json({ error: String(err?.message || err) });
+    console.error("[vicebank] /api/charge failed", { userId, category, error: err?.message });
+    return res.status(402).json({ error: String(err?.message || err), code: err?.code });
   }
 });
 
-// Admin/testing: trigger nightly settlement manually
-app.post("/api/settle/nightly/run", async (req, res) => {
-  try {
-    const { day } = req.body || {};
-    const result = await runNightlySettlement({ dayStr: day });
-    return res.json(result);
-  } catch (e) {
-    return res.status(400).json({ ok: false, error: String(e?.message || e) });
+// Admin/testing: queue nightly settlement (metered mode: the usage report) of
+// `day` for every user (a day that already has a job is not queued twice) and
+// run whatever is due now.
+app.post("/api/settle/nightly/run", adminOnly, async (req, res) => {
+  if (!stripe)
+    return res
+      .status(500)
+      .json({ error: "Stripe not configured. Set STRIPE_SECRET_KEY." });
+  const { day } = req.body || {};
+  if (day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(day))
+    return res.status(400).json({ error: "day must be YYYY-MM-DD" });
+
+  if (day) {
+    for (const userId of consents.userIds()) jobs.enqueue({ kind: dailyJobKind(), userId, period: day });
   }
+  const ran = await scheduler.runOnce();
+  return res.json({
+    ok: true,
+    ran,
+    ...(day ? { day, jobs: jobs.list({ kind: dailyJobKind(), period: day }) } : {}),
+  });
 });
 
 // TEST: monitor for 30s then auto charge
-app.post("/api/test/auto-charge", async (req, res) => {
-  const { userId } = req.body || {};
-  if (!userId) return res.status(400).json({ error: "userId required" });
+app.post("/api/test/auto-charge", auth, async (req, res) => {
+  const userId = req.userId;
 
   try {
     const customerId = await getOrCreateCustomer(userId);
@@ -1222,5 +2813,9 @@ app.listen(port, () =>
   console.log(`vicebank-backend (weekly) listening on http://localhost:${port}`)
 );
 
-// Start nightly scheduler (UTC midnight) if enabled via env
-scheduleNightlySettlement();
+// Settlement jobs (per-user cadence, local midnight) if enabled via env
+if (SCHEDULER_ENABLED && stripe) {
+  console.log(`[vicebank] settlement scheduler ${scheduler.workerId}, polling every ${SETTLE_POLL_INTERVAL_MS / 60000}m`);
+  scheduler.start();
+}
+scheduleGapMonitor();
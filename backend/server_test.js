@@ -1,10 +1,12 @@
-// server_full_test.js — exercise all endpoints (CommonJS)
+// server_full_test.js — exercise all endpoints (ESM)
 // Usage: node server_full_test.js http://localhost:4242
 //
 // Requires Node 18+ for global fetch. If using Node <18, uncomment the node-fetch shim below.
 
+import { deriveTickKey, signTick } from './ticks.js';
+
 const BASE = process.argv[2] || 'http://localhost:4242';
-const TZ_OFFSET_MIN = 0; // set to 240 for Asia/Dubai if you want local week bounds
+const TIME_ZONE = 'UTC'; // e.g. 'Asia/Dubai' for local day/week bounds
 
 // For Node <18, uncomment:
 // const fetch = (...args) => import('node-fetch').then(({default: f}) => f(...args));
@@ -32,6 +34,9 @@ const tsAddDays = (ts, d) => ts + d * dayMs;
 // Choose a fixed weekEnd so preview/settle are deterministic (use “today” as week end)
 const WEEK_END_YYYYMMDD = new Date().toISOString().slice(0,10);
 
+// Admin routes (settle/week) need the server's VICEBANK_ADMIN_TOKEN
+const adminAuth = { authorization: `Bearer ${process.env.VICEBANK_ADMIN_TOKEN || ''}` };
+
 // Test identities
 const userId       = `user_${Math.random().toString(36).slice(2, 8)}`;
 const rolloverUser = `user_${Math.random().toString(36).slice(2, 8)}_roll`;
@@ -53,6 +58,25 @@ function header(title) {
   console.log(j(r));
   if (!r.ok) process.exit(1);
 
+  // --- Register both installs (device tokens authenticate every other call)
+  header('POST /api/register (main user + rollover user)');
+  r = await call('POST', '/api/register', { userId, installId: `inst_${userId}`, extensionVersion: '1.0.0' });
+  console.log(j(r)); if (!r.ok) process.exit(1);
+  const auth = { authorization: `Bearer ${r.data.token}` };
+  r = await call('POST', '/api/register', { userId: rolloverUser, installId: `inst_${rolloverUser}`, extensionVersion: '1.0.0' });
+  console.log(j(r)); if (!r.ok) process.exit(1);
+  const rollAuth = { authorization: `Bearer ${r.data.token}` };
+
+  header('POST /api/register (same userId, different install) — expect 409');
+  r = await call('POST', '/api/register', { userId, installId: 'someone_else' });
+  console.log(j(r)); if (r.status !== 409) process.exit(1);
+
+  header('GET /api/dashboard (no token / other user\'s token) — expect 401 / 403');
+  r = await call('GET', `/api/dashboard?userId=${encodeURIComponent(userId)}`);
+  console.log(j(r)); if (r.status !== 401) process.exit(1);
+  r = await call('GET', `/api/dashboard?userId=${encodeURIComponent(userId)}`, null, rollAuth);
+  console.log(j(r)); if (r.status !== 403) process.exit(1);
+
   // --- Consent for main user (weekly charge should exceed $0.50)
   // porn=$0.05/min, gambling=$0.50/min, porn has 1 minute daily grace
   header('POST /api/consent (main user)');
@@ -63,7 +87,7 @@ function header(title) {
     rates: { porn: 0.05, gambling: 0.50 },
     categoriesOn: { porn: true, gambling: true },
     tosHash: 'consenthash_main',
-  });
+  }, auth);
   console.log(j(r));
   if (!r.ok) process.exit(1);
 
@@ -76,13 +100,13 @@ function header(title) {
     rates: { porn: 0.05, gambling: 0.50 },
     categoriesOn: { porn: true, gambling: true },
     tosHash: 'consenthash_roll',
-  });
+  }, rollAuth);
   console.log(j(r));
   if (!r.ok) process.exit(1);
 
   // --- Start session
   header('POST /api/session/start');
-  r = await call('POST', '/api/session/start', { userId, sessionId, extensionVersion: '1.0.0' });
+  r = await call('POST', '/api/session/start', { userId, sessionId, extensionVersion: '1.0.0', timeZone: TIME_ZONE }, auth);
   console.log(j(r));
   if (!r.ok) process.exit(1);
 
@@ -95,7 +119,7 @@ function header(title) {
   r = await call('POST', '/api/track', {
     userId, sessionId,
     events: [{ type: 'heartbeat', url: 'https://www.pornhub.com/', seconds: 40 * 60, ts: tsAddDays(now, 0) }]
-  });
+  }, auth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   await sleep(100);
@@ -104,7 +128,7 @@ function header(title) {
   r = await call('POST', '/api/track', {
     userId, sessionId,
     events: [{ type: 'heartbeat', url: 'https://www.pornhub.com/', seconds: 30 * 60, ts: tsAddDays(now, 1) }]
-  });
+  }, auth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   await sleep(100);
@@ -113,20 +137,34 @@ function header(title) {
   r = await call('POST', '/api/track', {
     userId, sessionId,
     events: [{ type: 'heartbeat', url: 'https://www.pornhub.com/', seconds: 50 * 60, ts: tsAddDays(now, 2) }]
-  });
+  }, auth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
+  // --- Signed ticks: seq 1 is accepted, sending it again is a replay
+  const tickKey = deriveTickKey(auth.authorization.slice(7));
+  const signedTick = { seq: 1, ts: now, url: 'https://www.pornhub.com/', seconds: 60, category: 'porn' };
+  signedTick.sig = signTick(tickKey, signedTick);
+
+  header('POST /api/track (signed tick seq=1)');
+  r = await call('POST', '/api/track', { userId, sessionId, sentAt: Date.now(), events: [signedTick] }, auth);
+  console.log(j(r)); if (!r.ok || r.data.accepted !== 1) process.exit(1);
+
+  header('POST /api/track (replayed seq=1) — expect accepted=0, replay flag');
+  r = await call('POST', '/api/track', { userId, sessionId, sentAt: Date.now(), events: [signedTick] }, auth);
+  console.log(j(r)); if (!r.ok || r.data.accepted !== 0 || !r.data.flags.includes('replay')) process.exit(1);
+
   // --- Counters today (will only reflect today’s D0 batch in byCategory; still good sanity)
   header('GET /api/counters/today');
-  r = await call('GET', `/api/counters/today?userId=${encodeURIComponent(userId)}`);
+  r = await call('GET', `/api/counters/today?userId=${encodeURIComponent(userId)}`, null, auth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   // --- Preview weekly settlement for main user (no charge)
   header('GET /api/preview/week (main user)');
   r = await call(
     'GET',
-    `/api/preview/week?userId=${encodeURIComponent(userId)}&weekEnd=${WEEK_END_YYYYMMDD}&tzOffsetMinutes=${TZ_OFFSET_MIN}`,
-    null
+    `/api/preview/week?userId=${encodeURIComponent(userId)}&weekEnd=${WEEK_END_YYYYMMDD}`,
+    null,
+    auth
   );
   console.log(j(r)); if (!r.ok) process.exit(1);
 
@@ -135,14 +173,13 @@ function header(title) {
   r = await call('POST', '/api/settle/week', {
     userId,
     weekEnd: WEEK_END_YYYYMMDD,
-    tzOffsetMinutes: TZ_OFFSET_MIN,
-  });
+  }, adminAuth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   // --- Rollover user: track tiny usage (under $0.50 total) and verify carry-forward
   const rollSess = `sess_${Math.random().toString(36).slice(2, 8)}`;
   header('POST /api/session/start (rollover user)');
-  r = await call('POST', '/api/session/start', { userId: rolloverUser, sessionId: rollSess, extensionVersion: '1.0.0' });
+  r = await call('POST', '/api/session/start', { userId: rolloverUser, sessionId: rollSess, extensionVersion: '1.0.0', timeZone: TIME_ZONE }, rollAuth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   // 3 minutes porn on two separate days -> daily billable each day = 2m
@@ -151,21 +188,22 @@ function header(title) {
   r = await call('POST', '/api/track', {
     userId: rolloverUser, sessionId: rollSess,
     events: [{ type: 'heartbeat', url: 'https://www.pornhub.com/', seconds: 3 * 60, ts: tsAddDays(now, 0) }]
-  });
+  }, rollAuth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   header('POST /api/track (rollover D1 / 3m porn)');
   r = await call('POST', '/api/track', {
     userId: rolloverUser, sessionId: rollSess,
     events: [{ type: 'heartbeat', url: 'https://www.pornhub.com/', seconds: 3 * 60, ts: tsAddDays(now, 1) }]
-  });
+  }, rollAuth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   header('GET /api/preview/week (rollover user)');
   r = await call(
     'GET',
-    `/api/preview/week?userId=${encodeURIComponent(rolloverUser)}&weekEnd=${WEEK_END_YYYYMMDD}&tzOffsetMinutes=${TZ_OFFSET_MIN}`,
-    null
+    `/api/preview/week?userId=${encodeURIComponent(rolloverUser)}&weekEnd=${WEEK_END_YYYYMMDD}`,
+    null,
+    rollAuth
   );
   console.log(j(r)); if (!r.ok) process.exit(1);
 
@@ -173,17 +211,16 @@ function header(title) {
   r = await call('POST', '/api/settle/week', {
     userId: rolloverUser,
     weekEnd: WEEK_END_YYYYMMDD,
-    tzOffsetMinutes: TZ_OFFSET_MIN,
-  });
+  }, adminAuth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   // --- Stop both sessions
   header('POST /api/session/stop (main user)');
-  r = await call('POST', '/api/session/stop', { userId, sessionId });
+  r = await call('POST', '/api/session/stop', { userId, sessionId }, auth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   header('POST /api/session/stop (rollover user)');
-  r = await call('POST', '/api/session/stop', { userId: rolloverUser, sessionId: rollSess });
+  r = await call('POST', '/api/session/stop', { userId: rolloverUser, sessionId: rollSess }, rollAuth);
   console.log(j(r)); if (!r.ok) process.exit(1);
 
   // --- OPTIONAL: webhook route smoke (no signature) just to confirm 200/disabled or 400
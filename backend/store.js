@@ -0,0 +1,1041 @@
+/**
+ * ViceBank Backend — Persistence layer
+ * ------------------------------------
+ * Repository the route handlers in server.js call instead of holding state in
+ * process memory. Backed by a SQLite file (better-sqlite3, synchronous API) so
+ * consents, sessions, usage counters and rollover balances survive restarts.
+ *
+ * Nested objects (consent snapshots, day buckets) are stored as JSON columns so
+ * the shapes the handlers already work with stay unchanged.
+ *
+ * ENV:
+ *   VICEBANK_DB_FILE=./data/vicebank.db   (":memory:" for an ephemeral store)
+ */
+
+import path from "path";
+import fs from "fs";
+import Database from "better-sqlite3";
+
+/* -------------------- migrations -------------------- */
+// Append-only. Each entry runs once, in order; PRAGMA user_version records how
+// many have been applied to a given DB file.
+export const MIGRATIONS = [
+  `
+  CREATE TABLE consents (
+    user_id     TEXT PRIMARY KEY,
+    data        TEXT NOT NULL,
+    updated_at  INTEGER NOT NULL
+  );
+  CREATE TABLE sessions (
+    session_id    TEXT PRIMARY KEY,
+    user_id       TEXT NOT NULL,
+    data          TEXT NOT NULL,
+    last_seen_at  INTEGER NOT NULL
+  );
+  CREATE INDEX sessions_user_id ON sessions (user_id);
+  CREATE TABLE counters (
+    user_id     TEXT NOT NULL,
+    day         TEXT NOT NULL,
+    data        TEXT NOT NULL,
+    updated_at  INTEGER NOT NULL,
+    PRIMARY KEY (user_id, day)
+  );
+  CREATE TABLE rollovers (
+    user_id  TEXT NOT NULL,
+    kind     TEXT NOT NULL,
+    cents    INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, kind)
+  );
+  `,
+  `
+  CREATE TABLE charges (
+    id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+    idempotency_key    TEXT NOT NULL UNIQUE,
+    user_id            TEXT NOT NULL,
+    day                TEXT NOT NULL,
+    category           TEXT NOT NULL,
+    minutes            INTEGER NOT NULL,
+    cents_per_min      INTEGER NOT NULL,
+    amount_cents       INTEGER NOT NULL,
+    payment_intent_id  TEXT,
+    status             TEXT,
+    created_at         INTEGER NOT NULL
+  );
+  CREATE INDEX charges_user_day ON charges (user_id, day, category);
+  `,
+  `
+  CREATE TABLE devices (
+    device_id          TEXT PRIMARY KEY,
+    user_id            TEXT NOT NULL,
+    install_hash       TEXT NOT NULL,
+    extension_version  TEXT,
+    created_at         INTEGER NOT NULL,
+    revoked_at         INTEGER
+  );
+  CREATE INDEX devices_user_id ON devices (user_id);
+  CREATE TABLE meta (
+    key    TEXT PRIMARY KEY,
+    value  TEXT NOT NULL
+  );
+  `,
+  `
+  ALTER TABLE devices ADD COLUMN last_seq INTEGER NOT NULL DEFAULT 0;
+  CREATE TABLE integrity_flags (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id     TEXT NOT NULL,
+    session_id  TEXT,
+    device_id   TEXT,
+    kind        TEXT NOT NULL,
+    detail      TEXT,
+    created_at  INTEGER NOT NULL
+  );
+  CREATE INDEX integrity_flags_user ON integrity_flags (user_id, created_at);
+  `,
+  `
+  CREATE TABLE gaps (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id        TEXT NOT NULL,
+    day            TEXT NOT NULL,
+    reason         TEXT NOT NULL,
+    started_at     INTEGER NOT NULL,
+    ended_at       INTEGER,
+    minutes        INTEGER,
+    penalty_cents  INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX gaps_user ON gaps (user_id, started_at);
+  `,
+  `
+  CREATE TABLE partners (
+    id             TEXT PRIMARY KEY,
+    user_id        TEXT NOT NULL,
+    email          TEXT NOT NULL,
+    share_domains  INTEGER NOT NULL DEFAULT 0,
+    status         TEXT NOT NULL DEFAULT 'invited',
+    created_at     INTEGER NOT NULL,
+    accepted_at    INTEGER,
+    revoked_at     INTEGER
+  );
+  CREATE INDEX partners_user ON partners (user_id);
+  `,
+  `
+  CREATE TABLE donations (
+    id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+    payment_intent_id  TEXT NOT NULL UNIQUE,
+    user_id            TEXT NOT NULL,
+    destination        TEXT NOT NULL,
+    destination_kind   TEXT NOT NULL,
+    source             TEXT NOT NULL,
+    amount_cents       INTEGER NOT NULL,
+    status             TEXT,
+    month              TEXT NOT NULL,
+    created_at         INTEGER NOT NULL
+  );
+  CREATE INDEX donations_month ON donations (month, destination);
+  `,
+  // users.last_nightly_day is deprecated: the jobs table (next migration)
+  // replaced it, and nothing reads or writes it. It stays since migrations are
+  // append-only.
+  `
+  CREATE TABLE users (
+    user_id           TEXT PRIMARY KEY,
+    time_zone         TEXT,
+    last_nightly_day  TEXT,
+    updated_at        INTEGER NOT NULL
+  );
+  `,
+  // Settlement jobs (scheduler.js); supersedes users.last_nightly_day
+  `
+  CREATE TABLE jobs (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind          TEXT NOT NULL,
+    user_id       TEXT NOT NULL,
+    period        TEXT NOT NULL,
+    status        TEXT NOT NULL DEFAULT 'pending',
+    run_at        INTEGER NOT NULL,
+    attempts      INTEGER NOT NULL DEFAULT 0,
+    last_error    TEXT,
+    result        TEXT,
+    locked_by     TEXT,
+    locked_until  INTEGER,
+    created_at    INTEGER NOT NULL,
+    updated_at    INTEGER NOT NULL,
+    UNIQUE (kind, user_id, period)
+  );
+  CREATE INDEX jobs_due ON jobs (status, run_at);
+  `,
+  `
+  CREATE TABLE debts (
+    id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id            TEXT NOT NULL,
+    source             TEXT NOT NULL,
+    period             TEXT NOT NULL,
+    amount_cents       INTEGER NOT NULL,
+    status             TEXT NOT NULL DEFAULT 'open',
+    attempts           INTEGER NOT NULL DEFAULT 1,
+    last_error         TEXT,
+    payment_intent_id  TEXT,
+    created_at         INTEGER NOT NULL,
+    updated_at         INTEGER NOT NULL,
+    paid_at            INTEGER,
+    UNIQUE (user_id, source, period)
+  );
+  CREATE INDEX debts_user ON debts (user_id, status);
+  `,
+  `
+  CREATE TABLE payments (
+    payment_intent_id  TEXT PRIMARY KEY,
+    user_id            TEXT NOT NULL,
+    source             TEXT NOT NULL,
+    period             TEXT,
+    amount_cents       INTEGER NOT NULL,
+    status             TEXT,
+    failure_code       TEXT,
+    refunded_cents     INTEGER NOT NULL DEFAULT 0,
+    dispute_id         TEXT,
+    dispute_status     TEXT,
+    created_at         INTEGER NOT NULL,
+    updated_at         INTEGER NOT NULL
+  );
+  CREATE INDEX payments_user ON payments (user_id, created_at);
+  CREATE TABLE webhook_events (
+    event_id     TEXT PRIMARY KEY,
+    type         TEXT NOT NULL,
+    received_at  INTEGER NOT NULL
+  );
+  `,
+  // Statement detail: first local day covered and the priced line items (JSON)
+  `
+  ALTER TABLE payments ADD COLUMN period_start TEXT;
+  ALTER TABLE payments ADD COLUMN breakdown TEXT;
+  `,
+  `
+  CREATE TABLE disputes (
+    id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id            TEXT NOT NULL,
+    payment_intent_id  TEXT NOT NULL UNIQUE,
+    reason             TEXT NOT NULL,
+    domains            TEXT NOT NULL,
+    status             TEXT NOT NULL DEFAULT 'open',
+    refund_cents       INTEGER,
+    refund_id          TEXT,
+    note               TEXT,
+    created_at         INTEGER NOT NULL,
+    resolved_at        INTEGER
+  );
+  CREATE INDEX disputes_status ON disputes (status, created_at);
+  CREATE TABLE excused_usage (
+    user_id     TEXT NOT NULL,
+    day         TEXT NOT NULL,
+    domain      TEXT NOT NULL,
+    dispute_id  INTEGER NOT NULL,
+    PRIMARY KEY (user_id, day, domain)
+  );
+  `,
+  `
+  CREATE TABLE wallets (
+    id                   INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id              TEXT NOT NULL,
+    status               TEXT NOT NULL DEFAULT 'pending',
+    deposit_cents        INTEGER NOT NULL,
+    balance_cents        INTEGER NOT NULL DEFAULT 0,
+    period_days          INTEGER NOT NULL,
+    period_start         TEXT,
+    period_end           TEXT,
+    leftover             TEXT NOT NULL,
+    checkout_session_id  TEXT,
+    payment_intent_id    TEXT,
+    refunded_cents       INTEGER NOT NULL DEFAULT 0,
+    refund_id            TEXT,
+    created_at           INTEGER NOT NULL,
+    updated_at           INTEGER NOT NULL,
+    closed_at            INTEGER
+  );
+  CREATE INDEX wallets_user ON wallets (user_id, status);
+  CREATE TABLE wallet_debits (
+    wallet_id        INTEGER NOT NULL,
+    day              TEXT NOT NULL,
+    requested_cents  INTEGER NOT NULL,
+    debited_cents    INTEGER NOT NULL,
+    breakdown        TEXT,
+    created_at       INTEGER NOT NULL,
+    PRIMARY KEY (wallet_id, day)
+  );
+  `,
+  // Stripe webhooks name the customer, not the user
+  `
+  CREATE INDEX consents_customer ON consents (json_extract(data, '$.customerId'));
+  `,
+];
+
+function migrate(db) {
+  const applied = db.pragma("user_version", { simple: true });
+  for (let v = applied; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[v]);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+  return db.pragma("user_version", { simple: true });
+}
+
+const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+/* -------------------- repository -------------------- */
+export function createStore({ file = ":memory:" } = {}) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  const schemaVersion = migrate(db);
+
+  const q = {
+    consentGet: db.prepare("SELECT data FROM consents WHERE user_id = ?"),
+    consentPut: db.prepare(
+      `INSERT INTO consents (user_id, data, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT (user_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+    ),
+    consentIds: db.prepare("SELECT user_id FROM consents ORDER BY user_id"),
+    consentByCustomer: db.prepare(
+      "SELECT user_id FROM consents WHERE json_extract(data, '$.customerId') = ?"
+    ),
+
+    sessionGet: db.prepare("SELECT data FROM sessions WHERE session_id = ?"),
+    sessionPut: db.prepare(
+      `INSERT INTO sessions (session_id, user_id, data, last_seen_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (session_id) DO UPDATE SET user_id = excluded.user_id,
+         data = excluded.data, last_seen_at = excluded.last_seen_at`
+    ),
+
+    counterGet: db.prepare("SELECT data FROM counters WHERE user_id = ? AND day = ?"),
+    counterPut: db.prepare(
+      `INSERT INTO counters (user_id, day, data, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (user_id, day) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+    ),
+    counterDays: db.prepare("SELECT day FROM counters WHERE user_id = ? ORDER BY day"),
+    counterRange: db.prepare(
+      "SELECT day, data FROM counters WHERE user_id = ? AND day >= ? AND day <= ? ORDER BY day"
+    ),
+
+    rolloverGet: db.prepare("SELECT cents FROM rollovers WHERE user_id = ? AND kind = ?"),
+    rolloverSet: db.prepare(
+      `INSERT INTO rollovers (user_id, kind, cents) VALUES (?, ?, ?)
+       ON CONFLICT (user_id, kind) DO UPDATE SET cents = excluded.cents`
+    ),
+
+    chargeAdd: db.prepare(
+      `INSERT OR IGNORE INTO charges (idempotency_key, user_id, day, category, minutes,
+         cents_per_min, amount_cents, payment_intent_id, status, created_at)
+       VALUES (@idempotencyKey, @userId, @day, @category, @minutes,
+         @centsPerMin, @amountCents, @paymentIntentId, @status, @createdAt)`
+    ),
+    chargeMinutes: db.prepare(
+      `SELECT COALESCE(SUM(minutes), 0) AS minutes FROM charges
+       WHERE user_id = ? AND day = ? AND category = ?
+         AND status IN ('succeeded', 'processing', 'reported')`
+    ),
+    chargeCents: db.prepare(
+      `SELECT COALESCE(SUM(amount_cents), 0) AS cents FROM charges
+       WHERE user_id = ? AND day = ? AND status IN ('succeeded', 'processing', 'reported')`
+    ),
+
+    chargeStatus: db.prepare("UPDATE charges SET status = ? WHERE payment_intent_id = ?"),
+
+    deviceGet: db.prepare("SELECT * FROM devices WHERE device_id = ?"),
+    deviceActive: db.prepare(
+      "SELECT * FROM devices WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at"
+    ),
+    deviceAdd: db.prepare(
+      `INSERT INTO devices (device_id, user_id, install_hash, extension_version, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    ),
+    deviceAll: db.prepare("SELECT * FROM devices WHERE user_id = ? ORDER BY created_at"),
+    deviceRevoke: db.prepare(
+      "UPDATE devices SET revoked_at = ? WHERE device_id = ? AND revoked_at IS NULL"
+    ),
+    deviceReinstate: db.prepare("UPDATE devices SET revoked_at = NULL WHERE device_id = ?"),
+    deviceSeq: db.prepare("UPDATE devices SET last_seq = ? WHERE device_id = ?"),
+
+    lastSeen: db.prepare("SELECT MAX(last_seen_at) AS last_seen_at FROM sessions WHERE user_id = ?"),
+    lastSeenByUser: db.prepare(
+      `SELECT s.user_id, MAX(s.last_seen_at) AS last_seen_at FROM sessions s
+       WHERE EXISTS (SELECT 1 FROM devices d WHERE d.user_id = s.user_id AND d.revoked_at IS NULL)
+       GROUP BY s.user_id`
+    ),
+
+    gapOpen: db.prepare(
+      `INSERT INTO gaps (user_id, day, reason, started_at, penalty_cents) VALUES (?, ?, ?, ?, ?)`
+    ),
+    gapCurrent: db.prepare(
+      "SELECT * FROM gaps WHERE user_id = ? AND ended_at IS NULL ORDER BY started_at DESC LIMIT 1"
+    ),
+    gapClose: db.prepare(
+      "UPDATE gaps SET ended_at = ?, minutes = ?, penalty_cents = penalty_cents + ? WHERE id = ?"
+    ),
+    gapsSince: db.prepare(
+      "SELECT * FROM gaps WHERE user_id = ? AND started_at >= ? ORDER BY started_at"
+    ),
+
+    partnerGet: db.prepare("SELECT * FROM partners WHERE id = ?"),
+    partnersFor: db.prepare(
+      "SELECT * FROM partners WHERE user_id = ? AND status <> 'revoked' ORDER BY created_at"
+    ),
+    partnerAdd: db.prepare(
+      `INSERT INTO partners (id, user_id, email, share_domains, created_at) VALUES (?, ?, ?, ?, ?)`
+    ),
+    partnerAccept: db.prepare(
+      "UPDATE partners SET status = 'active', accepted_at = ? WHERE id = ? AND status = 'invited'"
+    ),
+    partnerRevoke: db.prepare(
+      "UPDATE partners SET status = 'revoked', revoked_at = ? WHERE id = ? AND user_id = ? AND status <> 'revoked'"
+    ),
+
+    donationAdd: db.prepare(
+      `INSERT OR IGNORE INTO donations
+         (payment_intent_id, user_id, destination, destination_kind, source, amount_cents, status, month, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ),
+    donationStatus: db.prepare("UPDATE donations SET status = ? WHERE payment_intent_id = ?"),
+    // Only money that actually moved (or is about to) counts toward a payout
+    donationReport: db.prepare(
+      `SELECT destination, destination_kind, COUNT(*) AS charges,
+              COUNT(DISTINCT user_id) AS users, SUM(amount_cents) AS cents
+       FROM donations WHERE month = ? AND status IN ('succeeded', 'processing')
+       GROUP BY destination, destination_kind ORDER BY cents DESC`
+    ),
+
+    flagAdd: db.prepare(
+      `INSERT INTO integrity_flags (user_id, session_id, device_id, kind, detail, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ),
+    flagsSince: db.prepare(
+      "SELECT * FROM integrity_flags WHERE user_id = ? AND created_at >= ? ORDER BY created_at"
+    ),
+
+    userGet: db.prepare("SELECT * FROM users WHERE user_id = ?"),
+    userKnown: db.prepare(
+      `SELECT EXISTS (SELECT 1 FROM devices WHERE user_id = @userId)
+           OR EXISTS (SELECT 1 FROM consents WHERE user_id = @userId)
+           OR EXISTS (SELECT 1 FROM sessions WHERE user_id = @userId)
+           OR EXISTS (SELECT 1 FROM counters WHERE user_id = @userId) AS known`
+    ),
+    userTimeZone: db.prepare(
+      `INSERT INTO users (user_id, time_zone, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT (user_id) DO UPDATE SET time_zone = excluded.time_zone, updated_at = excluded.updated_at`
+    ),
+
+    jobAdd: db.prepare(
+      `INSERT OR IGNORE INTO jobs (kind, user_id, period, run_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ),
+    jobGet: db.prepare("SELECT * FROM jobs WHERE id = ?"),
+    jobDue: db.prepare(
+      `SELECT * FROM jobs
+       WHERE (status = 'pending' AND run_at <= @now) OR (status = 'running' AND locked_until < @now)
+       ORDER BY run_at, id LIMIT 1`
+    ),
+    jobLock: db.prepare(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_by = ?,
+         locked_until = ?, updated_at = ? WHERE id = ?`
+    ),
+    jobDone: db.prepare(
+      `UPDATE jobs SET status = 'done', result = ?, last_error = NULL, locked_by = NULL,
+         locked_until = NULL, updated_at = ? WHERE id = ? AND locked_by = ? AND status = 'running'`
+    ),
+    jobFail: db.prepare(
+      `UPDATE jobs SET status = ?, run_at = COALESCE(?, run_at), last_error = ?, locked_by = NULL,
+         locked_until = NULL, updated_at = ? WHERE id = ? AND locked_by = ? AND status = 'running'`
+    ),
+    jobRequeue: db.prepare(
+      `UPDATE jobs SET status = 'pending', run_at = ?, attempts = 0, updated_at = ?
+       WHERE id = ? AND status = 'dead'`
+    ),
+    jobLatest: db.prepare("SELECT MAX(period) AS period FROM jobs WHERE user_id = ? AND kind = ?"),
+    jobList: db.prepare(
+      `SELECT * FROM jobs
+       WHERE (@status IS NULL OR status = @status) AND (@userId IS NULL OR user_id = @userId)
+         AND (@kind IS NULL OR kind = @kind) AND (@period IS NULL OR period = @period)
+       ORDER BY updated_at DESC, id DESC LIMIT @limit`
+    ),
+    jobCounts: db.prepare("SELECT status, COUNT(*) AS n FROM jobs GROUP BY status"),
+
+    debtAdd: db.prepare(
+      `INSERT OR IGNORE INTO debts (user_id, source, period, amount_cents, last_error,
+         payment_intent_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ),
+    debtFind: db.prepare("SELECT * FROM debts WHERE user_id = ? AND source = ? AND period = ?"),
+    debtGet: db.prepare("SELECT * FROM debts WHERE id = ?"),
+    debtUnpaid: db.prepare(
+      "SELECT * FROM debts WHERE user_id = ? AND status IN ('open', 'past_due') ORDER BY created_at, id"
+    ),
+    debtAttempt: db.prepare(
+      `UPDATE debts SET attempts = attempts + 1, last_error = ?, payment_intent_id = COALESCE(?, payment_intent_id),
+         updated_at = ? WHERE id = ? AND status IN ('open', 'past_due')`
+    ),
+    debtPastDue: db.prepare(
+      "UPDATE debts SET status = 'past_due', updated_at = ? WHERE id = ? AND status = 'open'"
+    ),
+    debtPaid: db.prepare(
+      `UPDATE debts SET status = 'paid', payment_intent_id = ?, paid_at = ?, updated_at = ?
+       WHERE id = ? AND status IN ('open', 'past_due')`
+    ),
+
+    paymentPut: db.prepare(
+      `INSERT INTO payments (payment_intent_id, user_id, source, period_start, period, amount_cents,
+         status, failure_code, breakdown, created_at, updated_at)
+       VALUES (@paymentIntentId, @userId, @source, @periodStart, @period, @amountCents,
+         @status, @failureCode, @breakdown, @now, @now)
+       ON CONFLICT (payment_intent_id) DO UPDATE SET status = excluded.status,
+         failure_code = excluded.failure_code,
+         period_start = COALESCE(excluded.period_start, payments.period_start),
+         breakdown = COALESCE(excluded.breakdown, payments.breakdown),
+         updated_at = excluded.updated_at`
+    ),
+    paymentGet: db.prepare("SELECT * FROM payments WHERE payment_intent_id = ?"),
+    paymentsFor: db.prepare("SELECT * FROM payments WHERE user_id = ? ORDER BY created_at, payment_intent_id"),
+    paymentStatus: db.prepare(
+      "UPDATE payments SET status = ?, failure_code = ?, updated_at = ? WHERE payment_intent_id = ?"
+    ),
+    paymentRefunded: db.prepare(
+      "UPDATE payments SET refunded_cents = ?, updated_at = ? WHERE payment_intent_id = ?"
+    ),
+    paymentDispute: db.prepare(
+      "UPDATE payments SET dispute_id = ?, dispute_status = ?, updated_at = ? WHERE payment_intent_id = ?"
+    ),
+
+    webhookClaim: db.prepare(
+      "INSERT OR IGNORE INTO webhook_events (event_id, type, received_at) VALUES (?, ?, ?)"
+    ),
+    webhookRelease: db.prepare("DELETE FROM webhook_events WHERE event_id = ?"),
+
+    disputeAdd: db.prepare(
+      `INSERT OR IGNORE INTO disputes (user_id, payment_intent_id, reason, domains, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    ),
+    disputeGet: db.prepare("SELECT * FROM disputes WHERE id = ?"),
+    disputeFor: db.prepare("SELECT * FROM disputes WHERE payment_intent_id = ?"),
+    disputeList: db.prepare(
+      `SELECT * FROM disputes
+       WHERE (@status IS NULL OR status = @status) AND (@userId IS NULL OR user_id = @userId)
+       ORDER BY created_at, id LIMIT @limit`
+    ),
+    disputeResolve: db.prepare(
+      `UPDATE disputes SET status = @status, refund_cents = @refundCents, refund_id = @refundId,
+         note = @note, resolved_at = @now
+       WHERE id = @id AND status = 'open'`
+    ),
+    excuseAdd: db.prepare(
+      "INSERT OR IGNORE INTO excused_usage (user_id, day, domain, dispute_id) VALUES (?, ?, ?, ?)"
+    ),
+    excusedFor: db.prepare("SELECT domain FROM excused_usage WHERE user_id = ? AND day = ? ORDER BY domain"),
+
+    walletAdd: db.prepare(
+      `INSERT INTO wallets (user_id, deposit_cents, period_days, leftover, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ),
+    walletGet: db.prepare("SELECT * FROM wallets WHERE id = ?"),
+    walletCurrent: db.prepare(
+      `SELECT * FROM wallets WHERE user_id = ? AND status IN ('pending', 'active')
+       ORDER BY id DESC LIMIT 1`
+    ),
+    walletActive: db.prepare("SELECT * FROM wallets WHERE user_id = ? AND status = 'active'"),
+    walletCovering: db.prepare(
+      `SELECT * FROM wallets WHERE user_id = ? AND status IN ('active', 'closed')
+         AND period_start <= ? AND period_end >= ?`
+    ),
+    walletCheckout: db.prepare(
+      "UPDATE wallets SET checkout_session_id = ?, updated_at = ? WHERE id = ? AND status = 'pending'"
+    ),
+    walletActivate: db.prepare(
+      `UPDATE wallets SET status = 'active', balance_cents = deposit_cents, payment_intent_id = @paymentIntentId,
+         period_start = @periodStart, period_end = @periodEnd, updated_at = @now
+       WHERE id = @id AND status = 'pending'`
+    ),
+    walletCancel: db.prepare(
+      "UPDATE wallets SET status = 'canceled', updated_at = ? WHERE user_id = ? AND status = 'pending'"
+    ),
+    walletSpend: db.prepare(
+      "UPDATE wallets SET balance_cents = balance_cents - ?, updated_at = ? WHERE id = ?"
+    ),
+    walletClose: db.prepare(
+      `UPDATE wallets SET status = 'closed', refunded_cents = ?, refund_id = ?, closed_at = ?, updated_at = ?
+       WHERE id = ? AND status = 'active'`
+    ),
+    walletDebitAdd: db.prepare(
+      `INSERT OR IGNORE INTO wallet_debits (wallet_id, day, requested_cents, debited_cents, breakdown, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ),
+    walletDebits: db.prepare("SELECT * FROM wallet_debits WHERE wallet_id = ? ORDER BY day"),
+    walletLastDebit: db.prepare("SELECT MAX(day) AS day FROM wallet_debits WHERE wallet_id = ?"),
+
+    metaGet: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    metaSet: db.prepare(
+      `INSERT INTO meta (key, value) VALUES (?, ?)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+    ),
+  };
+
+  const gap = (r) =>
+    r && {
+      id: r.id,
+      userId: r.user_id,
+      day: r.day,
+      reason: r.reason,
+      startedAt: r.started_at,
+      endedAt: r.ended_at,
+      minutes: r.minutes,
+      penaltyCents: r.penalty_cents,
+    };
+
+  const partner = (r) =>
+    r && {
+      id: r.id,
+      userId: r.user_id,
+      email: r.email,
+      shareDomains: !!r.share_domains,
+      status: r.status,
+      createdAt: r.created_at,
+      acceptedAt: r.accepted_at,
+      revokedAt: r.revoked_at,
+    };
+
+  const job = (r) =>
+    r && {
+      id: r.id,
+      kind: r.kind,
+      userId: r.user_id,
+      period: r.period,
+      status: r.status,
+      runAt: r.run_at,
+      attempts: r.attempts,
+      lastError: r.last_error,
+      result: r.result ? JSON.parse(r.result) : null,
+      lockedBy: r.locked_by,
+      lockedUntil: r.locked_until,
+      createdAt: r.created_at,
+      updatedAt: r.updated_at,
+    };
+
+  const dispute = (r) =>
+    r && {
+      id: r.id,
+      userId: r.user_id,
+      paymentIntentId: r.payment_intent_id,
+      reason: r.reason,
+      domains: JSON.parse(r.domains),
+      status: r.status,
+      refundCents: r.refund_cents,
+      refundId: r.refund_id,
+      note: r.note,
+      createdAt: r.created_at,
+      resolvedAt: r.resolved_at,
+    };
+
+  const wallet = (r) =>
+    r && {
+      id: r.id,
+      userId: r.user_id,
+      status: r.status,
+      depositCents: r.deposit_cents,
+      balanceCents: r.balance_cents,
+      periodDays: r.period_days,
+      periodStart: r.period_start,
+      periodEnd: r.period_end,
+      leftover: r.leftover,
+      checkoutSessionId: r.checkout_session_id,
+      paymentIntentId: r.payment_intent_id,
+      refundedCents: r.refunded_cents,
+      refundId: r.refund_id,
+      createdAt: r.created_at,
+      closedAt: r.closed_at,
+    };
+
+  const debt = (r) =>
+    r && {
+      id: r.id,
+      userId: r.user_id,
+      source: r.source,
+      period: r.period,
+      amountCents: r.amount_cents,
+      status: r.status,
+      attempts: r.attempts,
+      lastError: r.last_error,
+      paymentIntentId: r.payment_intent_id,
+      createdAt: r.created_at,
+      updatedAt: r.updated_at,
+      paidAt: r.paid_at,
+    };
+
+  const payment = (r) =>
+    r && {
+      paymentIntentId: r.payment_intent_id,
+      userId: r.user_id,
+      source: r.source,
+      periodStart: r.period_start,
+      period: r.period,
+      amountCents: r.amount_cents,
+      status: r.status,
+      failureCode: r.failure_code,
+      breakdown: r.breakdown ? JSON.parse(r.breakdown) : null,
+      refundedCents: r.refunded_cents,
+      disputeId: r.dispute_id,
+      disputeStatus: r.dispute_status,
+      createdAt: r.created_at,
+      updatedAt: r.updated_at,
+    };
+
+  const device = (r) =>
+    r && {
+      deviceId: r.device_id,
+      userId: r.user_id,
+      installHash: r.install_hash,
+      extensionVersion: r.extension_version,
+      createdAt: r.created_at,
+      revokedAt: r.revoked_at,
+      lastSeq: r.last_seq,
+    };
+
+  return {
+    file,
+    schemaVersion,
+    db,
+
+    consents: {
+      get: (userId) => parse(q.consentGet.get(userId)),
+      set: (userId, snap) =>
+        q.consentPut.run(userId, JSON.stringify(snap || {}), Date.now()),
+      userIds: () => q.consentIds.all().map((r) => r.user_id),
+      // userId whose snapshot holds this Stripe customer, or null
+      userIdByCustomer: (customerId) =>
+        (customerId && q.consentByCustomer.get(customerId)?.user_id) || null,
+    },
+
+    sessions: {
+      get: (sessionId) => parse(q.sessionGet.get(sessionId)),
+      set: (sessionId, sess) =>
+        q.sessionPut.run(
+          sessionId,
+          sess.userId,
+          JSON.stringify(sess),
+          Number(sess.lastSeenAt) || Date.now()
+        ),
+      lastSeen: (userId) => q.lastSeen.get(userId)?.last_seen_at ?? null,
+      // [{ userId, lastSeenAt }] for users with at least one active device
+      lastSeenByUser: () =>
+        q.lastSeenByUser.all().map((r) => ({ userId: r.user_id, lastSeenAt: r.last_seen_at })),
+    },
+
+    counters: {
+      get: (userId, day) => parse(q.counterGet.get(userId, day)),
+      set: (userId, day, bucket) =>
+        q.counterPut.run(userId, day, JSON.stringify(bucket), Number(bucket.updatedAt) || Date.now()),
+      // Sorted ascending YYYY-MM-DD for days that have a bucket
+      days: (userId) => q.counterDays.all(userId).map((r) => r.day),
+      // [day, bucket] pairs for fromDay..toDay inclusive
+      range: (userId, fromDay, toDay) =>
+        q.counterRange.all(userId, fromDay, toDay).map((r) => [r.day, JSON.parse(r.data)]),
+    },
+
+    // kind: "weekly" | "nightly"
+    rollovers: {
+      get: (userId, kind) => q.rolloverGet.get(userId, kind)?.cents || 0,
+      set: (userId, kind, cents) => q.rolloverSet.run(userId, kind, Math.round(cents || 0)),
+    },
+
+    // Direct charges made before settlement (Continue Paid). Settlement
+    // subtracts chargedMinutes() so the same minute is never billed twice.
+    charges: {
+      // Returns false if the idempotency key was already recorded
+      add: (c) =>
+        q.chargeAdd.run({
+          idempotencyKey: c.idempotencyKey,
+          userId: c.userId,
+          day: c.day,
+          category: c.category,
+          minutes: c.minutes,
+          centsPerMin: c.centsPerMin,
+          amountCents: c.amountCents,
+          paymentIntentId: c.paymentIntentId ?? null,
+          status: c.status ?? null,
+          createdAt: Date.now(),
+        }).changes > 0,
+      chargedMinutes: (userId, day, category) =>
+        q.chargeMinutes.get(userId, day, category).minutes,
+      // all categories; counts toward the daily cap
+      chargedCents: (userId, day) => q.chargeCents.get(userId, day).cents,
+      // A failed/canceled PaymentIntent stops counting as prepaid
+      setStatus: (paymentIntentId, status) => q.chargeStatus.run(status, paymentIntentId).changes > 0,
+    },
+
+    // Registered extension installs (see auth.js)
+    devices: {
+      get: (deviceId) => device(q.deviceGet.get(deviceId)) || null,
+      active: (userId) => q.deviceActive.all(userId).map(device),
+      // revoked ones too
+      all: (userId) => q.deviceAll.all(userId).map(device),
+      add: ({ deviceId, userId, installHash, extensionVersion }) =>
+        q.deviceAdd.run(deviceId, userId, installHash, extensionVersion ?? null, Date.now()),
+      revoke: (deviceId) => q.deviceRevoke.run(Date.now(), deviceId).changes > 0,
+      reinstate: (deviceId) => q.deviceReinstate.run(deviceId).changes > 0,
+      setLastSeq: (deviceId, seq) => q.deviceSeq.run(seq, deviceId),
+    },
+
+    // Periods with no heartbeat (extension disabled, browser closed, uninstalled)
+    gaps: {
+      open: ({ userId, day, reason, startedAt, penaltyCents = 0 }) =>
+        q.gapOpen.run(userId, day, reason, startedAt, penaltyCents).lastInsertRowid,
+      current: (userId) => gap(q.gapCurrent.get(userId)) || null,
+      close: (id, { endedAt, minutes, penaltyCents = 0 }) =>
+        q.gapClose.run(endedAt, minutes, penaltyCents, id),
+      since: (userId, ts) => q.gapsSince.all(userId, ts).map(gap),
+    },
+
+    // Accountability partners (read-only viewers who get notified)
+    partners: {
+      get: (id) => partner(q.partnerGet.get(id)) || null,
+      // invited + active (not revoked)
+      forUser: (userId) => q.partnersFor.all(userId).map(partner),
+      add: ({ id, userId, email, shareDomains }) =>
+        q.partnerAdd.run(id, userId, email, shareDomains ? 1 : 0, Date.now()),
+      accept: (id) => q.partnerAccept.run(Date.now(), id).changes > 0,
+      revoke: (id, userId) => q.partnerRevoke.run(Date.now(), id, userId).changes > 0,
+    },
+
+    // Collected charges earmarked per destination (see destinations.js)
+    donations: {
+      record: ({ paymentIntentId, userId, destination, destinationKind, source, amountCents, status }) => {
+        const now = Date.now();
+        return (
+          q.donationAdd.run(
+            paymentIntentId,
+            userId,
+            destination,
+            destinationKind,
+            source,
+            amountCents,
+            status ?? null,
+            new Date(now).toISOString().slice(0, 7),
+            now
+          ).changes > 0
+        );
+      },
+      setStatus: (paymentIntentId, status) =>
+        q.donationStatus.run(status, paymentIntentId).changes > 0,
+      // month = "YYYY-MM" (UTC)
+      report: (month) =>
+        q.donationReport.all(month).map((r) => ({
+          destination: r.destination,
+          destinationKind: r.destination_kind,
+          charges: r.charges,
+          users: r.users,
+          cents: r.cents,
+        })),
+    },
+
+    // Tick integrity findings (gaps, replays, bad signatures, clock skew)
+    integrity: {
+      add: ({ userId, sessionId, deviceId, kind, detail }) =>
+        q.flagAdd.run(
+          userId,
+          sessionId ?? null,
+          deviceId ?? null,
+          kind,
+          detail ? JSON.stringify(detail) : null,
+          Date.now()
+        ),
+      since: (userId, ts) =>
+        q.flagsSince.all(userId, ts).map((r) => ({
+          sessionId: r.session_id,
+          deviceId: r.device_id,
+          kind: r.kind,
+          detail: r.detail ? JSON.parse(r.detail) : null,
+          createdAt: r.created_at,
+        })),
+    },
+
+    // Per-user server state: IANA time zone for day bucketing
+    users: {
+      timeZone: (userId) => q.userGet.get(userId)?.time_zone ?? null,
+      setTimeZone: (userId, tz) => q.userTimeZone.run(userId, tz, Date.now()),
+      // Any device, consent, session or usage on record (a claimed userId)
+      known: (userId) => Boolean(q.userKnown.get({ userId }).known),
+    },
+
+    // Durable settlement jobs, one per (kind, user, period); see scheduler.js
+    jobs: {
+      // Returns false if that period is already queued (or ran)
+      enqueue: ({ kind, userId, period, runAt = Date.now() }) => {
+        const now = Date.now();
+        return q.jobAdd.run(kind, userId, period, runAt, now, now).changes > 0;
+      },
+      get: (id) => job(q.jobGet.get(id)) || null,
+      // Takes the next due (or lease-expired) job; IMMEDIATE so two processes
+      // can't both read it before either writes the lock.
+      claim: db.transaction(({ workerId, now = Date.now(), leaseMs }) => {
+        const r = q.jobDue.get({ now });
+        if (!r) return null;
+        q.jobLock.run(workerId, now + leaseMs, now, r.id);
+        return job(q.jobGet.get(r.id));
+      }).immediate,
+      // Both return false if workerId no longer holds the lease
+      complete: (id, workerId, result) =>
+        q.jobDone.run(JSON.stringify(result), Date.now(), id, workerId).changes > 0,
+      // retryAt = null parks the job as dead
+      fail: (id, workerId, { error, retryAt = null }) =>
+        q.jobFail.run(retryAt ? "pending" : "dead", retryAt, error, Date.now(), id, workerId).changes > 0,
+      requeue: (id, runAt = Date.now()) => q.jobRequeue.run(runAt, Date.now(), id).changes > 0,
+      // Most recent period queued for this user and kind
+      latestPeriod: (userId, kind) => q.jobLatest.get(userId, kind)?.period ?? null,
+      list: ({ status = null, userId = null, kind = null, period = null, limit = 100 } = {}) =>
+        q.jobList.all({ status, userId, kind, period, limit }).map(job),
+      counts: () => Object.fromEntries(q.jobCounts.all().map((r) => [r.status, r.n])),
+    },
+
+    // Settlement charges that failed (decline, authentication required).
+    // status: open (retrying) -> past_due (retries used up) -> paid
+    debts: {
+      // One per (user, source, period); re-opening returns the existing debt
+      open: ({ userId, source, period, amountCents, error = null, paymentIntentId = null }) => {
+        const now = Date.now();
+        q.debtAdd.run(userId, source, period, amountCents, error, paymentIntentId, now, now);
+        return debt(q.debtFind.get(userId, source, period));
+      },
+      get: (id) => debt(q.debtGet.get(id)) || null,
+      unpaid: (userId) => q.debtUnpaid.all(userId).map(debt),
+      outstandingCents: (userId) => q.debtUnpaid.all(userId).reduce((sum, r) => sum + r.amount_cents, 0),
+      recordAttempt: (id, { error, paymentIntentId = null }) =>
+        q.debtAttempt.run(error, paymentIntentId, Date.now(), id).changes > 0,
+      markPastDue: (id) => q.debtPastDue.run(Date.now(), id).changes > 0,
+      // Returns false if it was already paid
+      markPaid: (id, paymentIntentId) => {
+        const now = Date.now();
+        return q.debtPaid.run(paymentIntentId ?? null, now, now, id).changes > 0;
+      },
+    },
+
+    // Every PaymentIntent we create (source: charge | nightly | weekly | dunning),
+    // kept current by Stripe webhooks
+    payments: {
+      // breakdown: { perCategory, rolloverCents } for settlements, { debts } for dunning
+      record: ({
+        paymentIntentId,
+        userId,
+        source,
+        periodStart = null,
+        period = null,
+        amountCents,
+        status = null,
+        failureCode = null,
+        breakdown = null,
+      }) =>
+        q.paymentPut.run({
+          paymentIntentId,
+          userId,
+          source,
+          periodStart,
+          period,
+          amountCents,
+          status,
+          failureCode,
+          breakdown: breakdown ? JSON.stringify(breakdown) : null,
+          now: Date.now(),
+        }),
+      get: (paymentIntentId) => payment(q.paymentGet.get(paymentIntentId)) || null,
+      forUser: (userId) => q.paymentsFor.all(userId).map(payment),
+      // These return false for PaymentIntents that aren't ours
+      setStatus: (paymentIntentId, status, failureCode = null) =>
+        q.paymentStatus.run(status, failureCode, Date.now(), paymentIntentId).changes > 0,
+      setRefunded: (paymentIntentId, refundedCents) =>
+        q.paymentRefunded.run(refundedCents, Date.now(), paymentIntentId).changes > 0,
+      setDispute: (paymentIntentId, { disputeId, status }) =>
+        q.paymentDispute.run(disputeId, status, Date.now(), paymentIntentId).changes > 0,
+    },
+
+    // Stripe event ids already handled (webhook redelivery dedupe)
+    webhookEvents: {
+      // false if this event was seen before
+      claim: (eventId, type) => q.webhookClaim.run(eventId, type, Date.now()).changes > 0,
+      // Forget a claim whose handler failed so Stripe's retry is processed
+      release: (eventId) => q.webhookRelease.run(eventId),
+    },
+
+    // Charges a user contests (open -> approved | rejected), one per PaymentIntent.
+    // Not to be confused with card-network disputes, which live on payments.
+    disputes: {
+      // domains: [{ day, domain }] the user says shouldn't have been billed.
+      // Returns null if this charge was already disputed.
+      file: ({ userId, paymentIntentId, reason, domains = [] }) => {
+        const r = q.disputeAdd.run(userId, paymentIntentId, reason, JSON.stringify(domains), Date.now());
+        return r.changes > 0 ? dispute(q.disputeGet.get(r.lastInsertRowid)) : null;
+      },
+      get: (id) => dispute(q.disputeGet.get(id)) || null,
+      forPayment: (paymentIntentId) => dispute(q.disputeFor.get(paymentIntentId)) || null,
+      list: ({ status = null, userId = null, limit = 100 } = {}) =>
+        q.disputeList.all({ status, userId, limit }).map(dispute),
+      // false unless the dispute was still open
+      resolve: (id, { status, refundCents = null, refundId = null, note = null }) =>
+        q.disputeResolve.run({ id, status, refundCents, refundId, note, now: Date.now() }).changes > 0,
+    },
+
+    // Domain time on a day that approved disputes took out of billing and streaks
+    excusedUsage: {
+      add: ({ userId, day, domain, disputeId }) => q.excuseAdd.run(userId, day, domain, disputeId).changes > 0,
+      domains: (userId, day) => q.excusedFor.all(userId, day).map((r) => r.domain),
+    },
+
+    // Prepaid deposits: pending (checkout open) -> active (funded, being
+    // debited day by day) -> closed (leftover refunded or forfeited).
+    // A pending one is canceled when the user starts another checkout.
+    wallets: {
+      create: ({ userId, depositCents, periodDays, leftover }) => {
+        const now = Date.now();
+        return db.transaction(() => {
+          q.walletCancel.run(now, userId);
+          return wallet(q.walletGet.get(q.walletAdd.run(userId, depositCents, periodDays, leftover, now, now).lastInsertRowid));
+        })();
+      },
+      get: (id) => wallet(q.walletGet.get(id)) || null,
+      // The pending or active wallet, if any
+      current: (userId) => wallet(q.walletCurrent.get(userId)) || null,
+      active: (userId) => wallet(q.walletActive.get(userId)) || null,
+      // The wallet that pays for a local day (settlement must not bill it again)
+      covering: (userId, day) => wallet(q.walletCovering.get(userId, day, day)) || null,
+      setCheckout: (id, sessionId) => q.walletCheckout.run(sessionId, Date.now(), id).changes > 0,
+      // false unless it was pending (webhook redelivery)
+      activate: (id, { paymentIntentId, periodStart, periodEnd }) =>
+        q.walletActivate.run({ id, paymentIntentId, periodStart, periodEnd, now: Date.now() }).changes > 0,
+      // Takes what the balance allows. null if the day was already debited or
+      // the wallet isn't active.
+      debit: db.transaction((id, { day, amountCents, breakdown = null }) => {
+        const w = q.walletGet.get(id);
+        if (w?.status !== "active") return null;
+        const debitedCents = Math.min(amountCents, w.balance_cents);
+        const now = Date.now();
+        const added = q.walletDebitAdd.run(id, day, amountCents, debitedCents, breakdown && JSON.stringify(breakdown), now);
+        if (added.changes === 0) return null;
+        q.walletSpend.run(debitedCents, now, id);
+        return { debitedCents, shortfallCents: amountCents - debitedCents };
+      }),
+      debits: (id) =>
+        q.walletDebits.all(id).map((r) => ({
+          day: r.day,
+          requestedCents: r.requested_cents,
+          debitedCents: r.debited_cents,
+          breakdown: r.breakdown ? JSON.parse(r.breakdown) : null,
+        })),
+      lastDebitDay: (id) => q.walletLastDebit.get(id).day ?? null,
+      close: (id, { refundedCents = 0, refundId = null } = {}) => {
+        const now = Date.now();
+        return q.walletClose.run(refundedCents, refundId, now, now, id).changes > 0;
+      },
+    },
+
+    // Small server-owned key/value settings (e.g. generated secrets)
+    meta: {
+      get: (key) => q.metaGet.get(key)?.value ?? null,
+      set: (key, value) => q.metaSet.run(key, String(value)),
+    },
+
+    transaction: (fn) => db.transaction(fn)(),
+    close: () => db.close(),
+  };
+}
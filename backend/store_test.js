@@ -0,0 +1,273 @@
+// store_test.js — persistence layer against a temp DB file
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createStore, MIGRATIONS } from "./store.js";
+
+function tempDbFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vicebank-store-"));
+  return path.join(dir, "test.db");
+}
+
+test("migrations run once and record the schema version", () => {
+  const file = tempDbFile();
+  const a = createStore({ file });
+  assert.equal(a.schemaVersion, MIGRATIONS.length);
+  a.close();
+
+  // Re-opening must not re-run (CREATE TABLE would throw)
+  const b = createStore({ file });
+  assert.equal(b.schemaVersion, MIGRATIONS.length);
+  b.close();
+});
+
+test("consents, sessions, counters and rollovers survive a reopen", () => {
+  const file = tempDbFile();
+  const a = createStore({ file });
+  a.consents.set("u1", { grace: { porn: 1, gambling: 0 }, customerId: "cus_123" });
+  a.sessions.set("s1", { userId: "u1", sessionId: "s1", startedAt: 1, lastSeenAt: 2 });
+  a.counters.set("u1", "2024-05-01", {
+    updatedAt: 3,
+    byCategory: { porn: { minutes: 4, seconds: 30 }, gambling: { minutes: 0, seconds: 0 } },
+    byDomain: { "pornhub.com": { seconds: 270, category: "porn" } },
+  });
+  a.rollovers.set("u1", "weekly", 20);
+  a.rollovers.set("u1", "nightly", 35);
+  a.close();
+
+  const b = createStore({ file });
+  assert.equal(b.consents.get("u1").customerId, "cus_123");
+  assert.deepEqual(b.consents.userIds(), ["u1"]);
+  assert.equal(b.consents.userIdByCustomer("cus_123"), "u1");
+  assert.equal(b.sessions.get("s1").userId, "u1");
+  assert.equal(b.counters.get("u1", "2024-05-01").byCategory.porn.minutes, 4);
+  assert.equal(b.rollovers.get("u1", "weekly"), 20);
+  assert.equal(b.rollovers.get("u1", "nightly"), 35);
+  b.close();
+});
+
+test("missing rows read as null / zero", () => {
+  const s = createStore();
+  assert.equal(s.consents.get("nobody"), null);
+  assert.equal(s.consents.userIdByCustomer("cus_nobody"), null);
+  assert.equal(s.sessions.get("nope"), null);
+  assert.equal(s.counters.get("nobody", "2024-01-01"), null);
+  assert.equal(s.rollovers.get("nobody", "weekly"), 0);
+  s.close();
+});
+
+test("counter days and ranges are per user and sorted", () => {
+  const s = createStore();
+  const bucket = { updatedAt: 1, byCategory: {}, byDomain: {} };
+  for (const day of ["2024-05-03", "2024-05-01", "2024-05-02"]) s.counters.set("u1", day, bucket);
+  s.counters.set("u2", "2024-05-02", bucket);
+
+  assert.deepEqual(s.counters.days("u1"), ["2024-05-01", "2024-05-02", "2024-05-03"]);
+  assert.deepEqual(
+    s.counters.range("u1", "2024-05-02", "2024-05-03").map(([day]) => day),
+    ["2024-05-02", "2024-05-03"]
+  );
+  assert.deepEqual(s.counters.days("u2"), ["2024-05-02"]);
+  s.close();
+});
+
+test("charges dedupe by idempotency key and sum settled minutes", () => {
+  const s = createStore();
+  const base = { userId: "u1", day: "2024-05-01", category: "porn", centsPerMin: 5 };
+  assert.equal(s.charges.add({ ...base, idempotencyKey: "k1", minutes: 10, amountCents: 50, status: "succeeded" }), true);
+  assert.equal(s.charges.add({ ...base, idempotencyKey: "k1", minutes: 10, amountCents: 50, status: "succeeded" }), false);
+  s.charges.add({ ...base, idempotencyKey: "k2", minutes: 4, amountCents: 20, status: "requires_action" });
+
+  assert.equal(s.charges.chargedMinutes("u1", "2024-05-01", "porn"), 10);
+  assert.equal(s.charges.chargedMinutes("u1", "2024-05-01", "gambling"), 0);
+  s.close();
+});
+
+test("gaps open, close and list per user", () => {
+  const s = createStore();
+  const id = s.gaps.open({ userId: "u1", day: "2024-05-01", reason: "heartbeat_lost", startedAt: 1000 });
+  assert.equal(s.gaps.current("u1").id, Number(id));
+  s.gaps.close(id, { endedAt: 61_000, minutes: 1, penaltyCents: 25 });
+  assert.equal(s.gaps.current("u1"), null);
+  assert.deepEqual(
+    s.gaps.since("u1", 0).map((g) => [g.reason, g.minutes, g.penaltyCents]),
+    [["heartbeat_lost", 1, 25]]
+  );
+  s.close();
+});
+
+test("partners move invited -> active -> revoked and only the owner can revoke", () => {
+  const s = createStore();
+  s.partners.add({ id: "p1", userId: "u1", email: "pal@example.com", shareDomains: true });
+  assert.equal(s.partners.get("p1").status, "invited");
+  assert.equal(s.partners.get("p1").shareDomains, true);
+
+  assert.equal(s.partners.accept("p1"), true);
+  assert.equal(s.partners.accept("p1"), false);
+  assert.equal(s.partners.revoke("p1", "u2"), false);
+  assert.deepEqual(s.partners.forUser("u1").map((p) => p.status), ["active"]);
+
+  assert.equal(s.partners.revoke("p1", "u1"), true);
+  assert.deepEqual(s.partners.forUser("u1"), []);
+  assert.equal(s.partners.get("p1").status, "revoked");
+  s.close();
+});
+
+test("donation report sums settled charges per destination for the month", () => {
+  const s = createStore();
+  const month = new Date().toISOString().slice(0, 7);
+  const base = { destination: "givedirectly", destinationKind: "charity", source: "nightly" };
+  assert.equal(s.donations.record({ ...base, paymentIntentId: "pi_1", userId: "u1", amountCents: 500, status: "succeeded" }), true);
+  assert.equal(s.donations.record({ ...base, paymentIntentId: "pi_1", userId: "u1", amountCents: 500, status: "succeeded" }), false);
+  s.donations.record({ ...base, paymentIntentId: "pi_2", userId: "u2", amountCents: 300, status: "requires_action" });
+  s.donations.record({ ...base, paymentIntentId: "pi_3", userId: "u1", destination: "gop", destinationKind: "anti_charity", amountCents: 200, status: "processing" });
+
+  assert.deepEqual(s.donations.report(month), [
+    { destination: "givedirectly", destinationKind: "charity", charges: 1, users: 1, cents: 500 },
+    { destination: "gop", destinationKind: "anti_charity", charges: 1, users: 1, cents: 200 },
+  ]);
+  assert.equal(s.donations.setStatus("pi_2", "succeeded"), true);
+  assert.equal(s.donations.report(month)[0].cents, 800);
+  assert.deepEqual(s.donations.report("1999-01"), []);
+  s.close();
+});
+
+test("users keep their time zone", () => {
+  const s = createStore();
+  assert.equal(s.users.timeZone("u1"), null);
+  s.users.setTimeZone("u1", "Asia/Kolkata");
+  assert.equal(s.users.timeZone("u1"), "Asia/Kolkata");
+  s.users.setTimeZone("u1", "Europe/Berlin");
+  assert.equal(s.users.timeZone("u1"), "Europe/Berlin");
+  s.close();
+});
+
+test("devices keep their history; a userId is known once anything is recorded for it", () => {
+  const s = createStore();
+  assert.equal(s.users.known("u1"), false);
+  s.devices.add({ deviceId: "d1", userId: "u1", installHash: "h1" });
+  assert.equal(s.users.known("u1"), true);
+  assert.equal(s.devices.revoke("d1"), true);
+  assert.deepEqual(s.devices.active("u1"), []);
+  assert.deepEqual(s.devices.all("u1").map((d) => d.deviceId), ["d1"]);
+  assert.equal(s.devices.reinstate("d1"), true);
+  assert.equal(s.devices.active("u1")[0].revokedAt, null);
+
+  // Legacy users: data from before devices existed
+  s.consents.set("u2", { grace: { porn: 1, gambling: 0 } });
+  assert.equal(s.users.known("u2"), true);
+  s.close();
+});
+
+test("debts open once per period and close when paid", () => {
+  const s = createStore();
+  const d = s.debts.open({ userId: "u1", source: "nightly", period: "2024-05-01", amountCents: 120, error: "insufficient_funds" });
+  assert.equal(d.status, "open");
+  assert.equal(d.attempts, 1);
+  assert.equal(s.debts.open({ userId: "u1", source: "nightly", period: "2024-05-01", amountCents: 999 }).id, d.id);
+  s.debts.open({ userId: "u1", source: "weekly", period: "2024-05-05", amountCents: 300 });
+  assert.equal(s.debts.outstandingCents("u1"), 420);
+
+  assert.equal(s.debts.recordAttempt(d.id, { error: "expired_card", paymentIntentId: "pi_2" }), true);
+  assert.equal(s.debts.markPastDue(d.id), true);
+  assert.deepEqual(
+    (({ status, attempts, lastError, paymentIntentId }) => ({ status, attempts, lastError, paymentIntentId }))(s.debts.get(d.id)),
+    { status: "past_due", attempts: 2, lastError: "expired_card", paymentIntentId: "pi_2" }
+  );
+
+  assert.equal(s.debts.markPaid(d.id, "pi_3"), true);
+  assert.equal(s.debts.markPaid(d.id, "pi_4"), false);
+  assert.equal(s.debts.recordAttempt(d.id, { error: "late" }), false);
+  assert.deepEqual(s.debts.unpaid("u1").map((x) => x.source), ["weekly"]);
+  assert.equal(s.debts.outstandingCents("u1"), 300);
+  s.close();
+});
+
+test("payments keep their statement breakdown through status updates", () => {
+  const s = createStore();
+  const perCategory = { porn: { minutes: 4, centsPerMin: 25, centsTotal: 100 } };
+  s.payments.record({
+    paymentIntentId: "pi_1",
+    userId: "u1",
+    source: "weekly",
+    periodStart: "2024-04-29",
+    period: "2024-05-05",
+    amountCents: 130,
+    status: "processing",
+    breakdown: { perCategory, rolloverCents: 30 },
+  });
+  // A later upsert without a breakdown (e.g. the declined path) keeps the first one
+  s.payments.record({ paymentIntentId: "pi_1", userId: "u1", source: "weekly", period: "2024-05-05", amountCents: 130, status: "succeeded" });
+  assert.equal(s.payments.setRefunded("pi_1", 50), true);
+
+  const p = s.payments.get("pi_1");
+  assert.equal(p.status, "succeeded");
+  assert.equal(p.periodStart, "2024-04-29");
+  assert.equal(p.refundedCents, 50);
+  assert.deepEqual(p.breakdown, { perCategory, rolloverCents: 30 });
+  assert.deepEqual(s.payments.forUser("u2"), []);
+  s.close();
+});
+
+test("a charge is disputed once and resolved once", () => {
+  const s = createStore();
+  const d = s.disputes.file({
+    userId: "u1",
+    paymentIntentId: "pi_1",
+    reason: "background tab",
+    domains: [{ day: "2024-05-01", domain: "x.com" }],
+  });
+  assert.equal(d.status, "open");
+  assert.deepEqual(d.domains, [{ day: "2024-05-01", domain: "x.com" }]);
+  assert.equal(s.disputes.file({ userId: "u1", paymentIntentId: "pi_1", reason: "again" }), null);
+  assert.deepEqual(s.disputes.list({ status: "open" }).map((x) => x.id), [d.id]);
+
+  assert.equal(s.disputes.resolve(d.id, { status: "approved", refundCents: 50, refundId: "re_1" }), true);
+  assert.equal(s.disputes.resolve(d.id, { status: "rejected" }), false);
+  assert.equal(s.disputes.forPayment("pi_1").refundCents, 50);
+  assert.deepEqual(s.disputes.list({ status: "open" }), []);
+
+  assert.equal(s.excusedUsage.add({ userId: "u1", day: "2024-05-01", domain: "x.com", disputeId: d.id }), true);
+  assert.equal(s.excusedUsage.add({ userId: "u1", day: "2024-05-01", domain: "x.com", disputeId: d.id }), false);
+  assert.deepEqual(s.excusedUsage.domains("u1", "2024-05-01"), ["x.com"]);
+  assert.deepEqual(s.excusedUsage.domains("u2", "2024-05-01"), []);
+  s.close();
+});
+
+test("a wallet is funded once, debited once per day and never below zero", () => {
+  const s = createStore();
+  const stale = s.wallets.create({ userId: "u1", depositCents: 2000, periodDays: 7, leftover: "refund" });
+  const w = s.wallets.create({ userId: "u1", depositCents: 1000, periodDays: 7, leftover: "donate" });
+  assert.equal(s.wallets.get(stale.id).status, "canceled");
+  assert.equal(s.wallets.current("u1").id, w.id);
+  assert.equal(s.wallets.debit(w.id, { day: "2024-05-01", amountCents: 100 }), null); // not funded yet
+
+  const period = { paymentIntentId: "pi_w", periodStart: "2024-05-01", periodEnd: "2024-05-07" };
+  assert.equal(s.wallets.activate(w.id, period), true);
+  assert.equal(s.wallets.activate(w.id, period), false);
+  assert.equal(s.wallets.active("u1").balanceCents, 1000);
+  assert.equal(s.wallets.covering("u1", "2024-05-07").id, w.id);
+  assert.equal(s.wallets.covering("u1", "2024-05-08"), null);
+
+  assert.deepEqual(s.wallets.debit(w.id, { day: "2024-05-01", amountCents: 600, breakdown: { porn: { minutes: 6 } } }), {
+    debitedCents: 600,
+    shortfallCents: 0,
+  });
+  assert.equal(s.wallets.debit(w.id, { day: "2024-05-01", amountCents: 600 }), null);
+  assert.deepEqual(s.wallets.debit(w.id, { day: "2024-05-02", amountCents: 700 }), { debitedCents: 400, shortfallCents: 300 });
+  assert.equal(s.wallets.get(w.id).balanceCents, 0);
+  assert.deepEqual(s.wallets.debits(w.id).map((d) => [d.day, d.debitedCents]), [["2024-05-01", 600], ["2024-05-02", 400]]);
+  assert.deepEqual(s.wallets.debits(w.id)[0].breakdown, { porn: { minutes: 6 } });
+  assert.equal(s.wallets.lastDebitDay(w.id), "2024-05-02");
+
+  assert.equal(s.wallets.close(w.id), true);
+  assert.equal(s.wallets.close(w.id), false);
+  assert.equal(s.wallets.current("u1"), null);
+  // Closed days stay covered so settlement doesn't bill them again
+  assert.equal(s.wallets.covering("u1", "2024-05-03").status, "closed");
+  s.close();
+});
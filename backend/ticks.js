@@ -0,0 +1,93 @@
+/**
+ * ViceBank Backend — Tamper-evident usage ticks
+ * ---------------------------------------------
+ * Each /api/track event carries a per-device monotonic `seq` and an HMAC `sig`.
+ * The HMAC key is derived from the device token the request is authenticated
+ * with, so only that install can produce valid ticks for its account.
+ *
+ *   tickKey   = HMAC-SHA256(key = deviceToken, "vb-tick-v1")
+ *   canonical = `${seq}|${ts}|${url}|${seconds}|${category}`   (missing -> "")
+ *   sig       = hex(HMAC-SHA256(tickKey, canonical))
+ *
+ * Must stay in sync with signTickEvent() in extension/lib/util.js.
+ *
+ * checkTicks() is pure: it sorts a batch by seq, drops replays / forged events,
+ * and reports gaps, replays, bad signatures and clock skew as flags.
+ */
+
+import crypto from "crypto";
+
+export const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+export function deriveTickKey(deviceToken) {
+  return crypto.createHmac("sha256", String(deviceToken)).update("vb-tick-v1").digest();
+}
+
+export function canonicalTick(ev) {
+  const f = (v) => (v == null ? "" : String(v));
+  return `${f(ev.seq)}|${f(ev.ts)}|${f(ev.url)}|${f(ev.seconds)}|${f(ev.category)}`;
+}
+
+export function signTick(key, ev) {
+  return crypto.createHmac("sha256", key).update(canonicalTick(ev)).digest("hex");
+}
+
+function sigMatches(key, ev) {
+  if (typeof ev.sig !== "string" || !/^[0-9a-f]{64}$/.test(ev.sig)) return false;
+  return crypto.timingSafeEqual(Buffer.from(signTick(key, ev), "hex"), Buffer.from(ev.sig, "hex"));
+}
+
+/**
+ * @param {object} o
+ * @param {Array}  o.events   raw events from the request body
+ * @param {number} o.lastSeq  highest seq already accepted for this device
+ * @param {Buffer} o.key      deriveTickKey(deviceToken)
+ * @param {number} [o.sentAt] client clock when the batch was sent
+ * @param {number} [o.now]
+ * @returns {{ accepted: Array, lastSeq: number, flags: Array<{kind: string, detail: object}> }}
+ */
+export function checkTicks({ events, lastSeq = 0, key, sentAt, now = Date.now() }) {
+  const flags = [];
+  const accepted = [];
+
+  if (Number.isFinite(sentAt) && Math.abs(sentAt - now) > MAX_CLOCK_SKEW_MS) {
+    flags.push({ kind: "clock_skew", detail: { skewMs: sentAt - now } });
+  }
+
+  const list = (events || []).filter(Boolean);
+  const unsigned = list.filter((ev) => ev.seq == null);
+  const signed = list
+    .filter((ev) => ev.seq != null)
+    .sort((a, b) => Number(a.seq) - Number(b.seq));
+
+  // Legacy clients: still counted (usage only ever raises the bill) but flagged.
+  if (unsigned.length > 0) {
+    flags.push({ kind: "unsigned", detail: { count: unsigned.length } });
+    accepted.push(...unsigned);
+  }
+
+  let seq = lastSeq;
+  for (const ev of signed) {
+    const evSeq = Number(ev.seq);
+    if (!Number.isInteger(evSeq) || !sigMatches(key, ev)) {
+      flags.push({ kind: "bad_signature", detail: { seq: ev.seq } });
+      continue;
+    }
+    if (evSeq <= seq) {
+      flags.push({ kind: "replay", detail: { seq: evSeq, lastSeq: seq } });
+      continue;
+    }
+    if (evSeq > seq + 1) {
+      flags.push({ kind: "gap", detail: { from: seq + 1, to: evSeq - 1, missing: evSeq - seq - 1 } });
+    }
+    if (Number.isFinite(ev.ts) && ev.ts > now + MAX_CLOCK_SKEW_MS) {
+      flags.push({ kind: "future_ts", detail: { seq: evSeq, aheadMs: ev.ts - now } });
+      seq = evSeq; // consumed, but not counted
+      continue;
+    }
+    seq = evSeq;
+    accepted.push(ev);
+  }
+
+  return { accepted, lastSeq: seq, flags };
+}
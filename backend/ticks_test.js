@@ -0,0 +1,57 @@
+// ticks_test.js — seq/HMAC checks for /api/track events
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkTicks, deriveTickKey, signTick, MAX_CLOCK_SKEW_MS } from "./ticks.js";
+
+const NOW = Date.UTC(2024, 4, 1, 12);
+const key = deriveTickKey("device-token");
+const tick = (seq, extra = {}) => {
+  const ev = { seq, ts: NOW - 1000, url: "https://pornhub.com/", seconds: 60, category: "porn", ...extra };
+  return { ...ev, sig: signTick(key, ev) };
+};
+const kinds = (r) => r.flags.map((f) => f.kind);
+
+test("accepts an in-order signed batch without flags", () => {
+  const r = checkTicks({ events: [tick(2), tick(1), tick(3)], lastSeq: 0, key, sentAt: NOW, now: NOW });
+  assert.deepEqual(r.accepted.map((e) => e.seq), [1, 2, 3]);
+  assert.equal(r.lastSeq, 3);
+  assert.deepEqual(r.flags, []);
+});
+
+test("drops replays and reports gaps", () => {
+  const r = checkTicks({ events: [tick(4), tick(5), tick(9)], lastSeq: 5, key, now: NOW });
+  assert.deepEqual(r.accepted.map((e) => e.seq), [9]);
+  assert.deepEqual(kinds(r), ["replay", "replay", "gap"]);
+  assert.equal(r.flags[2].detail.missing, 3);
+  assert.equal(r.lastSeq, 9);
+});
+
+test("rejects forged or re-keyed events", () => {
+  const forged = { ...tick(1), seconds: 1 }; // signature no longer matches
+  const otherKey = deriveTickKey("someone-else");
+  const ev = { seq: 2, ts: NOW, url: "https://x.com/", seconds: 60, category: "porn" };
+  const r = checkTicks({ events: [forged, { ...ev, sig: signTick(otherKey, ev) }], key, now: NOW });
+  assert.deepEqual(r.accepted, []);
+  assert.deepEqual(kinds(r), ["bad_signature", "bad_signature"]);
+  assert.equal(r.lastSeq, 0);
+});
+
+test("flags clock skew and refuses future-dated ticks", () => {
+  const r = checkTicks({
+    events: [tick(1, { ts: NOW + MAX_CLOCK_SKEW_MS + 1 })],
+    key,
+    sentAt: NOW + 2 * MAX_CLOCK_SKEW_MS,
+    now: NOW,
+  });
+  assert.deepEqual(r.accepted, []);
+  assert.deepEqual(kinds(r), ["clock_skew", "future_ts"]);
+  assert.equal(r.lastSeq, 1);
+});
+
+test("counts legacy unsigned events but flags them", () => {
+  const r = checkTicks({ events: [{ url: "https://stake.com/", seconds: 60 }], key, now: NOW });
+  assert.equal(r.accepted.length, 1);
+  assert.deepEqual(kinds(r), ["unsigned"]);
+});
@@ -0,0 +1,89 @@
+// timetable_test.js — scheduled rules (extension/lib/timetable.js) and how
+// pricing applies them per hour
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { rulesAt, settingsAt, validateTimetable, timetableLooser, hourOfWeek } from "../extension/lib/timetable.js";
+import { normalizeSnapshot, quoteDay, paidMinutes } from "../extension/lib/pricing.js";
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+const WEEKDAYS_9_17 = [0, 1, 2, 3, 4].flatMap((d) => range(d * 24 + 9, d * 24 + 17));
+const FRIDAY = range(4 * 24, 5 * 24);
+const LATE = range(0, 7).map((d) => d * 24 + 23);
+
+const timetable = [
+  { category: "gambling", effect: "block", hours: WEEKDAYS_9_17 },
+  { category: "all", effect: "rate", value: 2, hours: LATE },
+  { category: "porn", effect: "grace", value: 0, hours: FRIDAY },
+];
+
+test("rules in effect at an hour; overlaps take the strictest", () => {
+  assert.deepEqual(rulesAt(timetable, "gambling", 10), { block: true, multiplier: 1, grace: null });
+  assert.deepEqual(rulesAt(timetable, "porn", 10), { block: false, multiplier: 1, grace: null });
+  assert.deepEqual(rulesAt(timetable, "porn", 4 * 24 + 23), { block: false, multiplier: 2, grace: 0 });
+  assert.deepEqual(rulesAt(timetable, "porn", null), { block: false, multiplier: 1, grace: null });
+  const stacked = [...timetable, { category: "porn", effect: "rate", value: 3, hours: [23] }];
+  assert.equal(rulesAt(stacked, "porn", 23).multiplier, 3);
+  assert.equal(hourOfWeek(new Date(2024, 4, 6, 0, 30)), 0); // a Monday, local
+});
+
+test("settings at an hour override grace and blocking", () => {
+  const st = { grace: { porn: 3, gambling: 3 }, blockMode: { porn: "off", gambling: "off" }, timetable };
+  const friday = settingsAt(st, 4 * 24 + 10);
+  assert.deepEqual(friday.grace, { porn: 0, gambling: 3 });
+  assert.deepEqual(friday.blockMode, { porn: "off", gambling: "always" });
+  assert.deepEqual(settingsAt(st, 23).rateMultipliers, { porn: 2, gambling: 2 });
+  assert.deepEqual(settingsAt(st, 5 * 24 + 12).grace, st.grace);
+});
+
+test("validation names the broken rule", () => {
+  assert.equal(validateTimetable(timetable), null);
+  assert.equal(validateTimetable(undefined), null);
+  assert.match(validateTimetable([{ category: "all", effect: "rate", value: 0.5, hours: [1] }]), /rule 1: rate/);
+  assert.match(validateTimetable([{ category: "all", effect: "nap", hours: [1] }]), /effect/);
+  assert.match(validateTimetable([{ category: "porn", effect: "block", hours: [168] }]), /hours/);
+  assert.match(validateTimetable([{ category: "chess", effect: "block", hours: [1] }]), /category/);
+});
+
+test("dropping a block, a lower multiplier or more grace is looser", () => {
+  const daily = { porn: 3, gambling: 3 };
+  assert.equal(timetableLooser(timetable, timetable.slice(1), daily), true);
+  assert.equal(timetableLooser(timetable, [timetable[0], { ...timetable[1], value: 1.5 }, timetable[2]], daily), true);
+  assert.equal(timetableLooser(timetable, timetable.slice(0, 2), daily), true);
+  assert.equal(timetableLooser(timetable.slice(1), timetable, daily), false);
+  assert.equal(timetableLooser([], [], daily), false);
+});
+
+test("a grace rule above the daily grace is looser; one below it isn't", () => {
+  const generous = [{ category: "porn", effect: "grace", value: 60, hours: FRIDAY }];
+  const strict = [{ category: "porn", effect: "grace", value: 1, hours: FRIDAY }];
+  const daily = { porn: 3, gambling: 0 };
+  assert.equal(timetableLooser([], generous, daily), true);
+  assert.equal(timetableLooser([], strict, daily), false);
+  assert.equal(timetableLooser(strict, [], daily), true);
+  assert.equal(timetableLooser([], [{ ...generous[0], value: 3 }], daily), false);
+});
+
+test("pricing uses grace in time order and the rules of each hour", () => {
+  const snapshot = normalizeSnapshot({
+    grace: { porn: 3, gambling: 0 },
+    rates: { porn: 0.1, gambling: 0.5 },
+    timetable,
+  });
+  // Thursday: 2 minutes at 10:00, 4 at 23:00 -> 1 free at 23:00, 3 paid at double rate
+  const thursday = { byCategory: { porn: { minutes: 6, hours: { [3 * 24 + 10]: 2, [3 * 24 + 23]: 4 } } } };
+  assert.equal(paidMinutes(snapshot, thursday, "porn"), 3);
+  assert.equal(quoteDay({ snapshot, bucket: thursday }).totalCents, 60);
+
+  // Friday has no grace: all 5 minutes are paid
+  const friday = { byCategory: { porn: { minutes: 5, hours: { [4 * 24 + 10]: 5 } } } };
+  assert.equal(quoteDay({ snapshot, bucket: friday }).totalCents, 50);
+
+  // Minutes without hours (older buckets) come first and get no rules
+  const legacy = { byCategory: { porn: { minutes: 5, hours: { [4 * 24 + 10]: 1 } } } };
+  assert.equal(paidMinutes(snapshot, legacy, "porn"), 2);
+
+  // Prepaid minutes are skipped across ranges
+  assert.equal(quoteDay({ snapshot, bucket: thursday, prepaidMinutes: { porn: 1 } }).totalCents, 40);
+});
@@ -0,0 +1,86 @@
+// tracking_test.js — visits, checkpoints and rounding (extension/lib/tracking.js)
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_SEGMENT_MS,
+  reconcileVisits,
+  checkpointVisits,
+  roundedMs,
+  roundingPolicyRank,
+} from "../extension/lib/tracking.js";
+
+const T0 = 1_700_000_000_000;
+const S = 1000;
+const page = { category: "porn", url: "https://example.com/x" };
+
+// Opens example.com at T0, then follows the given steps
+function run(policy, steps) {
+  let { visits, due } = reconcileVisits({}, { "example.com": page }, { now: T0, policy });
+  const sent = [];
+  for (const [at, action] of steps) {
+    const now = T0 + at;
+    ({ visits, due } =
+      action === "close"
+        ? reconcileVisits(visits, {}, { now, policy, due })
+        : checkpointVisits(visits, { now, policy, due }));
+    sent.push(due["example.com"]?.seconds ?? 0);
+    due = {};
+  }
+  return sent;
+}
+
+test("exact sends the measured seconds at each checkpoint and close", () => {
+  assert.deepEqual(run("exact", [[60 * S, "tick"], [95.4 * S, "close"]]), [60, 35]);
+  assert.deepEqual(run("exact", [[20 * S, "tick"], [40 * S, "tick"], [45 * S, "close"]]), [20, 20, 5]);
+});
+
+test("up rounds each visit up to whole minutes, settled when it ends", () => {
+  assert.deepEqual(run("up", [[5 * S, "close"]]), [60]);
+  assert.deepEqual(run("up", [[30 * S, "tick"], [90 * S, "tick"], [100 * S, "close"]]), [0, 60, 60]);
+});
+
+test("nearest forgives under half a minute and never takes back what was sent", () => {
+  assert.deepEqual(run("nearest", [[29 * S, "close"]]), [0]);
+  assert.deepEqual(run("nearest", [[30 * S, "close"]]), [60]);
+  assert.deepEqual(run("nearest", [[65 * S, "tick"], [80 * S, "close"]]), [60, 0]);
+});
+
+test("visits that stay counted stay open; a category change starts a new one", () => {
+  const first = reconcileVisits({}, { "example.com": page }, { now: T0 });
+  const same = reconcileVisits(first.visits, { "example.com": page }, { now: T0 + 10 * S });
+  assert.equal(same.visits["example.com"].start, T0);
+  assert.deepEqual(same.due, {});
+
+  const moved = reconcileVisits(first.visits, { "example.com": { category: "gambling", url: page.url } }, {
+    now: T0 + 10 * S,
+  });
+  assert.equal(moved.due["example.com"].seconds, 10);
+  assert.equal(moved.due["example.com"].category, "porn");
+  assert.equal(moved.visits["example.com"].category, "gambling");
+  assert.equal(moved.visits["example.com"].start, T0 + 10 * S);
+});
+
+test("a long gap between events counts as MAX_SEGMENT_MS", () => {
+  const seconds = run("exact", [[3 * 60 * 60 * S, "close"]])[0];
+  assert.equal(seconds, MAX_SEGMENT_MS / S);
+});
+
+test("due from earlier events is kept, not overwritten", () => {
+  const due = { "other.com": { category: "gambling", url: "https://other.com/", seconds: 12 } };
+  const { visits } = reconcileVisits({}, { "example.com": page }, { now: T0 });
+  const out = checkpointVisits(visits, { now: T0 + 7 * S, due });
+  assert.equal(out.due["other.com"].seconds, 12);
+  assert.equal(out.due["example.com"].seconds, 7);
+  assert.equal(due["example.com"], undefined);
+});
+
+test("rounding helpers", () => {
+  assert.equal(roundedMs(61.9 * S, "exact"), 61 * S);
+  assert.equal(roundedMs(61 * S, "up"), 120 * S);
+  assert.equal(roundedMs(89 * S, "nearest"), 60 * S);
+  assert.ok(roundingPolicyRank("up") > roundingPolicyRank("exact"));
+  assert.ok(roundingPolicyRank("exact") > roundingPolicyRank("nearest"));
+  assert.equal(roundingPolicyRank(undefined), roundingPolicyRank("exact"));
+});
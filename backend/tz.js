@@ -0,0 +1,106 @@
+/**
+ * ViceBank Backend — Time zones
+ * -----------------------------
+ * Usage is bucketed by the user's local calendar day (IANA zone sent by the
+ * extension on /api/session/start), the same day the extension resets its
+ * counters on. Day keys are "YYYY-MM-DD" strings; calendar arithmetic on them
+ * is zone-free, and only the day <-> instant mapping needs the zone.
+ *
+ * DST: a local day is 23, 24 or 25 hours long. startOfLocalDay() returns the
+ * first instant of the day even where midnight itself is skipped.
+ */
+
+export const DEFAULT_TIME_ZONE = "UTC";
+
+const formatters = new Map();
+function formatter(tz) {
+  let f = formatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(tz, f);
+  }
+  return f;
+}
+
+function wallClock(ts, tz) {
+  const p = {};
+  for (const { type, value } of formatter(tz).formatToParts(new Date(ts))) p[type] = value;
+  return p;
+}
+
+export function isValidTimeZone(tz) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    formatter(tz);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Legacy clients only send Date#getTimezoneOffset(); whole hours map to a fixed
+// Etc/GMT zone (note the inverted sign), anything else falls back to UTC.
+export function timeZoneFromOffset(tzOffsetMinutes) {
+  const h = Number(tzOffsetMinutes) / 60;
+  if (!Number.isInteger(h) || Math.abs(h) > 14) return DEFAULT_TIME_ZONE;
+  return h === 0 ? DEFAULT_TIME_ZONE : `Etc/GMT${h > 0 ? "+" : "-"}${Math.abs(h)}`;
+}
+
+export function localDayKey(ts, tz = DEFAULT_TIME_ZONE) {
+  const p = wallClock(ts, tz);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+export function addDays(dayStr, days) {
+  const d = new Date(dayStr + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// 0 = Monday … 6 = Sunday
+export function weekdayOf(dayStr) {
+  return (new Date(dayStr + "T00:00:00Z").getUTCDay() + 6) % 7;
+}
+
+// 0 = Monday 00:00 … 167 = Sunday 23:00, local (extension/lib/timetable.js)
+export function hourOfWeek(ts, tz = DEFAULT_TIME_ZONE) {
+  const p = wallClock(ts, tz);
+  return weekdayOf(`${p.year}-${p.month}-${p.day}`) * 24 + Number(p.hour);
+}
+
+// Mon–Sun week containing dayStr
+export function weekOf(dayStr) {
+  const weekStartStr = addDays(dayStr, -weekdayOf(dayStr));
+  return { weekStartStr, weekEndStr: addDays(weekStartStr, 6) };
+}
+
+// ms to add to a UTC instant to get the zone's wall clock at that instant
+function offsetMs(ts, tz) {
+  const p = wallClock(ts, tz);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(ts / 1000) * 1000;
+}
+
+// First instant (UTC ms) of a local day
+export function startOfLocalDay(dayStr, tz = DEFAULT_TIME_ZONE) {
+  const midnightUTC = Date.parse(dayStr + "T00:00:00Z");
+  const a = midnightUTC - offsetMs(midnightUTC, tz);
+  const b = midnightUTC - offsetMs(a, tz);
+  // Two guesses differ only around a transition; keep the earliest one that is
+  // on dayStr and not preceded by another instant of dayStr.
+  const candidates = [a, b].filter((t) => localDayKey(t, tz) === dayStr).sort((x, y) => x - y);
+  return candidates.find((t) => localDayKey(t - 1000, tz) !== dayStr) ?? candidates[0] ?? a;
+}
+
+export function hoursInLocalDay(dayStr, tz = DEFAULT_TIME_ZONE) {
+  return (startOfLocalDay(addDays(dayStr, 1), tz) - startOfLocalDay(dayStr, tz)) / 3_600_000;
+}
@@ -0,0 +1,67 @@
+// tz_test.js — local day keys, weeks and DST
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  isValidTimeZone,
+  timeZoneFromOffset,
+  localDayKey,
+  addDays,
+  weekOf,
+  hourOfWeek,
+  startOfLocalDay,
+  hoursInLocalDay,
+} from "./tz.js";
+
+test("validates IANA zone names", () => {
+  assert.equal(isValidTimeZone("America/New_York"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus_Mons"), false);
+  assert.equal(isValidTimeZone(""), false);
+  assert.equal(isValidTimeZone(undefined), false);
+});
+
+test("the same instant is a different day far from UTC", () => {
+  const ts = Date.UTC(2024, 4, 1, 11, 30); // 2024-05-01 11:30Z
+  assert.equal(localDayKey(ts, "UTC"), "2024-05-01");
+  assert.equal(localDayKey(ts, "Pacific/Kiritimati"), "2024-05-02"); // UTC+14
+  assert.equal(localDayKey(ts, "Pacific/Pago_Pago"), "2024-05-01"); // UTC-11
+  assert.equal(localDayKey(Date.UTC(2024, 4, 1, 10, 30), "Pacific/Pago_Pago"), "2024-04-30");
+});
+
+test("legacy getTimezoneOffset values map to fixed zones", () => {
+  assert.equal(timeZoneFromOffset(300), "Etc/GMT+5"); // UTC-5
+  assert.equal(timeZoneFromOffset(-540), "Etc/GMT-9"); // UTC+9
+  assert.equal(timeZoneFromOffset(0), "UTC");
+  assert.equal(timeZoneFromOffset(-330), "UTC"); // India: not a whole hour
+  assert.equal(localDayKey(Date.UTC(2024, 4, 1, 3), timeZoneFromOffset(300)), "2024-04-30");
+});
+
+test("weeks run Monday to Sunday", () => {
+  assert.deepEqual(weekOf("2024-05-01"), { weekStartStr: "2024-04-29", weekEndStr: "2024-05-05" });
+  assert.deepEqual(weekOf("2024-05-05"), { weekStartStr: "2024-04-29", weekEndStr: "2024-05-05" });
+  assert.equal(addDays("2024-02-28", 2), "2024-03-01");
+});
+
+test("hours of the week count from Monday midnight, local", () => {
+  const ts = Date.UTC(2024, 4, 3, 22, 30); // Friday 2024-05-03 22:30Z
+  assert.equal(hourOfWeek(ts, "UTC"), 4 * 24 + 22);
+  assert.equal(hourOfWeek(ts, "Asia/Tokyo"), 5 * 24 + 7); // Saturday 07:30
+  assert.equal(hourOfWeek(Date.UTC(2024, 4, 6, 0, 5), "UTC"), 0);
+});
+
+test("local days are 23 or 25 hours across DST changes", () => {
+  assert.equal(hoursInLocalDay("2024-03-10", "America/New_York"), 23);
+  assert.equal(hoursInLocalDay("2024-11-03", "America/New_York"), 25);
+  assert.equal(hoursInLocalDay("2024-05-01", "America/New_York"), 24);
+  assert.equal(startOfLocalDay("2024-03-10", "America/New_York"), Date.UTC(2024, 2, 10, 5));
+  assert.equal(startOfLocalDay("2024-03-11", "America/New_York"), Date.UTC(2024, 2, 11, 4));
+});
+
+test("a day whose midnight is skipped starts at the first real instant", () => {
+  // Chile springs forward at 00:00 -> 01:00 local on 2024-09-08
+  const start = startOfLocalDay("2024-09-08", "America/Santiago");
+  assert.equal(localDayKey(start, "America/Santiago"), "2024-09-08");
+  assert.equal(localDayKey(start - 1000, "America/Santiago"), "2024-09-07");
+  assert.equal(hoursInLocalDay("2024-09-08", "America/Santiago"), 23);
+});
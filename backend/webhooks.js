@@ -0,0 +1,120 @@
+/**
+ * ViceBank Backend — Stripe webhooks
+ * ----------------------------------
+ * Verifies and dedupes incoming Stripe events, then keeps the local ledgers in
+ * step with the payment lifecycle:
+ *   payment_intent.succeeded|processing|payment_failed|canceled
+ *                              -> payments, charges and donations status
+ *   charge.refunded            -> payments.refunded_cents; a full refund drops
+ *                                 the donation from the payout report
+ *   charge.dispute.created     -> payments dispute; donation marked "disputed"
+ *   payment_method.detached    -> forget the card on any consent that uses it
+ *
+ * Stripe delivers at least once, so every event id is claimed in
+ * webhook_events before it is handled; a redelivery is acknowledged without
+ * running anything. If a handler throws the claim is released and a 500 is
+ * returned, so Stripe's retry gets a clean run.
+ *
+ * `handlers` adds server-side work per event type (it runs after the built-in
+ * ledger update for that type).
+ */
+
+export const LEDGER_EVENTS = [
+  "payment_intent.succeeded",
+  "payment_intent.processing",
+  "payment_intent.payment_failed",
+  "payment_intent.canceled",
+  "charge.refunded",
+  "charge.dispute.created",
+  "payment_method.detached",
+];
+
+const idOf = (v) => (v && typeof v === "object" ? v.id : v) || null;
+
+function ledgerHandlers({ payments, charges, donations, consents }, log) {
+  const paymentIntent = (event) => {
+    const pi = event.data.object;
+    const err = pi.last_payment_error;
+    payments.setStatus(pi.id, pi.status, err ? err.decline_code || err.code || null : null);
+    charges.setStatus(pi.id, pi.status);
+    if (donations.setStatus(pi.id, pi.status)) log.log(`[Webhook] Donation ledger: ${pi.id} -> ${pi.status}`);
+  };
+
+  return {
+    "payment_intent.succeeded": paymentIntent,
+    "payment_intent.processing": paymentIntent,
+    "payment_intent.payment_failed": paymentIntent,
+    "payment_intent.canceled": paymentIntent,
+
+    "charge.refunded": (event) => {
+      const charge = event.data.object;
+      const piId = idOf(charge.payment_intent);
+      if (!piId) return;
+      payments.setRefunded(piId, charge.amount_refunded);
+      if (charge.refunded) donations.setStatus(piId, "refunded");
+    },
+
+    "charge.dispute.created": (event) => {
+      const dispute = event.data.object;
+      const piId = idOf(dispute.payment_intent);
+      if (!piId) return;
+      payments.setDispute(piId, { disputeId: dispute.id, status: dispute.status });
+      // Disputed funds are withdrawn from the balance until the dispute is won
+      donations.setStatus(piId, "disputed");
+    },
+
+    // The detached method no longer names its customer; the event's
+    // previous_attributes still does.
+    "payment_method.detached": (event) => {
+      const pmId = event.data.object.id;
+      const userId = consents.userIdByCustomer(event.data.previous_attributes?.customer);
+      const snap = userId && consents.get(userId);
+      if (snap?.paymentMethodId !== pmId) return;
+      const { paymentMethodId: _gone, ...rest } = snap;
+      consents.set(userId, rest);
+      log.log(`[Webhook] Payment method ${pmId} detached for user ${userId}`);
+    },
+  };
+}
+
+/**
+ * @param {object} o
+ * @param {import("stripe").Stripe} o.stripe   used for signature verification
+ * @param {string} [o.secret]                  STRIPE_WEBHOOK_SECRET; unset = trust the body (local dev)
+ * @param {ReturnType<import("./store.js").createStore>} o.store
+ * @param {Record<string, (event: object) => unknown>} [o.handlers]
+ * @returns {{ handle: (rawBody: Buffer|string, signature?: string) => Promise<{status: number, body: object|string}> }}
+ */
+export function createWebhookHandler({ stripe, secret, store, handlers = {}, log = console }) {
+  const ledger = ledgerHandlers(store, log);
+
+  async function handle(rawBody, signature) {
+    let event;
+    try {
+      event = secret
+        ? stripe.webhooks.constructEvent(rawBody, signature, secret)
+        : JSON.parse(rawBody.toString());
+    } catch (err) {
+      return { status: 400, body: `Webhook Error: ${err.message}` };
+    }
+    if (!event?.id || !event.type) return { status: 400, body: "Webhook Error: not a Stripe event" };
+
+    if (!store.webhookEvents.claim(event.id, event.type))
+      return { status: 200, body: { received: true, type: event.type, duplicate: true } };
+
+    const builtIn = ledger[event.type];
+    const extra = handlers[event.type];
+    try {
+      if (builtIn) builtIn(event);
+      if (extra) await extra(event);
+    } catch (err) {
+      store.webhookEvents.release(event.id);
+      log.error("[Webhook Error]", { id: event.id, type: event.type, error: err?.message });
+      return { status: 500, body: `Webhook Error: ${err.message}` };
+    }
+    if (!builtIn && !extra) log.log(`[Webhook] Unhandled event type: ${event.type}`);
+    return { status: 200, body: { received: true, type: event.type } };
+  }
+
+  return { handle };
+}
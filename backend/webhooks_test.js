@@ -0,0 +1,128 @@
+// webhooks_test.js — signed Stripe event fixtures against the ledgers
+// Usage: npm test   (node --test)
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Stripe from "stripe";
+import { createStore } from "./store.js";
+import { createWebhookHandler } from "./webhooks.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "stripe");
+const SECRET = "whsec_test_fixture";
+const stripe = new Stripe("sk_test_fixture");
+const quiet = { log() {}, warn() {}, error() {} };
+
+// Raw payload + a valid stripe-signature header, as Stripe would send it
+function signed(name, edit = (e) => e) {
+  const event = edit(JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), "utf8")));
+  const payload = JSON.stringify(event);
+  return [payload, stripe.webhooks.generateTestHeaderString({ payload, secret: SECRET })];
+}
+
+function setup(handlers) {
+  const s = createStore();
+  const webhook = createWebhookHandler({ stripe, secret: SECRET, store: s, handlers, log: quiet });
+  const month = new Date().toISOString().slice(0, 7);
+  s.payments.record({ paymentIntentId: "pi_fixture_1", userId: "u_fixture", source: "nightly", period: "2024-05-28", amountCents: 300, status: "processing" });
+  s.donations.record({ paymentIntentId: "pi_fixture_1", userId: "u_fixture", destination: "platform", destinationKind: "platform", source: "nightly", amountCents: 300, status: "processing" });
+  return { s, webhook, month };
+}
+
+test("bad or missing signatures are rejected without touching the ledger", async () => {
+  const { s, webhook } = setup();
+  const [payload] = signed("payment_intent.succeeded");
+  const forged = stripe.webhooks.generateTestHeaderString({ payload, secret: "whsec_other" });
+
+  assert.equal((await webhook.handle(payload, forged)).status, 400);
+  assert.equal((await webhook.handle(payload, undefined)).status, 400);
+  assert.equal(s.payments.get("pi_fixture_1").status, "processing");
+});
+
+test("payment_intent events move payments, charges and donations", async () => {
+  const { s, webhook, month } = setup();
+  s.charges.add({ idempotencyKey: "k1", userId: "u_fixture", day: "2024-05-28", category: "social", minutes: 3, centsPerMin: 100, amountCents: 300, paymentIntentId: "pi_fixture_1", status: "processing" });
+
+  const res = await webhook.handle(...signed("payment_intent.succeeded"));
+  assert.equal(res.status, 200);
+  assert.equal(s.payments.get("pi_fixture_1").status, "succeeded");
+  assert.equal(s.charges.chargedCents("u_fixture", "2024-05-28"), 300);
+  assert.equal(s.donations.report(month)[0].cents, 300);
+
+  // Declines keep Stripe's decline code
+  s.payments.record({ paymentIntentId: "pi_fixture_2", userId: "u_fixture", source: "weekly", period: "2024-05-26", amountCents: 450, status: "processing" });
+  assert.equal((await webhook.handle(...signed("payment_intent.payment_failed"))).status, 200);
+  const failed = s.payments.get("pi_fixture_2");
+  assert.equal(failed.status, "requires_payment_method");
+  assert.equal(failed.failureCode, "insufficient_funds");
+});
+
+test("a redelivered event runs its handlers once", async () => {
+  let calls = 0;
+  const { webhook } = setup({ "payment_intent.succeeded": () => calls++ });
+  const [payload, sig] = signed("payment_intent.succeeded");
+
+  assert.deepEqual((await webhook.handle(payload, sig)).body, { received: true, type: "payment_intent.succeeded" });
+  const again = await webhook.handle(payload, sig);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.duplicate, true);
+  assert.equal(calls, 1);
+});
+
+test("a failing handler releases the event so Stripe's retry is processed", async () => {
+  let fail = true;
+  const { webhook } = setup({
+    "payment_intent.succeeded": () => {
+      if (fail) throw new Error("stripe down");
+    },
+  });
+  const [payload, sig] = signed("payment_intent.succeeded");
+
+  assert.equal((await webhook.handle(payload, sig)).status, 500);
+  fail = false;
+  const retry = await webhook.handle(payload, sig);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.duplicate, undefined);
+});
+
+test("refunds are tracked and a full refund leaves the payout report", async () => {
+  const { s, webhook, month } = setup();
+  await webhook.handle(...signed("payment_intent.succeeded"));
+
+  await webhook.handle(
+    ...signed("charge.refunded", (e) => {
+      e.id = "evt_partial_refund";
+      Object.assign(e.data.object, { amount_refunded: 100, refunded: false });
+      return e;
+    })
+  );
+  assert.equal(s.payments.get("pi_fixture_1").refundedCents, 100);
+  assert.equal(s.donations.report(month)[0].cents, 300);
+
+  await webhook.handle(...signed("charge.refunded"));
+  assert.equal(s.payments.get("pi_fixture_1").refundedCents, 300);
+  assert.deepEqual(s.donations.report(month), []);
+});
+
+test("a dispute is recorded against the payment and pulls the donation", async () => {
+  const { s, webhook, month } = setup();
+  await webhook.handle(...signed("payment_intent.succeeded"));
+  await webhook.handle(...signed("charge.dispute.created"));
+
+  const p = s.payments.get("pi_fixture_1");
+  assert.equal(p.disputeId, "dp_fixture_1");
+  assert.equal(p.disputeStatus, "needs_response");
+  assert.deepEqual(s.donations.report(month), []);
+});
+
+test("a detached card is forgotten by its customer's consent", async () => {
+  const { s, webhook } = setup();
+  s.consents.set("u_a", { customerId: "cus_a", paymentMethodId: "pm_fixture_1" });
+  s.consents.set("u_b", { customerId: "cus_b", paymentMethodId: "pm_other" });
+
+  assert.equal((await webhook.handle(...signed("payment_method.detached"))).status, 200);
+  assert.deepEqual(s.consents.get("u_a"), { customerId: "cus_a" });
+  assert.equal(s.consents.get("u_b").paymentMethodId, "pm_other");
+});
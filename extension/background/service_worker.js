@@ -1,9 +1,19 @@
 // extension/background/service_worker.js
 // ViceBank MV3 background worker (direct-charge version)
 //
-// - Tracks ALL OPEN tabs against Porn/Gambling lists (including background tabs)
-// - Bills per distinct domain-minute (Option C): each distinct restricted domain open counts 1/min
-// - Grace is applied exactly per category; after grace, billing continues indefinitely
+// - Tracks ALL OPEN tabs against Porn/Gambling lists (including background tabs);
+//   countingMode (lib/counting.js) can limit billing to visible/audible or the
+//   focused tab, paused while the user is idle
+// - Bills per distinct domain (Option C) for the time it is counted: tab, window
+//   focus and idle events open and close visits (lib/tracking.js), and each tick
+//   sends their seconds, rounded per roundingPolicy
+// - Grace is applied exactly per category; after grace, restricted tabs get the
+//   Continue Paid / Stop & Leave modal and paid minutes only count once the user
+//   continues (paidActive), until the re-prompt interval runs out
+// - Hard-block mode (lib/blocking.js) redirects a category to block/block.html
+//   after grace or always, via dynamic declarativeNetRequest rules
+// - Scheduled rules (lib/timetable.js) change grace, rates and blocking by
+//   hour of the week; each tick applies the hour it runs in
 // - For testing: grace/counters reset on local startup
 
 import { get, set } from "../lib/storage.js";
@@ -12,7 +22,18 @@ import {
   todayLocalISO,
   uuidv4,
   ensureSession,
+  registerDevice,
+  authHeaders,
+  sendHeartbeat,
+  refreshUninstallUrl,
 } from "../lib/util.js";
+import { enqueueTicks, flushTickQueue } from "../lib/queue.js";
+import { splitGrace, normalizeSnapshot, tiersFor, priceRange } from "../lib/pricing.js";
+import { applySettingsChange, applyDuePending } from "../lib/commitment.js";
+import { BLOCK_PAGE, blockedCategories, blockRules } from "../lib/blocking.js";
+import { hourOfWeek, settingsAt } from "../lib/timetable.js";
+import { countedTabs } from "../lib/counting.js";
+import { reconcileVisits, checkpointVisits } from "../lib/tracking.js";
 // ---------- Defaults ----------
 const DEFAULTS = {
   enabled: true,
@@ -34,17 +55,42 @@ const DEFAULTS = {
     gambling: { freeMin: 0, paidMin: 0 },
   },
 
-  // Whether the user has elected to keep paying after grace for each category
+  // Whether the user has elected to keep paying after grace for each category,
+  // and since when; the modal asks again after repromptMinutes (0 = not today)
   paidActive: { porn: false, gambling: false },
+  paidSince: { porn: null, gambling: null },
+  repromptMinutes: 15,
+
+  // Commitment contract: hours a looser settings change waits (lib/commitment.js)
+  coolingOffHours: 0,
+  pendingChanges: [],
+
+  // Hard block per category: "off" | "after_grace" | "always"; visits to the
+  // block page are counted per day
+  blockMode: { porn: "off", gambling: "off" },
+  blockStats: { date: null, porn: 0, gambling: 0, total: 0 },
+
+  // Scheduled rules by hour of the week (lib/timetable.js)
+  timetable: [],
+
+  // Which open tabs count: "all_tabs" | "visible_or_audible" | "focused" (lib/counting.js)
+  countingMode: "all_tabs",
+
+  // How each visit rounds: "exact" | "up" | "nearest" (lib/tracking.js). Open
+  // visits per domain, and seconds from closed ones not yet sent
+  roundingPolicy: "exact",
+  visits: {},
+  dueSeconds: {},
 };
 
-const IDLE_CUTOFF_SECONDS = 90; // retained, but we do not gate billing on focus anymore
+const IDLE_CUTOFF_SECONDS = 90; // no input this long = idle (focus-aware counting modes pause)
 
 let autoChargeArmed = false;
 let autoChargeTimer = null;
 
-function startAutoChargeTimer(userId, backendBaseUrl) {
+function startAutoChargeTimer(st) {
   if (autoChargeArmed) return; // already armed once
+  const { userId, backendBaseUrl } = st;
 
   autoChargeArmed = true;
   console.log("[ViceBank] Auto-charge timer started, will charge in ~30s", {
@@ -58,7 +104,7 @@ function startAutoChargeTimer(userId, backendBaseUrl) {
     try {
       const resp = await fetch(`${backendBaseUrl}/api/test/auto-charge`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: authHeaders(st),
         body: JSON.stringify({ userId }),
       });
 
@@ -99,6 +145,10 @@ chrome.runtime.onInstalled.addListener(async () => {
       counters: st.counters ?? DEFAULTS.counters,
     });
   }
+  // Registration handshake: get a signed device token for all API calls
+  // (also retried from ensureSession() if the backend is unreachable now).
+  await registerDevice(await get(null));
+  await refreshUninstallUrl(await get(null));
   try {
     chrome.action.setBadgeText({ text: "" });
   } catch {}
@@ -123,6 +173,7 @@ chrome.runtime.onStartup.addListener(async () => {
     paidActive: { porn: false, gambling: false },
     sessionId: null,
     sessionDate: null,
+    visits: {}, // the browser was closed; closed visits already sit in dueSeconds
   });
   try {
     chrome.action.setBadgeText({ text: "" });
@@ -131,6 +182,11 @@ chrome.runtime.onStartup.addListener(async () => {
     chrome.action.setBadgeBackgroundColor({ color: "#4caf50" });
   } catch {}
   chrome.alarms.create("vb_tick", { periodInMinutes: 1 }); // every 1 minute (real time)
+  // Deliver anything left in the offline tick queue from the last run
+  flushTickQueue(await get(null), { force: true });
+  refreshUninstallUrl(await get(null));
+  // Counters were just reset, so "after grace" blocks are lifted for now
+  enforceBlocking(await get(null)).catch((e) => console.warn("[ViceBank] block rules sync error:", e));
 });
 
 // ---------- Category lists ----------
@@ -178,6 +234,7 @@ function initCounters(st, today) {
     st.counters.gambling = st.counters.gambling || { freeMin: 0, paidMin: 0 };
   }
   if (!st.paidActive) st.paidActive = { porn: false, gambling: false };
+  if (!st.paidSince) st.paidSince = { porn: null, gambling: null };
   return st;
 }
 
@@ -194,33 +251,270 @@ function isBlocked(host, blocklist) {
   );
 }
 
+// { category, domain } for a tracked restricted page, else null
+function restrictedPage(st, url) {
+  if (!url || typeof url !== "string") return null;
+  if (url.startsWith("chrome://") || url.startsWith("chrome-extension://")) return null;
+
+  const host = hostFromUrl(url);
+  if (!host) return null;
+  const hostNorm = normalizeHost(host);
+  if (isBlocked(hostNorm, st.blocklist)) return null;
+
+  const cat = detectCategory(hostNorm, st.customDomains);
+  if (!cat || !st.categoriesOn?.[cat]) return null;
+  return { category: cat, domain: hostNorm };
+}
+
+// Focus and idle state, only looked up when the counting mode needs them
+async function countingContext(st) {
+  const mode = st.countingMode || "all_tabs";
+  if (mode === "all_tabs") return { mode };
+  const [windows, idleState] = await Promise.all([
+    chrome.windows.getAll({ windowTypes: ["normal"] }),
+    chrome.idle.queryState(IDLE_CUTOFF_SECONDS),
+  ]);
+  return { mode, windows, idleState };
+}
+
 async function collectRestrictedDomains(st) {
-  // Option C: count per distinct domain-minute (all open tabs).
+  // Option C: count per distinct domain-minute (the tabs the counting mode counts).
   const tabs = await chrome.tabs.query({});
+  const counted = new Set(countedTabs(tabs, await countingContext(st)).map((t) => t.id));
   const byCategory = { porn: new Map(), gambling: new Map() }; // domain -> sampleUrl
+  const tabsByCategory = { porn: [], gambling: [] }; // all open tabs: [{ tabId, domain }]
 
   for (const tab of tabs) {
-    const url = tab?.url;
-    if (!url || typeof url !== "string") continue;
-    if (url.startsWith("chrome://") || url.startsWith("chrome-extension://"))
-      continue;
+    const page = restrictedPage(st, tab?.url);
+    if (!page) continue;
+    const { category: cat, domain } = page;
+    if (counted.has(tab.id) && !byCategory[cat].has(domain)) byCategory[cat].set(domain, tab.url);
+    tabsByCategory[cat].push({ tabId: tab.id, domain });
+  }
+
+  return { byCategory, tabsByCategory };
+}
 
-    const host = hostFromUrl(url);
-    if (!host) continue;
-    const hostNorm = normalizeHost(host);
-    if (isBlocked(hostNorm, st.blocklist)) continue;
+// ---------- Visits ----------
+// Domains being counted right now, for lib/tracking.js (blocked categories aren't)
+function countedDomains(st, byCategory) {
+  const counted = {};
+  const blocked = blockedNow(st);
+  for (const cat of ["porn", "gambling"]) {
+    if (blocked.includes(cat)) continue;
+    for (const [domain, url] of byCategory[cat]) counted[domain] = { category: cat, url };
+  }
+  return counted;
+}
+
+// Event handlers and the tick both rewrite visits, one at a time. fn returns
+// the new { visits, due } and optionally what it took out of due to send.
+let visitsChain = Promise.resolve();
+function updateVisits(fn) {
+  const run = visitsChain.then(async () => {
+    const cur = await get(["visits", "dueSeconds"]);
+    const { visits, due, taken = {} } = fn(cur.visits || {}, cur.dueSeconds || {});
+    await set({ visits, dueSeconds: due });
+    return taken;
+  });
+  visitsChain = run.catch(() => {});
+  return run;
+}
+
+// Opens and closes visits as tabs, window focus and idle state change
+async function onTrackingEvent() {
+  try {
+    await ensureLists();
+    const st = initCounters((await get(null)) || {}, todayLocalISO());
+    const counted = st.enabled ? countedDomains(st, (await collectRestrictedDomains(st)).byCategory) : {};
+    await updateVisits((visits, due) => reconcileVisits(visits, counted, { policy: st.roundingPolicy, due }));
+  } catch (err) {
+    console.warn("[ViceBank] visit tracking error:", err);
+  }
+}
 
-    const cat = detectCategory(hostNorm, st.customDomains);
-    if (!cat || !st.categoriesOn?.[cat]) continue;
+// ---------- Intercept modal ----------
+// Past grace, paid minutes wait for a choice in content/intercept.js.
+function graceUsed(st, cat) {
+  const { grace } = settingsAt(st, hourOfWeek());
+  return Number(st.counters?.[cat]?.freeMin ?? 0) >= Number(grace?.[cat] ?? 0);
+}
 
-    if (!byCategory[cat].has(hostNorm)) byCategory[cat].set(hostNorm, url);
+// Continue Paid lapses after repromptMinutes; the modal then asks again
+function expirePaid(st) {
+  const ms = Math.max(0, Number(st.repromptMinutes) || 0) * 60 * 1000;
+  let changed = false;
+  for (const cat of ["porn", "gambling"]) {
+    if (!st.paidActive[cat] || !ms || Date.now() - (st.paidSince[cat] || 0) < ms) continue;
+    st.paidActive[cat] = false;
+    changed = true;
   }
+  return changed;
+}
+
+// Shows the modal in each tab. Tabs opened before the extension was
+// installed have no content script yet, so it's injected first.
+async function showIntercept(st, cat, tabs) {
+  const paidMin = Number(st.counters?.[cat]?.paidMin ?? 0);
+  const [next] = priceRange(tiersFor(normalizeSnapshot(st), cat), paidMin, paidMin + 1).lines;
+  const rate = ((next?.centsPerMin ?? 0) * settingsAt(st, hourOfWeek()).rateMultipliers[cat]) / 100;
+  for (const { tabId, domain } of tabs) {
+    const msg = { type: "VB_SHOW_MODAL", category: cat, rate, domain };
+    try {
+      await chrome.tabs.sendMessage(tabId, msg);
+    } catch {
+      try {
+        await chrome.scripting.insertCSS({ target: { tabId }, files: ["content/intercept.css"] });
+        await chrome.scripting.executeScript({ target: { tabId }, files: ["content/intercept.js"] });
+        await chrome.tabs.sendMessage(tabId, msg);
+      } catch (e) {
+        console.warn("[ViceBank] can't show the modal in tab", tabId, e);
+      }
+    }
+  }
+}
+
+// Once the user continues in one tab, the other tabs of that category stop asking
+async function hideIntercept(st, cat) {
+  await ensureLists();
+  const { tabsByCategory } = await collectRestrictedDomains(st);
+  for (const { tabId } of tabsByCategory[cat]) {
+    chrome.tabs.sendMessage(tabId, { type: "VB_HIDE_MODAL", category: cat }).catch(() => {});
+  }
+}
+
+// ---------- Hard block ----------
+// Rules are rebuilt from the lists and settings and only replaced when they change.
+let installedRules = null;
+
+function blockedNow(st) {
+  return blockedCategories(settingsAt(st, hourOfWeek()), (cat) => st.counters?.date === todayLocalISO() && graceUsed(st, cat));
+}
+
+async function syncBlockRules(st) {
+  await ensureLists();
+  const rules = blockRules({
+    categories: blockedNow(st),
+    lists,
+    customDomains: st.customDomains,
+    blocklist: st.blocklist,
+  });
+  const key = JSON.stringify(rules);
+  if (key === installedRules) return;
+  const current = await chrome.declarativeNetRequest.getDynamicRules();
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: current.map((r) => r.id),
+    addRules: rules,
+  });
+  installedRules = key;
+}
+
+// Rules only catch new navigations; tabs already open are sent to the block page
+async function redirectToBlockPage(cat, tabs) {
+  const url = chrome.runtime.getURL(`${BLOCK_PAGE}?category=${cat}`);
+  for (const { tabId } of tabs) {
+    await chrome.tabs.update(tabId, { url }).catch(() => {});
+  }
+}
+
+async function enforceBlocking(st) {
+  await syncBlockRules(st);
+  const blocked = blockedNow(st);
+  if (blocked.length === 0) return;
+  const { tabsByCategory } = await collectRestrictedDomains(st);
+  for (const cat of blocked) await redirectToBlockPage(cat, tabsByCategory[cat]);
+}
+
+const BLOCK_SETTINGS = ["enabled", "categoriesOn", "blockMode", "grace", "timetable", "customDomains", "blocklist"];
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "local" || !BLOCK_SETTINGS.some((k) => k in changes)) return;
+  try {
+    await enforceBlocking(initCounters((await get(null)) || {}, todayLocalISO()));
+  } catch (err) {
+    console.warn("[ViceBank] block rules sync error:", err);
+  }
+});
 
-  return byCategory;
+// ---------- Badge + dunning ----------
+// Unpaid settlement charges (reported on each heartbeat) take over the badge.
+function renderBadge(st, restrictedOpen = 0) {
+  try {
+    if (st.billing && st.billing.status !== "ok") {
+      chrome.action.setBadgeBackgroundColor({ color: "#dc2626" });
+      chrome.action.setBadgeText({ text: st.billing.status === "locked" ? "LOCK" : "$" });
+      return;
+    }
+    chrome.action.setBadgeBackgroundColor({ color: "#A855F7" });
+    chrome.action.setBadgeText({ text: restrictedOpen ? String(restrictedOpen) : "" });
+  } catch {}
+}
+
+// One notification per change of billing status; clicking it opens the pay link
+function notifyBillingChange(prev, billing) {
+  if (!billing || (prev?.status || "ok") === billing.status) return;
+  try {
+    if (billing.status === "ok") {
+      chrome.notifications.clear("vb_dunning");
+      return;
+    }
+    chrome.notifications.create("vb_dunning", {
+      type: "basic",
+      iconUrl: "assets/icon128.png",
+      title: billing.status === "locked" ? "ViceBank — Account locked" : "ViceBank — Payment declined",
+      message: `$${(billing.outstandingCents / 100).toFixed(2)} is overdue. Click to pay or update your card.`,
+      requireInteraction: true,
+    });
+  } catch {}
+}
+
+chrome.notifications.onClicked.addListener(async (id) => {
+  if (id !== "vb_dunning") return;
+  const { billing } = await get(["billing"]);
+  if (billing?.payUrl) chrome.tabs.create({ url: billing.payUrl });
+});
+
+// ---------- Commitment contracts ----------
+// Settings changes that lower accountability (pause, lower rates, more grace,
+// categories off) wait out the cooling-off period; the backend applies the
+// same rules to the consent snapshot it bills from.
+async function applyDueSettings(st) {
+  const { settings, pending, applied, patch } = applyDuePending(st, st.pendingChanges);
+  if (applied.length === 0) return st;
+  await set({ ...patch, pendingChanges: pending });
+  console.log("[ViceBank] cooling-off over:", applied.join(", "));
+  return { ...settings, pendingChanges: pending };
+}
+
+async function updateSettings(st, payload) {
+  const { settings, pending, deferred } = applySettingsChange(st, payload, { pending: st.pendingChanges });
+  const changed = Object.fromEntries(Object.keys(payload).map((k) => [k, settings[k]]));
+  await set({ ...changed, pendingChanges: pending });
+  if ("enabled" in payload) await syncPause(st, payload.enabled);
+  return { deferred, pendingChanges: pending };
+}
+
+// Pause / resume from the popup goes to the consent snapshot too: the backend
+// honours a pause only once its own copy of the commitment rules lets it through
+async function syncPause(st, enabled) {
+  if (!st.deviceToken) return;
+  try {
+    await fetch(`${st.backendBaseUrl}/api/consent`, {
+      method: "POST",
+      headers: authHeaders(st),
+      body: JSON.stringify({ userId: st.userId, enabled: enabled !== false }),
+    });
+  } catch (e) {
+    console.warn("[ViceBank] pause sync failed:", e);
+  }
 }
 
 // ---------- Minute tick ----------
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === "vb_flush") {
+    // Backoff timer from the tick queue: retry the backlog now
+    await flushTickQueue(await get(null), { force: true });
+    return;
+  }
   if (alarm.name !== "vb_tick") return;
   try {
     await ensureLists();
@@ -228,40 +522,90 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     let st = await get(null);
     const today = todayLocalISO();
     st = initCounters(st || {}, today);
+    st = await applyDueSettings(st);
+
+    // Heartbeat first: the backend records silence as a tracking gap
+    const prevBilling = st.billing;
+    st = await sendHeartbeat(st);
+    notifyBillingChange(prevBilling, st.billing);
+    await syncBlockRules(st);
+
+    let byCategory = { porn: new Map(), gambling: new Map() };
+    let tabsByCategory = { porn: [], gambling: [] };
+    if (st.enabled) {
+      if (expirePaid(st)) await set({ paidActive: st.paidActive });
+      ({ byCategory, tabsByCategory } = await collectRestrictedDomains(st));
+      // Open tabs of a blocked category are leaving, not billed
+      for (const cat of blockedNow(st)) {
+        await redirectToBlockPage(cat, tabsByCategory[cat]);
+        byCategory[cat].clear();
+      }
+    }
 
-    if (!st.enabled) return;
+    // Close what stopped counting, then take the seconds owed so far
+    const counted = countedDomains(st, byCategory);
+    const policy = st.roundingPolicy;
+    const taken = await updateVisits((visits, due) => {
+      const settled = reconcileVisits(visits, counted, { policy, due });
+      const open = checkpointVisits(settled.visits, { policy, due: settled.due });
+      return { visits: open.visits, due: {}, taken: open.due };
+    });
+    const entries = { porn: [], gambling: [] }; // [domain, { url, seconds }]
+    for (const [domain, d] of Object.entries(taken)) entries[d.category]?.push([domain, d]);
 
-    const byCategory = await collectRestrictedDomains(st);
-    const pornDomains = Array.from(byCategory.porn.entries()); // [domain, url]
-    const gamblingDomains = Array.from(byCategory.gambling.entries());
-    const totalDomains = pornDomains.length + gamblingDomains.length;
-    if (totalDomains === 0) {
-      try {
-        chrome.action.setBadgeText({ text: "" });
-      } catch {}
+    const totalDomains = Object.keys(counted).length;
+    if (entries.porn.length + entries.gambling.length === 0) {
+      renderBadge(st, st.enabled ? totalDomains : 0);
+      await flushTickQueue(st); // keep draining any offline backlog
       return;
     }
 
     // Ensure backend session exists (backend may restart)
     st = await ensureSession(st);
 
+    const how = hourOfWeek();
+    const { grace } = settingsAt(st, how);
     const events = [];
+    const prompts = [];
+    const blocks = [];
     const applyForCategory = (cat, entries) => {
-      const units = entries.length; // domain-minutes
-      if (units <= 0) return;
+      const seconds = entries.reduce((sum, [, d]) => sum + d.seconds, 0);
+      if (seconds <= 0) return;
 
-      const grace = Number(st.grace?.[cat] ?? 0);
+      // Whole minutes this completes, carrying the rest as the backend's addUsage does
+      const carry = Number(st.counters[cat].seconds || 0);
+      const units = Math.floor((carry + seconds) / 60);
       const freeUsed = Number(st.counters?.[cat]?.freeMin ?? 0);
-      const remainingGrace = Math.max(0, grace - freeUsed);
-      const freeToAdd = Math.min(remainingGrace, units);
-      const paidToAdd = units - freeToAdd;
+      const { free: freeToAdd, paid: paidWanted } = splitGrace({
+        grace: grace[cat],
+        freeUsed,
+        units,
+      });
+      // Paid minutes aren't billed while the modal waits for a choice: only the
+      // seconds that finish the free minutes are sent
+      const held = paidWanted > 0 && !st.paidActive[cat];
+      const paidToAdd = held ? 0 : paidWanted;
+      if (held) (st.blockMode?.[cat] === "after_grace" ? blocks : prompts).push(cat);
+      let allowed = held ? Math.max(0, freeToAdd * 60 - carry) : seconds;
+      st.counters[cat].seconds = held ? 0 : (carry + seconds) % 60;
 
       st.counters[cat].freeMin = freeUsed + freeToAdd;
       st.counters[cat].paidMin = Number(st.counters?.[cat]?.paidMin ?? 0) + paidToAdd;
-
-      // Sync per-domain event (Option C)
-      for (const [domain, url] of entries) {
-        events.push({ url: url || `https://${domain}/`, seconds: 60, category: cat });
+      // Minutes per hour of the week, as the backend keeps them, for the popup estimate
+      const hours = (st.counters[cat].hours ||= {});
+      hours[how] = (hours[how] || 0) + freeToAdd + paidToAdd;
+
+      // Sync per-domain event (Option C) with the seconds each domain was counted
+      for (const [domain, { url, seconds: domainSeconds }] of entries) {
+        const send = Math.min(domainSeconds, allowed);
+        allowed -= send;
+        if (send <= 0) continue;
+        events.push({
+          url: url || `https://${domain}/`,
+          seconds: send,
+          category: cat,
+          ts: Date.now(),
+        });
       }
 
       // Notify when we cross grace boundary for this category
@@ -271,40 +615,29 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
             type: "basic",
             iconUrl: "assets/icon128.png",
             title: "ViceBank — Grace used",
-            message: `Grace is used for ${cat}. Billing continues while restricted tabs remain open.`,
+            message: `Grace is used for ${cat}. Continue paid or leave the open ${cat} tabs.`,
           });
         } catch {}
       }
     };
 
-    applyForCategory("porn", pornDomains);
-    applyForCategory("gambling", gamblingDomains);
+    applyForCategory("porn", entries.porn);
+    applyForCategory("gambling", entries.gambling);
 
     await set({ counters: st.counters });
-
-    // Batch sync to backend in one call
-    try {
-      const resp = await fetch(`${st.backendBaseUrl}/api/track`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          userId: st.userId,
-          sessionId: st.sessionId,
-          events,
-        }),
-      });
-      if (!resp.ok) {
-        console.warn("[ViceBank] /api/track failed", resp.status);
-      }
-    } catch (e) {
-      console.warn("[ViceBank] /api/track error", e);
+    for (const cat of prompts) await showIntercept(st, cat, tabsByCategory[cat]);
+    if (blocks.length) {
+      await syncBlockRules(st);
+      for (const cat of blocks) await redirectToBlockPage(cat, tabsByCategory[cat]);
     }
 
+    // Queue first (durable), then sync the queue to the backend in batches.
+    // If the backend is down the ticks stay queued and are backfilled later.
+    await enqueueTicks(st, events);
+    await flushTickQueue(st);
+
     // Badge: show number of restricted domains open (Option C)
-    try {
-      chrome.action.setBadgeBackgroundColor({ color: "#A855F7" });
-      chrome.action.setBadgeText({ text: String(totalDomains) });
-    } catch {}
+    renderBadge(st, totalDomains);
   } catch (err) {
     console.error("[ViceBank] tick error:", err);
   }
@@ -317,6 +650,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       let st = await get(null);
       const today = todayLocalISO();
       st = initCounters(st || {}, today);
+      st = await applyDueSettings(st);
 
       if (msg?.type === "VB_CONTINUE_PAID") {
         const cat = msg.category;
@@ -325,34 +659,29 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           return;
         }
 
-        // Mark paid-active so UI paid minute counter ticks
+        // Paid minutes count again from the next tick, until the re-prompt
         st.paidActive[cat] = true;
-        await set({ paidActive: st.paidActive });
-
-        // Compute minutes so far (today) and charge now
-        const free = st.counters?.[cat]?.freeMin ?? 0;
-        const paid = st.counters?.[cat]?.paidMin ?? 0;
-        const minutesSoFar = free + paid;
-        const grace = st.grace?.[cat] ?? 0;
-        const rate = st.rates?.[cat] ?? 0;
+        st.paidSince[cat] = Date.now();
+        await set({ paidActive: st.paidActive, paidSince: st.paidSince });
+        await hideIntercept(st, cat);
 
+        // Charge now; the backend recomputes billable minutes from its own counters
         try {
           const resp = await fetch(`${st.backendBaseUrl}/api/charge`, {
             method: "POST",
-            headers: { "Content-Type": "application/json" },
+            headers: authHeaders(st),
             body: JSON.stringify({
               userId: st.userId,
               category: cat,
-              minutes: minutesSoFar,
-              grace,
-              rate,
-              // paymentMethodId: "pm_card_visa" // optional override; server defaults in test
             }),
           });
 
           const data = await resp.json().catch(() => ({}));
           if (!resp.ok) {
             console.warn("[ViceBank] Charge failed", data);
+            if (resp.status === 423) {
+              notifyBillingChange(null, { status: "locked", outstandingCents: data.outstandingCents || 0 });
+            }
             sendResponse({ ok: false, status: resp.status, data });
             return;
           }
@@ -368,6 +697,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
                   ? `Charged $${(data.amountCents / 100).toFixed(
                       2
                     )} for today's ${cat} usage.`
+                  : data?.reason === "below_minimum"
+                  ? `Under the $0.50 minimum — added to your next settlement.`
                   : `No charge (within grace).`,
             });
           } catch {}
@@ -388,7 +719,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             `${st.backendBaseUrl}/api/test/auto-charge`,
             {
               method: "POST",
-              headers: { "Content-Type": "application/json" },
+              headers: authHeaders(st),
               body: JSON.stringify({ userId: st.userId }),
             }
           );
@@ -427,9 +758,26 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
+      // The block page counts itself
+      if (msg?.type === "VB_BLOCKED") {
+        const prev = st.blockStats?.date === today ? st.blockStats : { date: today, porn: 0, gambling: 0 };
+        const blockStats = { ...prev, total: Number(st.blockStats?.total || 0) + 1 };
+        if (msg.category in blockStats) blockStats[msg.category] += 1;
+        await set({ blockStats });
+        sendResponse({ ok: true, blockStats });
+        return;
+      }
+
       if (msg?.type === "VB_SETTINGS_UPDATE") {
-        await set(msg.payload || {});
-        sendResponse({ ok: true });
+        sendResponse({ ok: true, ...(await updateSettings(st, msg.payload || {})) });
+        return;
+      }
+
+      // Dropping a pending change keeps the settings in effect, so no wait
+      if (msg?.type === "VB_CANCEL_PENDING") {
+        const pendingChanges = (st.pendingChanges || []).filter((p) => p.group !== msg.group);
+        await set({ pendingChanges });
+        sendResponse({ ok: true, pendingChanges });
         return;
       }
 
@@ -454,4 +802,31 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   return true;
 });
 
-// No tab-focus listeners needed; counting is based on open tabs.
+// Modal on load; counting itself follows the visit events below (tab switch,
+// close and navigation, window focus, idle). A restricted page that loads
+// while its category waits for a choice gets the modal at once instead of on
+// the next tick.
+chrome.tabs.onUpdated.addListener(async (tabId, info, tab) => {
+  if (info.status !== "complete") return;
+  try {
+    await ensureLists();
+    const st = initCounters((await get(null)) || {}, todayLocalISO());
+    if (!st.enabled) return;
+    const page = restrictedPage(st, tab?.url);
+    if (!page || st.paidActive[page.category] || !graceUsed(st, page.category)) return;
+    await showIntercept(st, page.category, [{ tabId, domain: page.domain }]);
+  } catch (err) {
+    console.warn("[ViceBank] tab update error:", err);
+  }
+});
+
+// ---------- Visit events ----------
+// Each one can start or stop a domain being counted (lib/tracking.js)
+chrome.tabs.onActivated.addListener(onTrackingEvent);
+chrome.tabs.onRemoved.addListener(onTrackingEvent);
+chrome.tabs.onUpdated.addListener((tabId, info) => {
+  if (info.url || info.status === "complete" || "audible" in info) onTrackingEvent();
+});
+chrome.windows.onFocusChanged.addListener(onTrackingEvent);
+chrome.idle.setDetectionInterval(IDLE_CUTOFF_SECONDS);
+chrome.idle.onStateChanged.addListener(onTrackingEvent);
@@ -0,0 +1,39 @@
+// block.js — page that hard-blocked sites redirect to (lib/blocking.js)
+import { get } from "../lib/storage.js";
+import { authHeaders } from "../lib/util.js";
+
+const el = (id) => document.getElementById(id);
+const category = new URLSearchParams(location.search).get("category");
+const fmtUSD = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+// Clean days in the last two weeks, each priced at the average paid day
+function savedCents(last14 = []) {
+  const paid = last14.filter((d) => d.status === "billable");
+  if (paid.length === 0) return 0;
+  const avg = paid.reduce((sum, d) => sum + (d.billableCents || 0), 0) / paid.length;
+  return Math.round(avg * last14.filter((d) => d.status === "clean").length);
+}
+
+async function loadStats() {
+  const st = await get(null);
+  const resp = await fetch(`${st.backendBaseUrl}/api/dashboard`, { headers: authHeaders(st) });
+  if (!resp.ok) return;
+  const { streak } = await resp.json();
+  const days = Number(streak?.days || 0);
+  el("streak").textContent = `${days} day${days === 1 ? "" : "s"}`;
+  el("saved").textContent = fmtUSD(savedCents(streak?.last14));
+  el("note").textContent = "Kept = clean days in the last 14, at what an average paid day cost you.";
+}
+
+if (category) {
+  el("heading").textContent = `${category[0].toUpperCase()}${category.slice(1)} is blocked`;
+}
+chrome.runtime.sendMessage({ type: "VB_BLOCKED", category }, (r) => {
+  if (r?.blockStats) el("blockedToday").textContent = String(r.blockStats[category] ?? 0);
+});
+loadStats().catch((e) => console.warn("[ViceBank] block page stats unavailable", e));
+
+el("leave").onclick = async () => {
+  const tab = await chrome.tabs.getCurrent();
+  if (tab?.id != null) chrome.tabs.remove(tab.id);
+};
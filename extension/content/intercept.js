@@ -5,12 +5,17 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg?.type === "VB_SHOW_MODAL") {
     showVBModal(msg.category, msg.rate, msg.domain);
   }
+  // Continued paid in another tab of the same category
+  if (msg?.type === "VB_HIDE_MODAL" && vbModalEl?.dataset.category === msg.category) {
+    removeVBModal();
+  }
 });
 
 function showVBModal(category, rate, domain) {
   if (vbModalEl) return;
   vbModalEl = document.createElement("div");
   vbModalEl.className = "vb-modal-backdrop";
+  vbModalEl.dataset.category = category;
   vbModalEl.innerHTML = `
     <div class="vb-modal">
       <h2>Free time used for ${category}</h2>
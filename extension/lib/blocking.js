@@ -0,0 +1,71 @@
+// blocking.js
+// Hard-block mode: per category, "after_grace" or "always" turns the toll into
+// a wall. The service worker installs the rules built here as dynamic
+// declarativeNetRequest rules that redirect top-level navigations to
+// block/block.html. Pure (no chrome.* APIs); backend/blocking_test.js covers it.
+
+export const BLOCK_MODES = ["off", "after_grace", "always"];
+export const BLOCK_PAGE = "/block/block.html";
+
+// One dynamic rule per category
+const RULE_IDS = { porn: 1, gambling: 2 };
+
+// categories.json / customDomains pattern -> requestDomains entry (which
+// matches subdomains too, so "*.example.com" and "example.com" are the same)
+export function ruleDomain(pattern) {
+  return String(pattern || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\*\./, "")
+    .replace(/^www\./, "");
+}
+
+// Weakest first; commitment.js treats a move down this list as looser
+export function blockModeRank(mode) {
+  return Math.max(0, BLOCK_MODES.indexOf(mode));
+}
+
+/**
+ * Categories that are walled off right now.
+ * @param {object} st  settings: enabled, categoriesOn, blockMode
+ * @param {(cat: string) => boolean} graceUsed  today's grace is spent
+ */
+export function blockedCategories(st, graceUsed) {
+  if (st.enabled === false) return [];
+  return Object.keys(RULE_IDS).filter((cat) => {
+    if (st.categoriesOn?.[cat] === false) return false;
+    const mode = st.blockMode?.[cat];
+    return mode === "always" || (mode === "after_grace" && graceUsed(cat));
+  });
+}
+
+/**
+ * Dynamic rules redirecting the given categories' domains to the block page.
+ * Hosts on the blocklist (never tracked) are left alone.
+ * @param {object} o
+ * @param {string[]} o.categories  from blockedCategories()
+ * @param {{ porn?: string[], gambling?: string[] }} o.lists  categories.json
+ * @param {{ porn?: string[], gambling?: string[] }} [o.customDomains]
+ * @param {string[]} [o.blocklist]
+ */
+export function blockRules({ categories, lists, customDomains = {}, blocklist = [] }) {
+  const excluded = [...new Set(blocklist.map(ruleDomain).filter(Boolean))];
+  const rules = [];
+  for (const cat of categories) {
+    const domains = [...new Set([...(lists?.[cat] || []), ...(customDomains?.[cat] || [])].map(ruleDomain))]
+      .filter(Boolean)
+      .sort();
+    if (domains.length === 0) continue;
+    rules.push({
+      id: RULE_IDS[cat],
+      priority: 1,
+      action: { type: "redirect", redirect: { extensionPath: `${BLOCK_PAGE}?category=${cat}` } },
+      condition: {
+        requestDomains: domains,
+        ...(excluded.length ? { excludedRequestDomains: excluded } : {}),
+        resourceTypes: ["main_frame"],
+      },
+    });
+  }
+  return rules;
+}
@@ -0,0 +1,136 @@
+// commitment.js
+// Commitment contracts: settings changes that lower accountability only take
+// effect after a cooling-off period. Pure (no chrome.* / node APIs): the
+// service worker runs it on VB_SETTINGS_UPDATE and the backend on
+// POST /api/consent (imported as ../extension/lib/commitment.js), so the
+// consent snapshot that billing reads holds out even against a patched
+// extension. backend/commitment_test.js covers it.
+//
+// Settings are grouped, and a change to a group is applied now (tighter or
+// neutral) or deferred as a whole (looser):
+//   pricing                grace, rates, schedules, escalation, dailyCap;
+//                          looser if some reference day of usage costs less
+//   categoriesOn           a tracked category switched off
+//   enabled                tracking paused
+//   accountabilityContact  the contact removed or replaced
+//   coolingOffHours        a shorter cooling-off period
+//   blockMode              a category's hard block weakened (lib/blocking.js)
+//   timetable              some hour of the week loses a block, gets a lower
+//                          rate multiplier or more grace (lib/timetable.js)
+//   countingMode           fewer tabs count toward billing (lib/counting.js)
+//   roundingPolicy         visits round in the user's favour (lib/tracking.js)
+// Anything else (destination, cadence, paid sessions, ...) applies now.
+//
+// Pending changes are [{ group, patch, requestedAt, effectiveAt }], at most one
+// per group. Asking again for the same change keeps its clock; a different
+// change to the group replaces it, and a tighter one (or asking for the values
+// in effect) cancels it.
+
+import { CATEGORIES, normalizeSnapshot, quoteDay } from "./pricing.js";
+import { blockModeRank } from "./blocking.js";
+import { timetableLooser } from "./timetable.js";
+import { countingModeRank } from "./counting.js";
+import { roundingPolicyRank } from "./tracking.js";
+
+export const COOLING_OFF_HOURS = [0, 24, 48, 72];
+
+export const COMMITMENT_GROUPS = {
+  pricing: ["grace", "rates", "schedules", "escalation", "dailyCap", "tosHash"],
+  categoriesOn: ["categoriesOn"],
+  enabled: ["enabled"],
+  accountabilityContact: ["accountabilityContact"],
+  coolingOffHours: ["coolingOffHours"],
+  blockMode: ["blockMode"],
+  timetable: ["timetable"],
+  countingMode: ["countingMode"],
+  roundingPolicy: ["roundingPolicy"],
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+// One category's minutes in a day, priced before and after a pricing change
+const REFERENCE_MINUTES = [1, 5, 15, 30, 60, 120, 240, 480];
+const REFERENCE_OFFENSE_DAYS = [1, 2, 3, 4, 5, 6, 7];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function cheaper(prev, next) {
+  const before = normalizeSnapshot(prev);
+  // Category switches are judged on their own
+  const after = { ...normalizeSnapshot(next), categoriesOn: before.categoriesOn };
+  for (const cat of CATEGORIES) {
+    for (const minutes of REFERENCE_MINUTES) {
+      const bucket = { byCategory: { [cat]: { minutes } } };
+      for (const offenseDay of REFERENCE_OFFENSE_DAYS) {
+        const was = quoteDay({ snapshot: before, bucket, offenseDay }).totalCents;
+        if (quoteDay({ snapshot: after, bucket, offenseDay }).totalCents < was) return true;
+      }
+    }
+  }
+  return false;
+}
+
+const LOOSER = {
+  pricing: cheaper,
+  categoriesOn: (prev, next) =>
+    CATEGORIES.some((cat) => prev.categoriesOn?.[cat] !== false && next.categoriesOn?.[cat] === false),
+  enabled: (prev, next) => prev.enabled !== false && next.enabled === false,
+  accountabilityContact: (prev, next) =>
+    Boolean(prev.accountabilityContact) && next.accountabilityContact !== prev.accountabilityContact,
+  coolingOffHours: (prev, next) => coolingOffMs(next) < coolingOffMs(prev),
+  blockMode: (prev, next) =>
+    CATEGORIES.some((cat) => blockModeRank(next.blockMode?.[cat]) < blockModeRank(prev.blockMode?.[cat])),
+  timetable: (prev, next) => timetableLooser(prev.timetable, next.timetable, normalizeSnapshot(prev).grace),
+  countingMode: (prev, next) => countingModeRank(next.countingMode) < countingModeRank(prev.countingMode),
+  roundingPolicy: (prev, next) => roundingPolicyRank(next.roundingPolicy) < roundingPolicyRank(prev.roundingPolicy),
+};
+
+export function coolingOffMs(settings) {
+  return Math.max(0, Number(settings?.coolingOffHours) || 0) * HOUR_MS;
+}
+
+/**
+ * Applies the tighter/neutral part of a settings patch and queues the rest.
+ * The cooling-off period is the one in effect before the change.
+ * @param {object} current  settings in effect
+ * @param {object} patch    requested values (keys not being changed may be left out)
+ * @param {object} [o]
+ * @param {Array} [o.pending]  pending changes so far
+ * @param {number} [o.now]
+ * @returns {{ settings: object, pending: Array, deferred: string[] }}  deferred = groups that wait
+ */
+export function applySettingsChange(current, patch, { pending = [], now = Date.now() } = {}) {
+  const delay = coolingOffMs(current);
+  const grouped = new Set(Object.values(COMMITMENT_GROUPS).flat());
+  const immediate = Object.fromEntries(Object.entries(patch).filter(([k]) => !grouped.has(k)));
+  let queue = [...pending];
+  const deferred = [];
+
+  for (const [group, keys] of Object.entries(COMMITMENT_GROUPS)) {
+    if (!keys.some((k) => k in patch)) continue;
+    const waiting = queue.find((p) => p.group === group);
+    queue = queue.filter((p) => p.group !== group);
+    const part = Object.fromEntries(keys.filter((k) => k in patch && !same(patch[k], current[k])).map((k) => [k, patch[k]]));
+    if (Object.keys(part).length === 0) continue;
+    if (delay > 0 && LOOSER[group](current, { ...current, ...part })) {
+      queue.push(same(waiting?.patch, part) ? waiting : { group, patch: part, requestedAt: now, effectiveAt: now + delay });
+      deferred.push(group);
+    } else {
+      Object.assign(immediate, part);
+    }
+  }
+  return { settings: { ...current, ...immediate }, pending: queue, deferred };
+}
+
+// Pending changes whose cooling-off has run out, applied oldest first.
+// patch = just the keys that changed.
+export function applyDuePending(current, pending = [], now = Date.now()) {
+  const due = pending.filter((p) => p.effectiveAt <= now).sort((a, b) => a.effectiveAt - b.effectiveAt);
+  if (due.length === 0) return { settings: current, pending, applied: [], patch: {} };
+  const patch = Object.assign({}, ...due.map((p) => p.patch));
+  return {
+    settings: { ...current, ...patch },
+    pending: pending.filter((p) => p.effectiveAt > now),
+    applied: due.map((p) => p.group),
+    patch,
+  };
+}
@@ -0,0 +1,36 @@
+// counting.js
+// Which open restricted tabs count toward billing. Pure (no chrome.* APIs):
+// the service worker passes in chrome.tabs / chrome.windows / chrome.idle
+// results. backend/counting_test.js covers it.
+//
+//   all_tabs            every open tab, focused or not (the default, strictest)
+//   visible_or_audible  the active tab of each window that isn't minimized,
+//                       while the user is active, plus any tab playing sound
+//                       (a video keeps counting with no keyboard or mouse input)
+//   focused             only the active tab of the focused window, while the
+//                       user is active
+
+export const COUNTING_MODES = ["all_tabs", "visible_or_audible", "focused"];
+
+// Higher = stricter (unset is all_tabs); commitment.js treats a lower rank as looser
+export function countingModeRank(mode) {
+  return COUNTING_MODES.length - 1 - Math.max(0, COUNTING_MODES.indexOf(mode));
+}
+
+/**
+ * @param {Array<{ id: number, windowId: number, active?: boolean, audible?: boolean }>} tabs
+ * @param {object} [o]
+ * @param {string} [o.mode]
+ * @param {Array<{ id: number, focused?: boolean, state?: string }>} [o.windows]  normal windows
+ * @param {string} [o.idleState]  chrome.idle state: "active" | "idle" | "locked"
+ */
+export function countedTabs(tabs, { mode = "all_tabs", windows = [], idleState = "active" } = {}) {
+  if (mode !== "focused" && mode !== "visible_or_audible") return tabs;
+  const present = idleState === "active";
+  if (mode === "focused") {
+    const focused = windows.find((w) => w.focused)?.id;
+    return tabs.filter((t) => present && t.active && t.windowId === focused);
+  }
+  const shown = new Set(windows.filter((w) => w.state !== "minimized").map((w) => w.id));
+  return tabs.filter((t) => t.audible || (present && t.active && shown.has(t.windowId)));
+}
@@ -0,0 +1,292 @@
+// pricing.js
+// The one pricing engine. Pure (no chrome.* / node APIs) so the extension and
+// the backend run the same math: backend/server.js imports this file as
+// ../extension/lib/pricing.js, and backend/pricing_test.js covers it.
+//
+// Inputs are usage buckets — one per day, { byCategory: { porn: { minutes, hours } } },
+// hours = hour of the week -> minutes — and a consent snapshot { grace, rates,
+// categoriesOn, schedules, escalation, dailyCap, timetable }. Outputs are
+// itemized quotes.
+//
+// Rates: a category's price is a tier table over the day's paid minutes
+// (minutes after grace):
+//
+//   schedules.porn = [{ minutes: 10, rate: 0.05 }, { minutes: 20, rate: 0.2 }, { rate: 1 }]
+//     -> first 10 paid minutes at $0.05, next 20 at $0.20, then $1/min
+//
+// Without a schedule the flat `rates[cat]` is a single open-ended tier. Tier
+// rates never go below the category floor. On top of that, per day:
+//   escalation = [1, 1.5, 2]  multiplier for the 1st, 2nd, 3rd+ offense day of
+//                             the week (a day with any paid minutes)
+//   dailyCap   = 20           max $ charged for one day, all categories together
+//   timetable  = [...]        rules for hours of the week (timetable.js): grace
+//                             overrides and rate multipliers, applied per hour
+
+import { rulesAt, validateTimetable } from "./timetable.js";
+
+export const CATEGORIES = ["porn", "gambling"];
+export const CATEGORY_FLOORS = { porn: 0.05, gambling: 0.5 }; // $/min floors
+
+const toCents = (dollars) => Math.round(Number(dollars) * 100);
+
+/* -------------------- consent snapshot -------------------- */
+
+// Fills in defaults; older clients sent grace as a single number.
+export function normalizeSnapshot(snap = {}) {
+  let grace = snap.grace;
+  if (typeof grace === "number") grace = { porn: grace, gambling: grace };
+  return {
+    grace: grace || { porn: 1, gambling: 0 }, // minutes per day
+    rates: snap.rates || { porn: 0.05, gambling: 0.5 }, // $/min
+    categoriesOn: snap.categoriesOn || { porn: true, gambling: true },
+    schedules: snap.schedules || {}, // cat -> tier table
+    escalation: snap.escalation || null, // per-offense-day multipliers
+    dailyCap: snap.dailyCap ?? null, // $/day, all categories
+    timetable: snap.timetable || [], // scheduled rules
+  };
+}
+
+// Returns an error string for a malformed pricing config, else null.
+export function validatePricing({ schedules, escalation, dailyCap, timetable } = {}) {
+  for (const [cat, schedule] of Object.entries(schedules || {})) {
+    if (schedule == null) continue;
+    if (!Array.isArray(schedule) || schedule.length === 0) return `schedule for ${cat} must be a non-empty array`;
+    for (const [i, t] of schedule.entries()) {
+      if (!(Number(t?.rate) >= 0)) return `schedule for ${cat}: tier ${i + 1} needs a rate`;
+      const last = i === schedule.length - 1;
+      if (!last && !(Number.isInteger(t.minutes) && t.minutes > 0))
+        return `schedule for ${cat}: tier ${i + 1} needs a positive whole number of minutes`;
+    }
+  }
+  if (escalation != null) {
+    if (!Array.isArray(escalation) || escalation.some((m) => !(Number(m) >= 1)))
+      return "escalation must be an array of multipliers >= 1";
+  }
+  if (dailyCap != null && !(Number(dailyCap) > 0)) return "dailyCap must be a positive amount";
+  return validateTimetable(timetable);
+}
+
+/* -------------------- building blocks -------------------- */
+
+/**
+ * @param {Array<{minutes?: number, rate: number}>} [schedule]
+ * @param {object} o
+ * @param {number} [o.rate]   flat $/min used when there is no schedule
+ * @param {number} [o.floor]  minimum $/min for every tier
+ * @returns {Array<{minutes: number, centsPerMin: number}>}  last tier has minutes = Infinity
+ */
+export function normalizeSchedule(schedule, { rate = 0, floor = 0 } = {}) {
+  const tiers = Array.isArray(schedule) && schedule.length ? schedule : [{ rate }];
+  return tiers.map((t, i) => ({
+    minutes: i === tiers.length - 1 ? Infinity : Math.max(0, Math.floor(Number(t.minutes) || 0)),
+    centsPerMin: toCents(Math.max(floor, Number(t.rate) || 0)),
+  }));
+}
+
+export function tiersFor(snapshot, cat) {
+  return normalizeSchedule(snapshot.schedules?.[cat], {
+    rate: snapshot.rates?.[cat],
+    floor: CATEGORY_FLOORS[cat] ?? 0,
+  });
+}
+
+/**
+ * Cost of paid minutes [from, to) of a day against a tier table.
+ * `from` > 0 when earlier minutes of the day were already charged.
+ * @returns {{ cents: number, lines: Array<{minutes: number, centsPerMin: number, cents: number}> }}
+ */
+export function priceRange(tiers, from, to, multiplier = 1) {
+  const lines = [];
+  let cents = 0;
+  let start = 0;
+  for (const tier of tiers) {
+    const end = start + tier.minutes;
+    const minutes = Math.max(0, Math.min(end, to) - Math.max(start, from));
+    if (minutes > 0) {
+      const c = Math.round(minutes * tier.centsPerMin * multiplier);
+      lines.push({ minutes, centsPerMin: tier.centsPerMin, cents: c });
+      cents += c;
+    }
+    if (end >= to) break;
+    start = end;
+  }
+  return { cents, lines };
+}
+
+// offenseDay is 1-based; the last multiplier repeats for later days
+export function escalationMultiplier(escalation, offenseDay) {
+  if (!Array.isArray(escalation) || escalation.length === 0) return 1;
+  const m = Number(escalation[Math.min(offenseDay, escalation.length) - 1]);
+  return Number.isFinite(m) && m > 0 ? m : 1;
+}
+
+export function dailyCapCents(dailyCap) {
+  const c = Number(dailyCap);
+  return dailyCap != null && Number.isFinite(c) && c > 0 ? toCents(c) : null;
+}
+
+// A category's minutes of a day in time order, split by the hours the bucket
+// recorded. Minutes without an hour (buckets from before hours were kept) come
+// first; hours beyond the total (usage excused by a dispute) drop off the end.
+function usageRuns(bucket, cat) {
+  const total = Number(bucket?.byCategory?.[cat]?.minutes || 0);
+  const hours = Object.entries(bucket?.byCategory?.[cat]?.hours || {})
+    .map(([how, minutes]) => [Number(how), Number(minutes)])
+    .sort((a, b) => a[0] - b[0]);
+  const recorded = hours.reduce((sum, [, minutes]) => sum + minutes, 0);
+  const runs = total > recorded ? [{ how: null, minutes: total - recorded }] : [];
+  let left = Math.min(total, recorded);
+  for (const [how, minutes] of hours) {
+    const n = Math.min(minutes, left);
+    if (n > 0) runs.push({ how, minutes: n });
+    left -= n;
+  }
+  return runs;
+}
+
+// Paid minutes of a day as ranges [from, to) over the day's paid-minute count,
+// each with the timetable multiplier of its hours. Grace is used up in time
+// order, with the grace the timetable sets for each hour.
+function paidRanges(snapshot, bucket, cat) {
+  if (!snapshot.categoriesOn?.[cat]) return [];
+  const ranges = [];
+  let freeUsed = 0;
+  let paid = 0;
+  for (const { how, minutes } of usageRuns(bucket, cat)) {
+    const rules = rulesAt(snapshot.timetable, cat, how);
+    const grace = rules.grace ?? Math.max(0, Number(snapshot.grace?.[cat] ?? 0));
+    const split = splitGrace({ grace, freeUsed, units: minutes });
+    freeUsed += split.free;
+    if (split.paid === 0) continue;
+    const last = ranges[ranges.length - 1];
+    if (last?.multiplier === rules.multiplier) last.to += split.paid;
+    else ranges.push({ from: paid, to: paid + split.paid, multiplier: rules.multiplier });
+    paid += split.paid;
+  }
+  return ranges;
+}
+
+// Whole minutes past grace for one category of a day bucket (0 when the category is off)
+export function paidMinutes(snapshot, bucket, cat) {
+  const ranges = paidRanges(snapshot, bucket, cat);
+  return ranges.length ? ranges[ranges.length - 1].to : 0;
+}
+
+// Live counting: how many of `units` new minutes are still covered by grace
+export function splitGrace({ grace, freeUsed = 0, units }) {
+  const free = Math.min(Math.max(0, Number(grace || 0) - Number(freeUsed || 0)), units);
+  return { free, paid: units - free };
+}
+
+/* -------------------- quotes -------------------- */
+
+export function isOffenseDay(snapshot, bucket) {
+  return CATEGORIES.some((cat) => paidMinutes(snapshot, bucket, cat) > 0);
+}
+
+// 1-based offense day for a day, given the buckets of the earlier days of its week
+export function offenseDayOf(snapshot, earlierBuckets = []) {
+  return 1 + earlierBuckets.filter((b) => b && isOffenseDay(snapshot, b)).length;
+}
+
+/**
+ * Itemized price of one day. Minutes/cents already charged (prepaid) are
+ * skipped: the remaining minutes continue up the tier table and only what is
+ * left under the daily cap is billable.
+ * @param {object} o
+ * @param {object} o.snapshot  normalizeSnapshot() output
+ * @param {object} [o.bucket]  the day's usage bucket (missing = no data)
+ * @param {number} [o.offenseDay]
+ * @param {object} [o.prepaidMinutes]  cat -> minutes already charged today
+ * @param {number} [o.prepaidCents]    cents already charged today (all categories)
+ * @param {string[]} [o.categories]
+ */
+export function quoteDay({
+  snapshot,
+  bucket,
+  offenseDay = 1,
+  prepaidMinutes = {},
+  prepaidCents = 0,
+  categories = CATEGORIES,
+}) {
+  const minutes = {};
+  const perCat = {};
+  let totalCents = 0;
+  const multiplier = escalationMultiplier(snapshot.escalation, offenseDay);
+  if (!bucket) return { exists: false, minutes, perCat, totalCents, multiplier, capped: false };
+
+  for (const cat of categories) {
+    minutes[cat] = Number(bucket.byCategory?.[cat]?.minutes || 0);
+    if (!snapshot.categoriesOn?.[cat]) continue;
+    const ranges = paidRanges(snapshot, bucket, cat);
+    const paid = ranges.length ? ranges[ranges.length - 1].to : 0;
+    const from = Math.min(paid, Math.max(0, Number(prepaidMinutes[cat] || 0)));
+    const tiers = tiersFor(snapshot, cat);
+    let cents = 0;
+    const lines = [];
+    for (const range of ranges) {
+      if (range.to <= from) continue;
+      const part = priceRange(tiers, Math.max(range.from, from), range.to, multiplier * range.multiplier);
+      cents += part.cents;
+      lines.push(...part.lines);
+    }
+    perCat[cat] = {
+      minutes: paid - from,
+      paidMinutes: paid,
+      centsPerMin: lines[0]?.centsPerMin ?? tiers[0].centsPerMin,
+      centsTotal: cents,
+      tiers: lines,
+    };
+    totalCents += cents;
+  }
+
+  // Cap: fill categories in order until what's left of today's cap is used up
+  const cap = dailyCapCents(snapshot.dailyCap);
+  let capped = false;
+  if (cap != null && totalCents > cap - prepaidCents) {
+    let left = Math.max(0, cap - prepaidCents);
+    for (const v of Object.values(perCat)) {
+      v.centsTotal = Math.min(v.centsTotal, left);
+      left -= v.centsTotal;
+    }
+    totalCents = Math.max(0, cap - prepaidCents);
+    capped = true;
+  }
+  return { exists: true, minutes, perCat, totalCents, multiplier, capped };
+}
+
+/**
+ * Sum of day quotes (each day is priced on its own: tiers, escalation and the
+ * cap are per day). perCat.centsPerMin is the effective rate across tiers.
+ * @param {object} o
+ * @param {object} o.snapshot
+ * @param {Array<{day: string, bucket: object, offenseDay?: number, prepaidMinutes?: object, prepaidCents?: number}>} o.days
+ */
+export function quoteWeek({ snapshot, days }) {
+  const perCat = {};
+  let totalCents = 0;
+  const quotes = days.map(({ day, ...rest }) => ({ day, ...quoteDay({ snapshot, ...rest }) }));
+  for (const q of quotes) {
+    for (const [cat, v] of Object.entries(q.perCat)) {
+      const acc = (perCat[cat] ||= { minutes: 0, centsPerMin: v.centsPerMin, centsTotal: 0 });
+      acc.minutes += v.minutes;
+      acc.centsTotal += v.centsTotal;
+    }
+    totalCents += q.totalCents;
+  }
+  for (const v of Object.values(perCat)) {
+    if (v.minutes > 0) v.centsPerMin = Math.round(v.centsTotal / v.minutes);
+  }
+  return { perCat, totalCents, days: quotes };
+}
+
+// Amounts below the processor minimum roll over to the next settlement.
+export function settleAmount({ totalCents, rolloverCents = 0, minCents }) {
+  const grandTotalCents = totalCents + rolloverCents;
+  const charge = grandTotalCents >= minCents;
+  return {
+    grandTotalCents,
+    chargeCents: charge ? grandTotalCents : 0,
+    carryCents: charge ? 0 : grandTotalCents,
+  };
+}
@@ -0,0 +1,131 @@
+// queue.js
+// Durable outbox for usage ticks. Every tick event gets its seq and is appended
+// to chrome.storage.local ("tickQueue") with its real ts before any network
+// call; flushTickQueue() drains it oldest-first in batches, signing each batch
+// with the device token it is sent with (a re-registration since enqueue
+// issues a new token, which would fail older signatures). While the backend is
+// unreachable, retries back off exponentially (vb_flush alarm). The server
+// buckets each event by its own ts, so backfilled minutes land on the right day.
+
+import { get, set } from "./storage.js";
+import { authHeaders, ensureSession, numberTickEvents, signTickEvents, uuidv4 } from "./util.js";
+
+export const QUEUE_MAX = 5000; // ~3.5 days of one open restricted tab
+const BATCH_MAX = 200;
+const BACKOFF_BASE_MS = 30_000;
+const BACKOFF_MAX_MS = 30 * 60_000;
+const FLUSH_ALARM = "vb_flush";
+
+let flushing = null; // in-flight flush (alarms can overlap)
+
+export async function enqueueTicks(st, events) {
+  if (!events.length) return 0;
+  const numbered = await numberTickEvents(events);
+  const { tickQueue = [] } = await get("tickQueue");
+  const next = tickQueue.concat(numbered.map((ev) => ({ qid: uuidv4(), ...ev })));
+
+  // Over the cap: drop the oldest. The server will see a seq gap for them.
+  const dropped = Math.max(0, next.length - QUEUE_MAX);
+  if (dropped > 0) console.warn(`[ViceBank] tick queue full, dropping ${dropped} oldest`);
+  await set({ tickQueue: next.slice(dropped) });
+  return next.length - dropped;
+}
+
+function backoffMs(attempts) {
+  const exp = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return exp + Math.floor(Math.random() * 0.2 * exp); // +0–20% jitter
+}
+
+async function scheduleRetry(attempts) {
+  const retryAt = Date.now() + backoffMs(attempts);
+  await set({ tickQueueAttempts: attempts, tickQueueRetryAt: retryAt });
+  try {
+    chrome.alarms.create(FLUSH_ALARM, { when: retryAt });
+  } catch {}
+  return retryAt;
+}
+
+async function drain(st, { force }) {
+  const meta = await get(["tickQueueRetryAt", "tickQueueAttempts"]);
+  if (!force && meta.tickQueueRetryAt && Date.now() < meta.tickQueueRetryAt) {
+    return { sent: 0, deferredUntil: meta.tickQueueRetryAt };
+  }
+
+  // The token may have been re-issued since st was read
+  const { deviceToken } = await get("deviceToken");
+  st = await ensureSession({ ...st, deviceToken });
+  let sent = 0;
+  for (;;) {
+    const { tickQueue = [] } = await get("tickQueue");
+    if (tickQueue.length === 0) break;
+
+    // Entries queued by older versions may have no seq yet: number them once.
+    const batch = tickQueue.slice(0, BATCH_MAX);
+    const unnumbered = batch.filter((ev) => ev.seq == null);
+    if (unnumbered.length) {
+      const numbered = await numberTickEvents(unnumbered);
+      unnumbered.forEach((ev, i) => Object.assign(ev, numbered[i]));
+      await set({ tickQueue: batch.concat(tickQueue.slice(batch.length)) });
+    }
+    const events = await signTickEvents(st, batch.map(({ qid, sig, ...ev }) => ev));
+
+    let resp;
+    try {
+      resp = await fetch(`${st.backendBaseUrl}/api/track`, {
+        method: "POST",
+        headers: authHeaders(st),
+        body: JSON.stringify({
+          userId: st.userId,
+          sessionId: st.sessionId,
+          sentAt: Date.now(),
+          events,
+        }),
+      });
+    } catch (e) {
+      resp = null;
+    }
+
+    // Network error or server-side trouble: keep everything, back off.
+    if (!resp || resp.status >= 500 || resp.status === 429 || resp.status === 401) {
+      if (resp?.status === 401) await set({ deviceToken: null }); // re-register next time
+      const attempts = Number(meta.tickQueueAttempts || 0) + 1;
+      const retryAt = await scheduleRetry(attempts);
+      console.warn("[ViceBank] /api/track unavailable, queued", tickQueue.length, "ticks", {
+        status: resp?.status,
+        retryAt: new Date(retryAt).toISOString(),
+      });
+      return { sent, queued: tickQueue.length, retryAt };
+    }
+
+    // 2xx, or a 4xx the server will never accept: either way the batch is done.
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      console.warn("[ViceBank] /api/track rejected batch", resp.status, data);
+    }
+    const done = new Set(batch.map((ev) => ev.qid));
+    const { tickQueue: latest = [] } = await get("tickQueue");
+    await set({ tickQueue: latest.filter((ev) => !done.has(ev.qid)) });
+    sent += batch.length;
+  }
+
+  await set({ tickQueueAttempts: 0, tickQueueRetryAt: null });
+  try {
+    chrome.alarms.clear(FLUSH_ALARM);
+  } catch {}
+  return { sent, queued: 0 };
+}
+
+// force: ignore the backoff window (vb_flush alarm, startup)
+export function flushTickQueue(st, { force = false } = {}) {
+  if (!flushing) {
+    flushing = drain(st, { force })
+      .catch((e) => {
+        console.warn("[ViceBank] tick queue flush error", e);
+        return { sent: 0, error: String(e) };
+      })
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+}
@@ -0,0 +1,101 @@
+// timetable.js
+// Scheduled rules: day-of-week / time-of-day windows that change a category's
+// grace, rate or blocking. Pure (no chrome.* / node APIs): the service worker
+// applies them on every vb_tick, and pricing.js prices each hour of usage with
+// them, so the backend bills the way the extension counted.
+// backend/timetable_test.js covers it.
+//
+// A rule covers whole hours of the week in local time (0 = Monday 00:00 …
+// 167 = Sunday 23:00), painted on the options page's weekly grid:
+//   { category: "gambling", effect: "block", hours: [9..16, 33..40, …] }   weekdays 9–17
+//   { category: "all", effect: "rate", value: 2, hours: [23, 47, …] }      double rate after 11pm
+//   { category: "porn", effect: "grace", value: 0, hours: [96..119] }      no grace on Fridays
+// A grace rule replaces the daily grace while it's in effect: minutes in its
+// hours are free only while the day's free minutes are below its value.
+// Where rules overlap, a block wins, and the highest rate multiplier and the
+// lowest grace apply.
+
+// Same as pricing.js, which imports this file
+const CATEGORIES = ["porn", "gambling"];
+
+export const HOURS_PER_WEEK = 7 * 24;
+export const TIMETABLE_EFFECTS = ["block", "rate", "grace"];
+const MAX_RULES = 20;
+
+// Local hour of the week of a Date (the backend uses tz.js hourOfWeek)
+export function hourOfWeek(date = new Date()) {
+  return ((date.getDay() + 6) % 7) * 24 + date.getHours();
+}
+
+// Returns an error string for a malformed timetable, else null.
+export function validateTimetable(timetable) {
+  if (timetable == null) return null;
+  if (!Array.isArray(timetable)) return "timetable must be an array of rules";
+  if (timetable.length > MAX_RULES) return `timetable allows at most ${MAX_RULES} rules`;
+  for (const [i, rule] of timetable.entries()) {
+    const name = `timetable rule ${i + 1}`;
+    if (rule?.category !== "all" && !CATEGORIES.includes(rule?.category)) return `${name}: unknown category`;
+    if (!TIMETABLE_EFFECTS.includes(rule.effect))
+      return `${name}: effect must be one of ${TIMETABLE_EFFECTS.join(", ")}`;
+    if (rule.effect === "rate" && !(Number(rule.value) >= 1)) return `${name}: rate multiplier must be >= 1`;
+    if (rule.effect === "grace" && !(Number.isInteger(rule.value) && rule.value >= 0))
+      return `${name}: grace must be a whole number of minutes`;
+    if (
+      !Array.isArray(rule.hours) ||
+      rule.hours.length === 0 ||
+      rule.hours.some((h) => !Number.isInteger(h) || h < 0 || h >= HOURS_PER_WEEK)
+    )
+      return `${name}: hours must be hours of the week (0–${HOURS_PER_WEEK - 1})`;
+  }
+  return null;
+}
+
+/**
+ * What the rules do to one category at an hour of the week.
+ * @param {Array} timetable
+ * @param {string} cat
+ * @param {number|null} how  hour of the week; null = unknown (no rules apply)
+ * @returns {{ block: boolean, multiplier: number, grace: number|null }}  grace null = the daily grace
+ */
+export function rulesAt(timetable, cat, how) {
+  const out = { block: false, multiplier: 1, grace: null };
+  if (how == null) return out;
+  for (const rule of timetable || []) {
+    if ((rule.category !== "all" && rule.category !== cat) || !rule.hours?.includes(how)) continue;
+    if (rule.effect === "block") out.block = true;
+    if (rule.effect === "rate") out.multiplier = Math.max(out.multiplier, Number(rule.value) || 1);
+    if (rule.effect === "grace") out.grace = Math.min(out.grace ?? Infinity, Number(rule.value));
+  }
+  return out;
+}
+
+// Settings as they stand at an hour: grace overridden, blocks as an "always"
+// blockMode (lib/blocking.js), plus each category's rate multiplier.
+export function settingsAt(st, how) {
+  const grace = typeof st.grace === "number" ? { porn: st.grace, gambling: st.grace } : { ...st.grace };
+  const blockMode = { ...st.blockMode };
+  const rateMultipliers = {};
+  for (const cat of CATEGORIES) {
+    const rules = rulesAt(st.timetable, cat, how);
+    if (rules.grace != null) grace[cat] = rules.grace;
+    if (rules.block) blockMode[cat] = "always";
+    rateMultipliers[cat] = rules.multiplier;
+  }
+  return { ...st, grace, blockMode, rateMultipliers };
+}
+
+// For commitment.js: some hour loses a block, gets a lower multiplier or more
+// grace. Grace is compared as it applies: a rule's, else the daily grace.
+export function timetableLooser(prev, next, dailyGrace = 0) {
+  for (const cat of CATEGORIES) {
+    const daily = Number(typeof dailyGrace === "number" ? dailyGrace : dailyGrace?.[cat]) || 0;
+    for (let how = 0; how < HOURS_PER_WEEK; how++) {
+      const was = rulesAt(prev, cat, how);
+      const now = rulesAt(next, cat, how);
+      if (was.block && !now.block) return true;
+      if (now.multiplier < was.multiplier) return true;
+      if ((now.grace ?? daily) > (was.grace ?? daily)) return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,83 @@
+// tracking.js
+// Sub-minute time tracking. A visit is a stretch of time one restricted domain
+// is counted (lib/counting.js decides which tabs count). The service worker
+// opens and closes visits on tab, window-focus and idle events and checkpoints
+// them on every vb_tick; the seconds due go to /api/track, whose addUsage
+// carries seconds into minutes. Pure (no chrome.* APIs);
+// backend/tracking_test.js covers it.
+//
+// Rounding policy, applied to each visit:
+//   exact    the seconds measured (the default)
+//   up       every visit rounds up to whole minutes (a 5-second peek is a minute)
+//   nearest  every visit rounds to the nearest minute (under 30 seconds is free)
+// Under up / nearest an ongoing visit only sends whole minutes at a checkpoint
+// and the rest is settled when it ends, so nothing is sent that rounding
+// would later take back.
+//
+// Time between two events longer than MAX_SEGMENT_MS (the machine slept, the
+// worker was stopped) counts as MAX_SEGMENT_MS.
+
+export const ROUNDING_POLICIES = ["exact", "up", "nearest"];
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+export const MAX_SEGMENT_MS = 5 * MINUTE_MS;
+
+// Higher = stricter (unset is exact); commitment.js treats a lower rank as looser
+export function roundingPolicyRank(policy) {
+  return { nearest: 0, exact: 1, up: 2 }[policy] ?? 1;
+}
+
+// A finished visit's length under the policy
+export function roundedMs(ms, policy) {
+  if (policy === "up") return Math.ceil(ms / MINUTE_MS) * MINUTE_MS;
+  if (policy === "nearest") return Math.round(ms / MINUTE_MS) * MINUTE_MS;
+  return Math.floor(ms / SECOND_MS) * SECOND_MS;
+}
+
+function elapsedMs(visit, now) {
+  return visit.totalMs + Math.min(MAX_SEGMENT_MS, Math.max(0, now - visit.start));
+}
+
+function addDue(due, domain, { category, url }, ms) {
+  if (ms <= 0) return;
+  const d = (due[domain] ||= { category, url, seconds: 0 });
+  d.seconds += ms / SECOND_MS;
+}
+
+/**
+ * Opens a visit for each domain counted now and closes the others.
+ * @param {Record<string, { category: string, url: string, start: number, totalMs: number, sentMs: number }>} visits
+ * @param {Record<string, { category: string, url: string }>} counted  domain -> page
+ * @param {object} [o]
+ * @param {number} [o.now]
+ * @param {string} [o.policy]
+ * @param {Record<string, { category: string, url: string, seconds: number }>} [o.due]  not yet sent
+ * @returns {{ visits: object, due: object }}  due gains what the closed visits owe
+ */
+export function reconcileVisits(visits, counted, { now = Date.now(), policy = "exact", due = {} } = {}) {
+  const next = {};
+  const owed = structuredClone(due);
+  for (const [domain, v] of Object.entries(visits || {})) {
+    if (counted[domain]?.category === v.category) next[domain] = v;
+    else addDue(owed, domain, v, roundedMs(elapsedMs(v, now), policy) - v.sentMs);
+  }
+  for (const [domain, page] of Object.entries(counted)) {
+    next[domain] ||= { category: page.category, url: page.url, start: now, totalMs: 0, sentMs: 0 };
+  }
+  return { visits: next, due: owed };
+}
+
+// Moves what ongoing visits can send so far into due (see the rounding note above)
+export function checkpointVisits(visits, { now = Date.now(), policy = "exact", due = {} } = {}) {
+  const next = {};
+  const owed = structuredClone(due);
+  for (const [domain, v] of Object.entries(visits || {})) {
+    const totalMs = elapsedMs(v, now);
+    const step = policy === "exact" ? SECOND_MS : MINUTE_MS;
+    const sendable = Math.floor(totalMs / step) * step;
+    addDue(owed, domain, v, sendable - v.sentMs);
+    next[domain] = { ...v, start: now, totalMs, sentMs: Math.max(v.sentMs, sendable) };
+  }
+  return { visits: next, due: owed };
+}
@@ -1,4 +1,4 @@
-import { set } from "./storage.js";
+import { get, set } from "./storage.js";
 
 export function hostFromUrl(url) {
   try {
@@ -37,12 +37,103 @@ export function uuidv4() {
   );
 }
 // utils.js
+// Headers for authenticated backend calls (device token from registerDevice)
+export function authHeaders(st) {
+  const headers = { "Content-Type": "application/json" };
+  if (st?.deviceToken) headers.Authorization = `Bearer ${st.deviceToken}`;
+  return headers;
+}
+
+// Registers this install with the backend and stores the signed device token.
+// installId is a local secret; re-registering with it is idempotent.
+export async function registerDevice(st) {
+  if (!st.userId) st.userId = uuidv4();
+  if (!st.installId) st.installId = uuidv4();
+  await set({ userId: st.userId, installId: st.installId });
+
+  try {
+    const resp = await fetch(`${st.backendBaseUrl}/api/register`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        userId: st.userId,
+        installId: st.installId,
+        extensionVersion: chrome.runtime.getManifest().version,
+      }),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || !data.token) {
+      console.warn("[ViceBank] device registration failed", resp.status, data);
+      return st;
+    }
+    st.deviceToken = data.token;
+    await set({ deviceToken: st.deviceToken });
+  } catch (e) {
+    // Backend down; ensureSession() retries on the next tick.
+  }
+  return st;
+}
+
+// ---------- Tamper-evident ticks ----------
+// Each event gets the next per-install seq and an HMAC keyed off the device
+// token. Must stay in sync with backend/ticks.js:
+//   tickKey   = HMAC-SHA256(key = deviceToken, "vb-tick-v1")
+//   canonical = `${seq}|${ts}|${url}|${seconds}|${category}`
+async function hmacSha256(keyBytes, msg) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    keyBytes,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return new Uint8Array(
+    await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(msg))
+  );
+}
+
+function canonicalTick(ev) {
+  const f = (v) => (v == null ? "" : String(v));
+  return `${f(ev.seq)}|${f(ev.ts)}|${f(ev.url)}|${f(ev.seconds)}|${f(ev.category)}`;
+}
+
+// Gives events the next per-install seqs (and a ts). The tick queue keeps them
+// numbered but unsigned; they are signed with the token they are sent with.
+export async function numberTickEvents(events) {
+  const { tickSeq = 0 } = await get("tickSeq");
+  let seq = tickSeq;
+  const numbered = events.map((ev) => ({ ...ev, seq: ++seq, ts: ev.ts ?? Date.now() }));
+  await set({ tickSeq: seq });
+  return numbered;
+}
+
+// Signs with the current device token, numbering events that have no seq yet
+export async function signTickEvents(st, events) {
+  if (!st.deviceToken || events.length === 0) return events;
+  const tickKey = await hmacSha256(
+    new TextEncoder().encode(st.deviceToken),
+    "vb-tick-v1"
+  );
+  const fresh = await numberTickEvents(events.filter((ev) => ev.seq == null));
+  const signed = [];
+  for (const ev of events) {
+    const e = ev.seq == null ? fresh.shift() : { ...ev };
+    const sig = await hmacSha256(tickKey, canonicalTick(e));
+    e.sig = Array.from(sig)
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+    signed.push(e);
+  }
+  return signed;
+}
+
 export async function ensureSession(st) {
   if (!st.userId) st.userId = uuidv4();
+  if (!st.deviceToken) st = await registerDevice(st);
 
-  // Keep session stable per day
+  // Keep session stable per day (and unique per user)
   if (!st.sessionId || st.sessionDate !== todayLocalISO()) {
-    st.sessionId = `session_${todayLocalISO()}`;
+    st.sessionId = `session_${st.userId}_${todayLocalISO()}`;
     st.sessionDate = todayLocalISO();
   }
 
@@ -51,11 +142,13 @@ export async function ensureSession(st) {
   try {
     await fetch(`${st.backendBaseUrl}/api/session/start`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: authHeaders(st),
       body: JSON.stringify({
         userId: st.userId,
         sessionId: st.sessionId,
         extensionVersion: chrome.runtime.getManifest().version,
+        // Backend buckets days by this zone, matching todayLocalISO()
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
         tzOffsetMinutes: new Date().getTimezoneOffset(),
       }),
     });
@@ -72,6 +165,54 @@ export async function ensureSession(st) {
   return st;
 }
 
+// ---------- Heartbeat + uninstall URL ----------
+// Sent every minute, also while paused, so the backend can tell a quiet
+// browser from a disabled/removed extension.
+export async function sendHeartbeat(st) {
+  if (!st.deviceToken || !st.sessionId || st.sessionDate !== todayLocalISO()) {
+    st = await ensureSession(st); // session/start counts as a heartbeat too
+    return st;
+  }
+  try {
+    const resp = await fetch(`${st.backendBaseUrl}/api/heartbeat`, {
+      method: "POST",
+      headers: authHeaders(st),
+      body: JSON.stringify({
+        userId: st.userId,
+        sessionId: st.sessionId,
+        enabled: st.enabled !== false,
+      }),
+    });
+    if (resp.status === 400) st = await ensureSession(st); // backend lost the session
+    const data = await resp.json().catch(() => ({}));
+    if (data.billing) {
+      st = { ...st, billing: data.billing };
+      await set({ billing: data.billing });
+    }
+    if ("wallet" in data) {
+      st = { ...st, wallet: data.wallet };
+      await set({ wallet: data.wallet });
+    }
+  } catch (e) {
+    // Backend down; the gap it sees is real from its point of view.
+  }
+  return st;
+}
+
+// Points chrome.runtime.setUninstallURL at the backend so removal is recorded
+export async function refreshUninstallUrl(st) {
+  if (!st.deviceToken) return;
+  try {
+    const resp = await fetch(`${st.backendBaseUrl}/api/uninstall-url`, {
+      headers: authHeaders(st),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (data.url) await chrome.runtime.setUninstallURL(data.url);
+  } catch (e) {
+    console.warn("[ViceBank] setUninstallURL failed", e);
+  }
+}
+
 // ---------- Helper to send tick to backend ----------
 export async function syncMinuteToBackend(st, url, category) {
   try {
@@ -80,18 +221,16 @@ export async function syncMinuteToBackend(st, url, category) {
     const payload = {
       userId: st.userId,
       sessionId: st.sessionId,
-      events: [{ url, seconds: 60, category }],
+      sentAt: Date.now(),
+      events: await signTickEvents(st, [{ url, seconds: 60, category }]),
     };
-    console.log("payload = ", payload);
     const res = await fetch(`${st.backendBaseUrl}/api/track`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: authHeaders(st),
       body: JSON.stringify(payload),
     });
 
     if (!res.ok) throw new Error(`Backend responded ${res.status}`);
-    const json = await res.json();
-    console.log("[ViceBank] Synced tick:", json);
   } catch (err) {
     console.warn("[ViceBank] Failed to sync tick:", err.message);
   }
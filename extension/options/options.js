@@ -1,12 +1,44 @@
 // options.js
 import { get, set } from "../lib/storage.js";
-import { sha256Hex, ensureSession } from "../lib/util.js";
+import { sha256Hex, ensureSession, authHeaders } from "../lib/util.js";
+import { validateTimetable } from "../lib/timetable.js";
 
 const agreeBtn = document.getElementById("agree");
 const backendInput = document.getElementById("backendUrl");
 const graceInput = document.getElementById("graceInput");
 const ratePornInput = document.getElementById("ratePornInput");
 const rateGamblingInput = document.getElementById("rateGamblingInput");
+const contactInput = document.getElementById("contactInput");
+const destinationSelect = document.getElementById("destinationSelect");
+const cadenceSelect = document.getElementById("cadenceSelect");
+const tiersPornInput = document.getElementById("tiersPornInput");
+const tiersGamblingInput = document.getElementById("tiersGamblingInput");
+const escalationInput = document.getElementById("escalationInput");
+const dailyCapInput = document.getElementById("dailyCapInput");
+const pricingError = document.getElementById("pricingError");
+const partnerListEl = document.getElementById("partnerList");
+const partnerEmailInput = document.getElementById("partnerEmailInput");
+const partnerInviteBtn = document.getElementById("partnerInviteBtn");
+const partnerShareDomains = document.getElementById("partnerShareDomains");
+const partnerError = document.getElementById("partnerError");
+const walletAmountInput = document.getElementById("walletAmountInput");
+const walletPeriodSelect = document.getElementById("walletPeriodSelect");
+const walletLeftoverSelect = document.getElementById("walletLeftoverSelect");
+const walletDepositBtn = document.getElementById("walletDepositBtn");
+const walletStatus = document.getElementById("walletStatus");
+const walletError = document.getElementById("walletError");
+const coolingOffSelect = document.getElementById("coolingOffSelect");
+const repromptSelect = document.getElementById("repromptSelect");
+const blockPornSelect = document.getElementById("blockPornSelect");
+const blockGamblingSelect = document.getElementById("blockGamblingSelect");
+const countingSelect = document.getElementById("countingSelect");
+const roundingSelect = document.getElementById("roundingSelect");
+const ruleListEl = document.getElementById("ruleList");
+const ruleAddBtn = document.getElementById("ruleAddBtn");
+const weekGridEl = document.getElementById("weekGrid");
+const timetableError = document.getElementById("timetableError");
+const pendingListEl = document.getElementById("pendingList");
+const pendingEmpty = document.getElementById("pendingEmpty");
 
 const pornDomainsEl = document.getElementById("pornDomains");
 const gamblingDomainsEl = document.getElementById("gamblingDomains");
@@ -201,6 +233,39 @@ function parseGraceToMinutes(val) {
   return 0;
 }
 
+// "10:0.05, 20:0.20, 1.00" -> [{minutes:10,rate:0.05},{minutes:20,rate:0.2},{rate:1}]
+// Empty -> null (flat rate). Throws on malformed input.
+function parseTiers(val, floor) {
+  const parts = String(val || "").split(",").map((p) => p.trim()).filter(Boolean);
+  if (!parts.length) return null;
+  return parts.map((part, i) => {
+    const last = i === parts.length - 1;
+    const [a, b] = part.split(":").map((x) => x.trim());
+    const minutes = b === undefined ? undefined : Number(a);
+    const rate = Number(b === undefined ? a : b);
+    if (!Number.isFinite(rate)) throw new Error(`"${part}": rate is not a number`);
+    if (!last && !(Number.isInteger(minutes) && minutes > 0))
+      throw new Error(`"${part}": use minutes:rate for every tier but the last`);
+    if (last && minutes !== undefined) throw new Error(`"${part}": the last tier is just a rate`);
+    const t = { rate: Math.max(floor, rate) };
+    if (!last) t.minutes = minutes;
+    return t;
+  });
+}
+
+function formatTiers(tiers) {
+  if (!Array.isArray(tiers)) return "";
+  return tiers.map((t) => (t.minutes ? `${t.minutes}:${t.rate}` : String(t.rate))).join(", ");
+}
+
+function parseEscalation(val) {
+  const parts = String(val || "").split(",").map((p) => p.trim()).filter(Boolean);
+  if (!parts.length) return null;
+  const mults = parts.map(Number);
+  if (mults.some((m) => !(m >= 1))) throw new Error("multipliers must be numbers ≥ 1");
+  return mults;
+}
+
 function validateChecks() {
   const all = Array.from(
     document.querySelectorAll(".checks input[type=checkbox]")
@@ -219,24 +284,301 @@ function validateChecks() {
 //   });
 // }
 
+// ------------------ Donation destination ------------------
+async function loadDestinations(selected) {
+  const res = await fetch(`${backendBaseUrl}/api/destinations`);
+  const { destinations = [] } = await res.json();
+  const label = { charity: "Charity", anti_charity: "Anti-charity" };
+  destinationSelect.innerHTML = "";
+  for (const d of destinations) {
+    const opt = document.createElement("option");
+    opt.value = d.id;
+    opt.textContent = label[d.kind] ? `${label[d.kind]}: ${d.name}` : d.name;
+    destinationSelect.appendChild(opt);
+  }
+  destinationSelect.value = selected || "platform";
+}
+
+// ------------------ Backend requests ------------------
+async function apiRequest(path, init = {}) {
+  const st = await ensureSession(await get(null));
+  const res = await fetch(`${st.backendBaseUrl || backendBaseUrl}${path}`, {
+    ...init,
+    headers: authHeaders(st),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.error || `HTTP ${res.status}`);
+  return data;
+}
+
+// ------------------ Prepaid wallet ------------------
+function renderWallet(wallet) {
+  walletStatus.textContent = "";
+  if (wallet?.status !== "active") return;
+  const left = (wallet.availableCents / 100).toFixed(2);
+  const deposit = (wallet.depositCents / 100).toFixed(2);
+  const after = wallet.leftover === "refund" ? "refunded" : "donated";
+  walletStatus.textContent = `$${left} of $${deposit} left until ${wallet.periodEnd}; the rest is ${after} after that.`;
+  walletDepositBtn.disabled = true;
+}
+
+async function depositToWallet() {
+  walletError.textContent = "";
+  const dollars = Number(walletAmountInput.value);
+  if (!(dollars >= 5 && dollars <= 500)) {
+    walletError.textContent = "Deposit between $5 and $500.";
+    return;
+  }
+  try {
+    const { url } = await apiRequest("/api/wallet/deposit", {
+      method: "POST",
+      body: JSON.stringify({
+        amountCents: Math.round(dollars * 100),
+        periodDays: Number(walletPeriodSelect.value),
+        leftover: walletLeftoverSelect.value,
+      }),
+    });
+    chrome.tabs.create({ url });
+  } catch (e) {
+    walletError.textContent =
+      e.message === "wallet_already_active" ? "A wallet is already running." : `Deposit failed: ${e.message}`;
+  }
+}
+
+// ------------------ Commitment (pending changes) ------------------
+const PENDING_LABELS = {
+  pricing: "Lower pricing / more grace",
+  categoriesOn: "Category switched off",
+  enabled: "Pause tracking",
+  accountabilityContact: "Contact change",
+  coolingOffHours: "Shorter cooling-off",
+  blockMode: "Weaker hard block",
+  timetable: "Softer schedule",
+  countingMode: "Fewer tabs counted",
+  roundingPolicy: "Visits rounded down",
+};
+
+function renderPending(pending = []) {
+  pendingListEl.innerHTML = "";
+  pendingEmpty.hidden = pending.length > 0;
+  for (const p of pending) {
+    const when = new Date(p.effectiveAt).toLocaleString();
+    pendingListEl.appendChild(
+      chip(`${PENDING_LABELS[p.group] || p.group} — ${when}`, {
+        removable: true,
+        variant: "custom",
+        onRemove: () => cancelPending(p.group),
+      })
+    );
+  }
+}
+
+// Keeps the settings in effect: locally and in the backend's consent snapshot
+async function cancelPending(group) {
+  const { pendingChanges } = await chrome.runtime.sendMessage({ type: "VB_CANCEL_PENDING", group });
+  await apiRequest(`/api/consent/pending/${encodeURIComponent(group)}`, { method: "DELETE" }).catch(() => {});
+  renderPending(pendingChanges);
+}
+
+// ------------------ Schedule (lib/timetable.js) ------------------
+// Rules being edited; the selected one is painted on the weekly grid.
+const DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const DEFAULT_VALUES = { rate: 2, grace: 0 };
+let timetable = [];
+let selectedRule = 0;
+let painting = null; // while dragging: true adds hours, false removes them
+
+function renderRules() {
+  ruleListEl.innerHTML = "";
+  timetable.forEach((rule, i) => {
+    const row = document.createElement("div");
+    row.className = `ruleRow${i === selectedRule ? " selected" : ""}`;
+    row.innerHTML = `
+      <select data-key="category">
+        <option value="all">All</option>
+        <option value="porn">Porn</option>
+        <option value="gambling">Gambling</option>
+      </select>
+      <select data-key="effect">
+        <option value="block">Block</option>
+        <option value="rate">Rate ×</option>
+        <option value="grace">Grace (min)</option>
+      </select>
+      <input data-key="value" type="number" min="0" step="0.5" />
+      <span class="ruleHours">${rule.hours.length} h/week</span>`;
+    const [category, effect, value] = row.querySelectorAll("[data-key]");
+    category.value = rule.category;
+    effect.value = rule.effect;
+    value.value = rule.value ?? "";
+    value.hidden = rule.effect === "block";
+    category.onchange = () => (rule.category = category.value);
+    effect.onchange = () => {
+      rule.effect = effect.value;
+      rule.value = DEFAULT_VALUES[rule.effect];
+      renderRules();
+    };
+    value.onchange = () => (rule.value = Number(value.value));
+    // Not a re-render, so a select being opened stays open
+    row.onclick = () => {
+      selectedRule = i;
+      for (const [j, el] of [...ruleListEl.children].entries()) el.classList.toggle("selected", j === i);
+      renderGrid();
+    };
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "chipRemove";
+    remove.setAttribute("aria-label", "Remove rule");
+    remove.textContent = "×";
+    remove.onclick = (e) => {
+      e.stopPropagation();
+      timetable.splice(i, 1);
+      selectedRule = Math.max(0, Math.min(selectedRule, timetable.length - 1));
+      renderRules();
+    };
+    row.appendChild(remove);
+    ruleListEl.appendChild(row);
+  });
+  renderGrid();
+}
+
+function buildGrid() {
+  weekGridEl.appendChild(document.createElement("span"));
+  for (let h = 0; h < 24; h++) {
+    const label = document.createElement("span");
+    label.className = "hourLabel";
+    label.textContent = h % 3 === 0 ? String(h) : "";
+    weekGridEl.appendChild(label);
+  }
+  for (const [d, day] of DAYS.entries()) {
+    const label = document.createElement("span");
+    label.className = "dayLabel";
+    label.textContent = day;
+    weekGridEl.appendChild(label);
+    for (let h = 0; h < 24; h++) {
+      const how = d * 24 + h;
+      const cell = document.createElement("span");
+      cell.className = "weekCell";
+      cell.dataset.how = String(how);
+      cell.title = `${day} ${String(h).padStart(2, "0")}:00–${String(h + 1).padStart(2, "0")}:00`;
+      cell.onmousedown = () => {
+        const rule = timetable[selectedRule];
+        if (!rule) return;
+        painting = !rule.hours.includes(how);
+        paint(how);
+      };
+      cell.onmouseenter = () => painting != null && paint(how);
+      weekGridEl.appendChild(cell);
+    }
+  }
+  document.addEventListener("mouseup", () => {
+    if (painting == null) return;
+    painting = null;
+    renderRules();
+  });
+}
+
+function paint(how) {
+  const rule = timetable[selectedRule];
+  const hours = new Set(rule.hours);
+  if (painting) hours.add(how);
+  else hours.delete(how);
+  rule.hours = [...hours].sort((a, b) => a - b);
+  renderGrid();
+}
+
+function renderGrid() {
+  const selected = new Set(timetable[selectedRule]?.hours || []);
+  const others = new Set(timetable.filter((_, i) => i !== selectedRule).flatMap((r) => r.hours));
+  for (const cell of weekGridEl.querySelectorAll(".weekCell")) {
+    const how = Number(cell.dataset.how);
+    cell.classList.toggle("on", selected.has(how));
+    cell.classList.toggle("other", !selected.has(how) && others.has(how));
+  }
+}
+
+// Rules with no hours painted yet are left out
+function timetableToSave() {
+  return timetable
+    .filter((r) => r.hours.length > 0)
+    .map(({ category, effect, value, hours }) =>
+      effect === "block" ? { category, effect, hours } : { category, effect, value: Number(value), hours }
+    );
+}
+
+// ------------------ Accountability partners ------------------
+async function renderPartners() {
+  if (!partnerListEl) return;
+  const { partners = [] } = await apiRequest("/api/partners");
+  partnerListEl.innerHTML = "";
+  for (const p of partners) {
+    const label = `${p.email}${p.status === "invited" ? " (invited)" : ""}`;
+    partnerListEl.appendChild(
+      chip(label, {
+        removable: true,
+        variant: "custom",
+        onRemove: async () => {
+          try {
+            await apiRequest(`/api/partners/${encodeURIComponent(p.id)}`, { method: "DELETE" });
+            await renderPartners();
+          } catch (e) {
+            partnerError.textContent = `Could not remove partner: ${e.message}`;
+          }
+        },
+      })
+    );
+  }
+}
+
+async function invitePartner() {
+  partnerError.textContent = "";
+  const email = partnerEmailInput.value.trim();
+  if (!email) return;
+  try {
+    await apiRequest("/api/partners", {
+      method: "POST",
+      body: JSON.stringify({ email, shareDomains: partnerShareDomains.checked }),
+    });
+    partnerEmailInput.value = "";
+    await renderPartners();
+  } catch (e) {
+    partnerError.textContent =
+      e.message === "partner_already_invited" ? "Already invited." : `Invite failed: ${e.message}`;
+  }
+}
+
 // ------------------ Consent + Stripe Flow ------------------
-async function onAgreeAndContinue(userId, opts) {
+async function onAgreeAndContinue(st, opts) {
+  const userId = st.userId;
   try {
     // Step 1: record conse
     const res = await fetch(`${backendBaseUrl}/api/consent`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: authHeaders(st),
       body: JSON.stringify({
         userId,
         // Backend expects per-category grace
         grace: { porn: opts.grace, gambling: opts.grace },
         rates: opts.rates,
+        schedules: opts.schedules,
+        escalation: opts.escalation,
+        dailyCap: opts.dailyCap,
+        timetable: opts.timetable,
         categoriesOn: { porn: true, gambling: true },
+        accountabilityContact: opts.accountabilityContact || null,
+        destination: opts.destination,
+        settlementCadence: opts.settlementCadence,
+        coolingOffHours: opts.coolingOffHours,
+        enabled: opts.enabled,
+        blockMode: opts.blockMode,
+        countingMode: opts.countingMode,
+        roundingPolicy: opts.roundingPolicy,
         extensionVersion: chrome.runtime.getManifest().version,
         tosHash: await sha256Hex(
           `ViceBank ToS and Billing Policy v1 — grace ${
             opts.grace
-          }, rates ${JSON.stringify(opts.rates)}`
+          }, rates ${JSON.stringify(opts.rates)}, schedules ${JSON.stringify(
+            opts.schedules
+          )}, escalation ${JSON.stringify(opts.escalation)}, cap ${opts.dailyCap}`
         ),
       }),
     });
@@ -247,7 +589,7 @@ async function onAgreeAndContinue(userId, opts) {
       `${backendBaseUrl}/api/stripe/checkout-session`,
       {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: authHeaders(st),
         body: JSON.stringify({ userId }),
       }
     );
@@ -279,12 +621,50 @@ document.addEventListener("DOMContentLoaded", async () => {
     .forEach((c) => c.addEventListener("change", validateChecks));
   validateChecks();
 
-  // Load saved values
+  // Load saved values; fields show what was asked for, pending or not, so
+  // saving again doesn't restart (or cancel) a cooling-off period
   const st = await get(null);
-  const g = st.grace?.porn ?? 3;
+  const view = Object.assign({}, st, ...(st.pendingChanges || []).map((p) => p.patch));
+  const g = view.grace?.porn ?? 3;
   graceInput.value = `${String(g).padStart(1, "0")}:00`;
-  ratePornInput.value = st.rates?.porn ?? 0.05;
-  rateGamblingInput.value = st.rates?.gambling ?? 0.5;
+  ratePornInput.value = view.rates?.porn ?? 0.05;
+  rateGamblingInput.value = view.rates?.gambling ?? 0.5;
+  tiersPornInput.value = formatTiers(view.schedules?.porn);
+  tiersGamblingInput.value = formatTiers(view.schedules?.gambling);
+  escalationInput.value = (view.escalation || []).join(", ");
+  dailyCapInput.value = view.dailyCap ?? "";
+  contactInput.value = view.accountabilityContact ?? "";
+  cadenceSelect.value = st.settlementCadence || "weekly";
+  coolingOffSelect.value = String(view.coolingOffHours ?? 24);
+  repromptSelect.value = String(st.repromptMinutes ?? 15);
+  blockPornSelect.value = view.blockMode?.porn ?? "off";
+  blockGamblingSelect.value = view.blockMode?.gambling ?? "off";
+  countingSelect.value = view.countingMode ?? "all_tabs";
+  roundingSelect.value = view.roundingPolicy ?? "exact";
+  timetable = structuredClone(view.timetable || []);
+  buildGrid();
+  renderRules();
+  ruleAddBtn.addEventListener("click", () => {
+    timetable.push({ category: "all", effect: "block", hours: [] });
+    selectedRule = timetable.length - 1;
+    renderRules();
+  });
+  renderPending(st.pendingChanges);
+  loadDestinations(st.destination).catch((e) =>
+    console.warn("[ViceBank] Failed to load destinations", e)
+  );
+
+  // Partners (needs the backend; the page still works without it)
+  partnerInviteBtn?.addEventListener("click", invitePartner);
+  partnerEmailInput?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") invitePartner();
+  });
+  renderPartners().catch((e) => console.warn("[ViceBank] Failed to load partners", e));
+
+  walletDepositBtn?.addEventListener("click", depositToWallet);
+  apiRequest("/api/wallet")
+    .then(({ wallet }) => renderWallet(wallet))
+    .catch((e) => console.warn("[ViceBank] Failed to load wallet", e));
 
   // Domains UI
   try {
@@ -312,22 +692,75 @@ agreeBtn.onclick = async () => {
   const grace = parseGraceToMinutes(graceInput.value);
   let ratePorn = Math.max(0.05, Number(ratePornInput.value || 0));
   let rateGambling = Math.max(0.5, Number(rateGamblingInput.value || 0));
+  const accountabilityContact = contactInput.value.trim();
+  const destination = destinationSelect.value || "platform";
+  const settlementCadence = cadenceSelect.value || "weekly";
+  const coolingOffHours = Number(coolingOffSelect.value);
+  const repromptMinutes = Number(repromptSelect.value);
+  const blockMode = { porn: blockPornSelect.value, gambling: blockGamblingSelect.value };
+  const countingMode = countingSelect.value;
+  const roundingPolicy = roundingSelect.value;
+
+  let schedules, escalation;
+  try {
+    schedules = {
+      porn: parseTiers(tiersPornInput.value, 0.05),
+      gambling: parseTiers(tiersGamblingInput.value, 0.5),
+    };
+    escalation = parseEscalation(escalationInput.value);
+  } catch (e) {
+    pricingError.textContent = e.message;
+    return;
+  }
+  pricingError.textContent = "";
+  const timetableToSend = timetableToSave();
+  timetableError.textContent = validateTimetable(timetableToSend) || "";
+  if (timetableError.textContent) return;
+  const dailyCap = Number(dailyCapInput.value) > 0 ? Number(dailyCapInput.value) : null;
 
   // Ensure we have a user/session first
   let st = await get(null);
   st = await ensureSession(st);
-  const userId = st.userId;
-
-  // Save settings locally
-  await set({
-    backendBaseUrl,
-    grace: { porn: grace, gambling: grace },
-    rates: { porn: ratePorn, gambling: rateGambling },
+  // Pausing is the popup's; the backend gets the value asked for, pending or not
+  const enabled = Object.assign({}, st, ...(st.pendingChanges || []).map((p) => p.patch)).enabled !== false;
+
+  // Save settings locally (through the worker, which holds back looser ones)
+  await chrome.runtime.sendMessage({
+    type: "VB_SETTINGS_UPDATE",
+    payload: {
+      backendBaseUrl,
+      grace: { porn: grace, gambling: grace },
+      rates: { porn: ratePorn, gambling: rateGambling },
+      schedules,
+      escalation,
+      dailyCap,
+      accountabilityContact,
+      destination,
+      settlementCadence,
+      coolingOffHours,
+      repromptMinutes,
+      blockMode,
+      timetable: timetableToSend,
+      countingMode,
+      roundingPolicy,
+    },
   });
 
   // Run full consent + Stripe flow
-  await onAgreeAndContinue(userId, {
+  await onAgreeAndContinue(st, {
     grace,
     rates: { porn: ratePorn, gambling: rateGambling },
+    schedules,
+    escalation,
+    dailyCap,
+    timetable: timetableToSend,
+    accountabilityContact,
+    destination,
+    settlementCadence,
+    coolingOffHours,
+    enabled,
+    blockMode,
+    countingMode,
+    roundingPolicy,
   });
 };
@@ -1,11 +1,22 @@
 
 import { get } from "../lib/storage.js";
+import { authHeaders } from "../lib/util.js";
+import { CATEGORIES, normalizeSnapshot, quoteDay } from "../lib/pricing.js";
 
 const usageEl = document.getElementById("usage");
 const billingEl = document.getElementById("billing");
 const endBtn = document.getElementById("end");
 const pauseBtn = document.getElementById("pause");
 const manageBtn = document.getElementById("manage");
+const dashboardBtn = document.getElementById("dashboard");
+const footnoteEl = document.getElementById("footnote");
+
+// lib/counting.js modes
+const COUNTING_LABELS = {
+  all_tabs: "every open tab",
+  visible_or_audible: "visible or audible tabs, paused when idle",
+  focused: "focused tab only, paused when idle",
+};
 
 async function refresh() {
   const st = await new Promise(res => chrome.runtime.sendMessage({ type: "VB_GET_STATE" }, (r) => res(r?.state)));
@@ -14,12 +25,44 @@ async function refresh() {
     <h3>Today</h3>
     <div>Porn: free ${c.porn?.freeMin||0}m / <strong>paid ${c.porn?.paidMin||0}m</strong></div>
     <div>Gambling: free ${c.gambling?.freeMin||0}m / <strong>paid ${c.gambling?.paidMin||0}m</strong></div>
+    <div>Counting: ${COUNTING_LABELS[st?.countingMode] || COUNTING_LABELS.all_tabs}</div>
   `;
+  // Same engine as the backend; the local counters are only an estimate
+  const bucket = { byCategory: {} };
+  for (const cat of CATEGORIES) {
+    bucket.byCategory[cat] = { minutes: (c[cat]?.freeMin || 0) + (c[cat]?.paidMin || 0), hours: c[cat]?.hours };
+  }
+  const quote = quoteDay({ snapshot: normalizeSnapshot(st || {}), bucket });
   billingEl.innerHTML = `
     <h3>Rates</h3>
-    <div>Porn: $${st.rates?.porn?.toFixed(2)||"0.00"}/min</div>
-    <div>Gambling: $${st.rates?.gambling?.toFixed(2)||"0.00"}/min</div>
+    <div>Porn: $${st.rates?.porn?.toFixed(2)||"0.00"}/min${st.schedules?.porn ? " (tiered)" : ""}</div>
+    <div>Gambling: $${st.rates?.gambling?.toFixed(2)||"0.00"}/min${st.schedules?.gambling ? " (tiered)" : ""}</div>
+    <div>Est. today: <strong>$${(quote.totalCents / 100).toFixed(2)}</strong>${quote.capped ? " (capped)" : ""}</div>
   `;
+  if (st.billing && st.billing.status !== "ok") {
+    const overdue = document.createElement("div");
+    overdue.className = "error";
+    overdue.textContent = `${st.billing.status === "locked" ? "Locked: " : ""}$${(
+      st.billing.outstandingCents / 100
+    ).toFixed(2)} overdue. `;
+    const pay = document.createElement("a");
+    pay.href = "#";
+    pay.textContent = "Pay or update card";
+    pay.onclick = () => chrome.tabs.create({ url: st.billing.payUrl });
+    overdue.appendChild(pay);
+    billingEl.appendChild(overdue);
+  }
+  if (st.wallet?.status === "active") {
+    const wallet = document.createElement("div");
+    wallet.innerHTML = `Wallet: <strong>$${(st.wallet.availableCents / 100).toFixed(2)}</strong> of $${(
+      st.wallet.depositCents / 100
+    ).toFixed(2)} left until ${st.wallet.periodEnd}`;
+    billingEl.appendChild(wallet);
+  }
+  const pending = st.tickQueue?.length || 0;
+  footnoteEl.textContent = pending
+    ? `Local counters • ${pending} minute${pending === 1 ? "" : "s"} waiting to sync`
+    : "Local counters • Syncs minutes to backend";
 }
 refresh();
 
@@ -32,7 +75,13 @@ endBtn.onclick = async () => {
 };
 
 pauseBtn.onclick = async () => {
-  await chrome.runtime.sendMessage({ type: "VB_SETTINGS_UPDATE", payload: { enabled: false } });
+  const res = await chrome.runtime.sendMessage({ type: "VB_SETTINGS_UPDATE", payload: { enabled: false } });
+  // Under a commitment contract the pause waits out the cooling-off period
+  const waiting = res?.pendingChanges?.find((p) => p.group === "enabled");
+  if (waiting) {
+    showBillingError(`Commitment: tracking pauses ${new Date(waiting.effectiveAt).toLocaleString()}.`);
+    return;
+  }
   await refresh();
   setTimeout(async () => {
     await chrome.runtime.sendMessage({ type: "VB_SETTINGS_UPDATE", payload: { enabled: true } });
@@ -44,8 +93,36 @@ manageBtn.onclick = async () => {
   const st = await get(null);
   if (!st.backendBaseUrl) return;
   try {
-    const resp = await fetch(`${st.backendBaseUrl}/api/portal?userId=${encodeURIComponent(st.userId)}`);
+    const resp = await fetch(
+      `${st.backendBaseUrl}/api/portal?userId=${encodeURIComponent(st.userId)}`,
+      { headers: authHeaders(st) }
+    );
     const data = await resp.json();
     if (data.url) chrome.tabs.create({ url: data.url });
-  } catch {}
+    else showBillingError(data.message || data.error || "Billing portal unavailable.");
+  } catch {
+    showBillingError("Couldn't reach the ViceBank backend.");
+  }
 };
+
+dashboardBtn.onclick = async () => {
+  const st = await get(null);
+  if (!st.backendBaseUrl) return;
+  try {
+    const resp = await fetch(`${st.backendBaseUrl}/api/dashboard/link`, {
+      headers: authHeaders(st),
+    });
+    const data = await resp.json();
+    if (data.url) chrome.tabs.create({ url: data.url });
+    else showBillingError(data.error || "Dashboard unavailable.");
+  } catch {
+    showBillingError("Couldn't reach the ViceBank backend.");
+  }
+};
+
+function showBillingError(text) {
+  const el = document.createElement("div");
+  el.className = "error";
+  el.textContent = text;
+  billingEl.appendChild(el);
+}